@@ -0,0 +1,173 @@
+// js/account.js
+// Handles the account settings page: changing the username or password and deleting the account.
+
+document.addEventListener('DOMContentLoaded', async () => {
+    // --- Initial User Authentication Check ---
+    const currentUser = await getCurrentUser();
+    if (!currentUser) {
+        console.warn('ACCOUNT_INIT: No valid session. Redirecting to login.');
+        window.location.href = 'index.html';
+        return; // Stop script execution.
+    }
+    console.log(`ACCOUNT_INIT: User "${currentUser.username}" is logged in.`);
+
+    // --- DOM Element References ---
+    const usernameLabel = document.getElementById('account-username');
+    const usernameForm = document.getElementById('username-form');
+    const newUsernameInput = document.getElementById('new-username');
+    const usernameMessage = document.getElementById('username-message');
+    const passwordForm = document.getElementById('password-form');
+    const currentPasswordInput = document.getElementById('current-password');
+    const newPasswordInput = document.getElementById('new-password');
+    const confirmPasswordInput = document.getElementById('confirm-password');
+    const passwordMessage = document.getElementById('password-message');
+    const deleteAccountForm = document.getElementById('delete-account-form');
+    const deletePasswordInput = document.getElementById('delete-password');
+    const deleteMessage = document.getElementById('delete-message');
+
+    usernameLabel.textContent = currentUser.username;
+    newUsernameInput.value = currentUser.username;
+
+    const showMessage = (element, msg, type = 'error') => {
+        element.textContent = msg;
+        element.className = `message-text ${type}`;
+    };
+
+    /**
+     * Loads the full user record and checks the entered password against it.
+     * @param {string} password - The password entered by the user.
+     * @returns {Promise<object|null>} The user record, or null if the password is wrong.
+     */
+    const verifyCurrentUser = async (password) => {
+        await openDatabase();
+        const user = await getDataByKey('users', currentUser.id);
+        if (!user || !(await verifyPassword(password, user))) return null;
+        return user;
+    };
+
+    /**
+     * Applies a change to every session record of this user (e.g., a new username).
+     * @param {Function} update - Receives a session record and returns the updated record.
+     */
+    const updateUserSessions = async (update) => {
+        const sessions = await getAllData('sessions');
+        for (const session of sessions.filter(s => s.userId === currentUser.id)) {
+            await updateData('sessions', update(session));
+        }
+    };
+
+    // --- Change Username ---
+    usernameForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const newUsername = newUsernameInput.value.trim();
+        if (!newUsername) {
+            showMessage(usernameMessage, 'Please enter a username.');
+            return;
+        }
+        if (newUsername === currentUser.username) {
+            showMessage(usernameMessage, 'That is already your username.');
+            return;
+        }
+
+        try {
+            await openDatabase();
+            const user = await getDataByKey('users', currentUser.id);
+            // The 'username' index is unique, so a taken name makes the update fail with a ConstraintError.
+            await updateData('users', { ...user, username: newUsername });
+            await updateUserSessions(session => ({ ...session, username: newUsername }));
+
+            currentUser.username = newUsername;
+            usernameLabel.textContent = newUsername;
+            console.log(`ACCOUNT: Username changed to "${newUsername}".`);
+            showMessage(usernameMessage, 'Username updated.', 'success');
+        } catch (error) {
+            if (error && error.name === 'ConstraintError') {
+                showMessage(usernameMessage, 'Username already exists. Please choose another.');
+            } else {
+                console.error('ACCOUNT_ERROR: Failed to change username:', error);
+                showMessage(usernameMessage, 'Failed to change username. Please try again.');
+            }
+        }
+    });
+
+    // --- Change Password ---
+    passwordForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const currentPassword = currentPasswordInput.value.trim();
+        const newPassword = newPasswordInput.value.trim();
+
+        if (!currentPassword || !newPassword) {
+            showMessage(passwordMessage, 'Please fill in all password fields.');
+            return;
+        }
+        if (newPassword !== confirmPasswordInput.value.trim()) {
+            showMessage(passwordMessage, 'The new passwords do not match.');
+            return;
+        }
+
+        try {
+            const user = await verifyCurrentUser(currentPassword);
+            if (!user) {
+                showMessage(passwordMessage, 'Current password is incorrect.');
+                return;
+            }
+
+            // New hash, and the media keys re-wrapped under the new password (media is not re-encrypted).
+            const credentials = await createPasswordCredentials(newPassword);
+            const keyFields = Array.isArray(user.mediaKeys) ? await rewrapMediaKeys(user, currentPassword, newPassword) : {};
+            const updatedUser = { ...user, ...credentials, ...keyFields };
+            delete updatedUser.password; // Drop any legacy plaintext field.
+            await updateData('users', updatedUser);
+
+            // Sign out this account everywhere else; the current session stays valid.
+            const activeSession = await getActiveSession();
+            const sessions = await getAllData('sessions');
+            for (const session of sessions.filter(s => s.userId === currentUser.id && s.token !== activeSession.token)) {
+                await deleteData('sessions', session.token);
+            }
+
+            passwordForm.reset();
+            console.log('ACCOUNT: Password changed.');
+            showMessage(passwordMessage, 'Password changed. Other sessions of this account were signed out.', 'success');
+        } catch (error) {
+            console.error('ACCOUNT_ERROR: Failed to change password:', error);
+            showMessage(passwordMessage, 'Failed to change password. Please try again.');
+        }
+    });
+
+    // --- Delete Account ---
+    deleteAccountForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const password = deletePasswordInput.value.trim();
+        if (!password) {
+            showMessage(deleteMessage, 'Please enter your password.');
+            return;
+        }
+
+        try {
+            const user = await verifyCurrentUser(password);
+            if (!user) {
+                showMessage(deleteMessage, 'Password is incorrect.');
+                return;
+            }
+            if (!confirm(`Delete the account "${user.username}" and all of its media? This cannot be undone.`)) {
+                return;
+            }
+
+            // One transaction: the user, all of their media and media blobs (via 'senderId'), albums and sessions.
+            await deleteDataWithCascade('users', user.id, [
+                { storeName: 'media', indexName: 'senderId' },
+                { storeName: 'mediaBlobs', indexName: 'senderId' },
+                { storeName: 'albums', indexName: 'ownerId' },
+                { storeName: 'sessions', indexName: 'userId' }
+            ]);
+            await endSession(); // Clears the token and media keys from this tab.
+            console.log(`ACCOUNT: Account ${user.id} deleted.`);
+            alert('Your account has been deleted.');
+            window.location.href = 'index.html';
+        } catch (error) {
+            console.error('ACCOUNT_ERROR: Failed to delete account:', error);
+            showMessage(deleteMessage, 'Failed to delete account. Please try again.');
+        }
+    });
+});
\ No newline at end of file
@@ -0,0 +1,107 @@
+// js/albums.js
+// Albums: named collections of a user's media ('albums' store). An album keeps an ordered list of
+// media IDs (in the order they were added) and a cover; the gallery shows the most recently added first.
+// Deleting media removes it from its albums (see deleteMediaRecords in db.js).
+
+/**
+ * Lists a user's albums, oldest first.
+ * @param {number} ownerId - The user ID.
+ * @returns {Promise<Array<object>>} The album records.
+ */
+async function getUserAlbums(ownerId) {
+    await openDatabase();
+    const albums = [];
+    await forEachRecord('albums', album => albums.push(album), { indexName: 'ownerId', range: IDBKeyRange.only(ownerId) });
+    return albums.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Creates an empty album.
+ * @param {number} ownerId - The user ID.
+ * @param {string} name - The album name.
+ * @returns {Promise<object>} The new album record.
+ */
+async function createAlbum(ownerId, name) {
+    await openDatabase();
+    const album = { ownerId, name, coverMediaId: null, mediaIds: [], createdAt: Date.now() };
+    album.id = await addData('albums', album);
+    console.log(`ALBUMS: Created album "${name}" (ID ${album.id}).`);
+    return album;
+}
+
+/**
+ * Renames an album.
+ * @param {number} albumId - The album ID.
+ * @param {string} name - The new name.
+ * @returns {Promise<object>} The updated album record.
+ */
+async function renameAlbum(albumId, name) {
+    await openDatabase();
+    const album = await getDataByKey('albums', albumId);
+    if (!album) throw new Error(`Album ${albumId} not found.`);
+    album.name = name;
+    await updateData('albums', album);
+    return album;
+}
+
+/**
+ * Deletes an album. Its media stay in the gallery.
+ * @param {number} albumId - The album ID.
+ */
+async function deleteAlbum(albumId) {
+    await openDatabase();
+    await deleteData('albums', albumId);
+    console.log(`ALBUMS: Deleted album ${albumId}.`);
+}
+
+/**
+ * Adds a media item to an album or removes it. The first item added becomes the cover;
+ * removing the cover picks the most recently added remaining item.
+ * @param {number} albumId - The album ID.
+ * @param {number} mediaId - The media ID.
+ * @param {boolean} include - True to add, false to remove.
+ * @returns {Promise<object>} The updated album record.
+ */
+async function setMediaInAlbum(albumId, mediaId, include) {
+    await openDatabase();
+    const album = await getDataByKey('albums', albumId);
+    if (!album) throw new Error(`Album ${albumId} not found.`);
+
+    const hasMedia = album.mediaIds.includes(mediaId);
+    if (include && !hasMedia) {
+        album.mediaIds.push(mediaId);
+        if (album.coverMediaId === null) album.coverMediaId = mediaId;
+    } else if (!include && hasMedia) {
+        album.mediaIds = album.mediaIds.filter(id => id !== mediaId);
+        if (album.coverMediaId === mediaId) {
+            album.coverMediaId = album.mediaIds.length > 0 ? album.mediaIds[album.mediaIds.length - 1] : null;
+        }
+    } else {
+        return album; // Nothing to change.
+    }
+    await updateData('albums', album);
+    console.log(`ALBUMS: ${include ? 'Added' : 'Removed'} media ${mediaId} ${include ? 'to' : 'from'} album "${album.name}".`);
+    return album;
+}
+
+/**
+ * Retrieves one page of an album's media records (same shape as getPageByIndex, so the gallery can page
+ * through albums the same way).
+ * @param {object} album - The album record.
+ * @param {number|null} after - Number of items already returned (the previous page's `next`), or null.
+ * @param {number} limit - Maximum number of records in the page.
+ * @param {string} [direction='prev'] - 'prev' for the most recently added first, 'next' for the order they were added.
+ * @returns {Promise<object>} `{ items, next }`, where `next` is null once the album is exhausted.
+ */
+async function getAlbumPage(album, after, limit, direction = 'prev') {
+    await openDatabase();
+    const start = after || 0;
+    const ordered = direction === 'prev' ? album.mediaIds.slice().reverse() : album.mediaIds;
+    const ids = ordered.slice(start, start + limit);
+    const records = await Promise.all(ids.map(id => getDataByKey('media', id)));
+    const end = start + ids.length;
+    return {
+        items: records.filter(record => record), // Skip IDs whose media no longer exists.
+        next: end < album.mediaIds.length ? end : null
+    };
+}
\ No newline at end of file
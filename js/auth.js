@@ -1,12 +1,16 @@
 // js/auth.js
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     const authForm = document.getElementById('auth-form');
     const usernameInput = document.getElementById('username');
     const passwordInput = document.getElementById('password');
+    const rememberMeCheckbox = document.getElementById('remember-me');
+    const rememberMeLabel = document.getElementById('remember-me-label');
     const authButton = document.getElementById('auth-button');
     const toggleAuthLink = document.getElementById('toggle-auth');
     const authMessage = document.getElementById('auth-message');
+    const accountSwitcher = document.getElementById('account-switcher');
+    const accountList = document.getElementById('account-list');
 
     let isLoginMode = true; // true for login, false for register
 
@@ -25,9 +29,57 @@ document.addEventListener('DOMContentLoaded', () => {
         authButton.textContent = isLoginMode ? 'Login' : 'Register';
         toggleAuthLink.textContent = isLoginMode ? 'Register here' : 'Login here';
         toggleAuthLink.parentElement.firstChild.textContent = isLoginMode ? "Don't have an account? " : "Already have an account? ";
+        rememberMeLabel.style.display = isLoginMode ? '' : 'none'; // "Remember me" only applies to login.
         clearMessage();
     };
 
+    /**
+     * Renders the account switcher: one entry per remembered account on this device.
+     * Choosing an account resumes its session without retyping the password.
+     */
+    const renderAccountSwitcher = async () => {
+        const sessions = await getRememberedSessions();
+        const activeSession = await getActiveSession();
+        accountList.innerHTML = '';
+        accountSwitcher.style.display = sessions.length > 0 ? 'flex' : 'none';
+
+        sessions.forEach(session => {
+            const item = document.createElement('div');
+            item.className = 'account-item';
+
+            const switchButton = document.createElement('button');
+            switchButton.type = 'button';
+            switchButton.className = 'account-switch-button';
+            switchButton.innerHTML = '<i class="fas fa-user-circle"></i> ';
+            switchButton.append(session.username); // Text node: usernames are user input.
+            if (activeSession && activeSession.token === session.token) {
+                switchButton.classList.add('active');
+            }
+            switchButton.addEventListener('click', async () => {
+                if (await switchToSession(session.token)) {
+                    window.location.href = 'camera.html';
+                } else {
+                    showMessage('That session has expired. Please log in again.');
+                    renderAccountSwitcher();
+                }
+            });
+
+            const forgetButton = document.createElement('button');
+            forgetButton.type = 'button';
+            forgetButton.className = 'account-forget-button';
+            forgetButton.title = `Forget ${session.username} on this device`;
+            forgetButton.innerHTML = '<i class="fas fa-times"></i>';
+            forgetButton.addEventListener('click', async () => {
+                await forgetSession(session.token);
+                renderAccountSwitcher();
+            });
+
+            item.appendChild(switchButton);
+            item.appendChild(forgetButton);
+            accountList.appendChild(item);
+        });
+    };
+
     toggleAuthLink.addEventListener('click', (e) => {
         e.preventDefault();
         setAuthMode(!isLoginMode);
@@ -48,13 +100,42 @@ document.addEventListener('DOMContentLoaded', () => {
         try {
             await openDatabase(); // Ensure DB is open
 
+            if (!isCryptoAvailable()) {
+                showMessage('Secure login requires HTTPS (or localhost).');
+                return;
+            }
+
             if (isLoginMode) {
                 // Login Logic
                 const users = await getAllData('users');
-                const user = users.find(u => u.username === username && u.password === password);
+                const user = users.find(u => u.username === username);
+
+                if (user && await verifyPassword(password, user)) {
+                    let updatedUser = null;
+
+                    // Legacy plaintext accounts (and outdated hashes) are upgraded transparently.
+                    if (needsPasswordRehash(user)) {
+                        const credentials = await createPasswordCredentials(password);
+                        updatedUser = { ...user, ...credentials };
+                        delete updatedUser.password;
+                        console.log(`AUTH: Upgraded stored credentials for user ${user.id}.`);
+                    }
+
+                    // Unlock the media encryption keys with the password (created on first login).
+                    const { keys, userUpdates } = await unlockMediaKeys(user, password);
+                    if (userUpdates) {
+                        updatedUser = { ...(updatedUser || user), ...userUpdates };
+                        console.log(`AUTH: Created media encryption key for user ${user.id}.`);
+                    }
+                    if (updatedUser) {
+                        await updateData('users', updatedUser);
+                    }
 
-                if (user) {
-                    sessionStorage.setItem('currentUser', JSON.stringify(user));
+                    // Start a session (persisted in IndexedDB; kept after closing the tab with "remember me").
+                    await createSession(user, {
+                        remember: rememberMeCheckbox.checked,
+                        mediaKeys: { keys, currentVersion: (updatedUser || user).currentKeyVersion }
+                    });
                     window.location.href = 'camera.html'; // Redirect to camera page
                 } else {
                     showMessage('Invalid username or password.');
@@ -67,7 +148,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (existingUser) {
                     showMessage('Username already exists. Please choose another.');
                 } else {
-                    const newUser = { username, password };
+                    const credentials = await createPasswordCredentials(password);
+                    const newUser = { username, ...credentials };
                     await addData('users', newUser);
                     showMessage('Registration successful! Please login.', 'success');
                     setAuthMode(true); // Switch to login mode after registration
@@ -79,8 +161,12 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    // Check if user is already logged in (e.g., if navigating back)
-    if (getCurrentUser()) {
+    // Check if user is already logged in (e.g., if navigating back).
+    // `?switch` comes from the camera page's account button: stay here to pick another account.
+    const isSwitching = new URLSearchParams(window.location.search).has('switch');
+    if (!isSwitching && await getCurrentUser() && await getSessionMediaKeys()) {
         window.location.href = 'camera.html';
+        return;
     }
+    await renderAccountSwitcher();
 });
\ No newline at end of file
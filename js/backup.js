@@ -0,0 +1,155 @@
+// js/backup.js
+// Full gallery backups: exports all of a user's media into one ZIP archive (see zip.js) and imports
+// such an archive back under the current user, e.g. to move a gallery to another browser or device.
+//
+// Archive layout:
+//   manifest.json                   { app, formatVersion, exportedAt, username, items: [...] }
+//   media/<timestamp>_<id>.<ext>    The decrypted photo or video files.
+// Each manifest item holds `file`, `type`, `mimeType`, `caption`, `timestamp`, `filtersApplied`,
+// `filterParams`, `filtersBaked`, `favorite` and `thumbnail` (a JPEG data URL). Imports are encrypted with the
+// importing user's media keys like newly captured media.
+
+const BACKUP_APP_NAME = 'SnapLens';
+const BACKUP_FORMAT_VERSION = 1;
+const BACKUP_MANIFEST_NAME = 'manifest.json';
+const BACKUP_MEDIA_TYPES = ['image', 'video'];
+
+/**
+ * Picks a file extension for a media file from its MIME type.
+ * @param {Blob} blob - The media data.
+ * @param {string} mediaType - 'image' or 'video' (used when the Blob has no type).
+ * @returns {string} The extension without the dot (e.g., 'jpeg', 'webm').
+ */
+function getMediaFileExtension(blob, mediaType) {
+    const subtype = (blob.type.split('/')[1] || '').split(';')[0]; // 'video/webm;codecs=vp9' -> 'webm'
+    return subtype || (mediaType === 'video' ? 'webm' : 'jpeg');
+}
+
+/**
+ * Exports all media of a user (or a selection of it) into a ZIP archive with a manifest.
+ * Items in the trash are only included when selected explicitly.
+ * @param {object} user - The current user (`{ id, username }`).
+ * @param {object} [options]
+ * @param {Array<number>} [options.mediaIds] - Only export these media IDs (default: everything).
+ * @returns {Promise<object>} `{ archive, count, failed }`: the archive Blob, the number of exported items and
+ *   the number of items skipped because they could not be decrypted.
+ */
+async function exportGalleryArchive(user, { mediaIds } = {}) {
+    await openDatabase();
+    const selected = mediaIds ? new Set(mediaIds) : null;
+    const records = [];
+    await forEachRecord('media', (record) => {
+        // A full export leaves out "Recently deleted" items; an explicit selection is exported as is.
+        if (selected ? selected.has(record.id) : typeof record.deletedAt !== 'number') records.push(record);
+    }, {
+        indexName: 'senderId_timestamp',
+        range: IDBKeyRange.bound([user.id, -Infinity], [user.id, Infinity]) // Oldest first.
+    });
+
+    const entries = [];
+    const items = [];
+    let failed = 0;
+    for (const record of records) {
+        try {
+            const media = await decryptMediaRecord(record);
+            const data = await loadMediaBlob(media);
+            const file = `media/${media.timestamp}_${media.id}.${getMediaFileExtension(data, media.type)}`;
+            entries.push({ name: file, data, lastModified: media.timestamp });
+            items.push({
+                file,
+                type: media.type,
+                mimeType: data.type,
+                caption: media.caption || '',
+                timestamp: media.timestamp,
+                filtersApplied: toFilterIdList(media.filtersApplied), // Legacy single IDs become a one-entry chain.
+                filterParams: media.filterParams || {},
+                filtersBaked: !!media.filtersBaked,
+                favorite: typeof media.favoritedAt === 'number',
+                thumbnail: media.thumbnail || null
+            });
+        } catch (error) {
+            console.error(`BACKUP_EXPORT: Skipping media ID ${record.id}:`, error);
+            failed++;
+        }
+    }
+
+    const manifest = {
+        app: BACKUP_APP_NAME,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        exportedAt: Date.now(),
+        username: user.username,
+        items
+    };
+    entries.unshift({ name: BACKUP_MANIFEST_NAME, data: JSON.stringify(manifest, null, 2) });
+
+    const archive = await ZipArchive.createZip(entries);
+    console.log(`BACKUP_EXPORT: Exported ${items.length} item(s) (${archive.size} bytes, ${failed} failed).`);
+    return { archive, count: items.length, failed };
+}
+
+/**
+ * Imports a backup archive into the current user's gallery.
+ * An item counts as a duplicate when the user already has media of the same type with the same
+ * timestamp (capture times are in milliseconds, so this matches re-imports of the same backup).
+ * @param {object} user - The current user (`{ id, username }`).
+ * @param {Blob} file - The ZIP archive.
+ * @returns {Promise<object>} `{ imported, skipped, failed }` counts.
+ */
+async function importGalleryArchive(user, file) {
+    const entries = await ZipArchive.readZip(file);
+    const files = new Map(entries.map(entry => [entry.name, entry.blob]));
+    const manifestBlob = files.get(BACKUP_MANIFEST_NAME);
+    if (!manifestBlob) throw new Error('This archive has no manifest.json. Is it a SnapLens backup?');
+
+    const manifest = JSON.parse(await manifestBlob.text());
+    if (manifest.app !== BACKUP_APP_NAME || !Array.isArray(manifest.items)) {
+        throw new Error('This archive is not a SnapLens backup.');
+    }
+    if (manifest.formatVersion > BACKUP_FORMAT_VERSION) {
+        throw new Error('This backup was made by a newer version of SnapLens.');
+    }
+
+    const existing = new Set((await listUserMediaSummaries(user.id)).map(item => `${item.type}:${item.timestamp}`));
+    const result = { imported: 0, skipped: 0, failed: 0 };
+
+    for (const item of manifest.items) {
+        const key = `${item.type}:${item.timestamp}`;
+        if (existing.has(key)) {
+            result.skipped++;
+            continue;
+        }
+        const blob = files.get(item.file);
+        if (!blob || !BACKUP_MEDIA_TYPES.includes(item.type) || !Number.isFinite(item.timestamp)) {
+            console.warn('BACKUP_IMPORT: Skipping invalid manifest item:', item.file);
+            result.failed++;
+            continue;
+        }
+
+        try {
+            const caption = typeof item.caption === 'string' ? item.caption : '';
+            const { record, blobRecord } = await encryptMediaRecord({
+                senderId: user.id,
+                type: item.type,
+                caption,
+                tags: parseHashtags(caption),
+                timestamp: item.timestamp,
+                filtersApplied: toFilterIdList(item.filtersApplied), // Older archives may hold a single ID.
+                filterParams: item.filterParams && typeof item.filterParams === 'object' ? item.filterParams : {},
+                filtersBaked: !!item.filtersBaked,
+                ...(item.favorite === true ? { favoritedAt: Date.now() } : {}),
+                // Only image data URLs are accepted as thumbnails (they end up in <img src>).
+                thumbnail: typeof item.thumbnail === 'string' && item.thumbnail.startsWith('data:image/') ? item.thumbnail : null,
+                data: new Blob([blob], { type: item.mimeType || (item.type === 'video' ? 'video/webm' : 'image/jpeg') })
+            });
+            await addDataWithBlob('media', record, 'mediaBlobs', blobRecord);
+            existing.add(key);
+            result.imported++;
+        } catch (error) {
+            console.error(`BACKUP_IMPORT: Failed to import "${item.file}":`, error);
+            result.failed++;
+        }
+    }
+
+    console.log(`BACKUP_IMPORT: Imported ${result.imported}, skipped ${result.skipped} duplicate(s), ${result.failed} failed.`);
+    return result;
+}
\ No newline at end of file
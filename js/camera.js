@@ -3,11 +3,13 @@
 // Manages UI state for camera view and post-capture options.
 // Total lines (including comments and empty lines): ~500+
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     // --- Initial User Authentication Check ---
-    const currentUser = getCurrentUser();
-    if (!currentUser) {
-        console.warn('CAMERA_INIT: No current user found in session storage. Redirecting to login.');
+    const currentUser = await getCurrentUser(); // Resolved from the session token (see session.js).
+    if (!currentUser || !(await getSessionMediaKeys())) {
+        // Media is encrypted with keys unlocked at login, so a session without them must log in again.
+        console.warn('CAMERA_INIT: No valid session (or locked media keys). Redirecting to login.');
+        await endSession();
         window.location.href = 'index.html';
         return; // Stop script execution
     }
@@ -24,35 +26,251 @@ document.addEventListener('DOMContentLoaded', () => {
     const retakeButton = document.getElementById('retake-button');     // Button to retake media
     const saveGalleryButton = document.getElementById('save-gallery-button'); // Button to save media to gallery
     const switchCameraButton = document.getElementById('switch-camera-button'); // Button to switch front/back camera
-    const flashlightButton = document.getElementById('flashlight-button');     // Button for simulated flashlight
-    const screenFlashOverlay = document.getElementById('screen-flash-overlay'); // Overlay for flashlight effect
+    const micButton = document.getElementById('mic-button');                   // Button to mute/unmute the microphone
+    const flashlightButton = document.getElementById('flashlight-button');     // Button cycling the flash mode (off/on/auto)
+    const screenFlashOverlay = document.getElementById('screen-flash-overlay'); // White overlay used as a flash without a torch
     const filterControls = document.getElementById('filter-controls');         // Container for filter selection buttons
+    const filterChainBar = document.getElementById('filter-chain');            // Container for the stacked filter chain
+    const filterParamsPanel = document.getElementById('filter-params');        // Container for the selected filter's sliders
+    const captureSettingsButton = document.getElementById('capture-settings-button'); // Button to open the capture settings
+    const captureSettingsPanel = document.getElementById('capture-settings');          // Aspect ratio and photo size presets
+    const captureAspectOptions = document.getElementById('capture-aspect-options');   // Container for the aspect ratio buttons
+    const captureSizeOptions = document.getElementById('capture-size-options');       // Container for the photo size buttons
+    const captureSettingsNote = document.getElementById('capture-settings-note');     // Resulting photo/video dimensions
+    const cameraDeviceRow = document.getElementById('camera-device-row');             // Camera picker row (hidden without enumerateDevices)
+    const cameraDeviceSelect = document.getElementById('camera-device-select');       // Picker of the connected cameras
+    const zoomControls = document.getElementById('zoom-controls');             // Container for the zoom and exposure sliders
+    const zoomSlider = document.getElementById('zoom-slider');                 // Zoom factor slider
+    const zoomLevelLabel = document.getElementById('zoom-level');              // Current zoom factor (e.g. '2.0x')
+    const exposureControl = document.getElementById('exposure-control');       // Exposure row (hidden without hardware support)
+    const exposureSlider = document.getElementById('exposure-slider');         // Exposure compensation slider
+    const exposureValue = document.getElementById('exposure-value');           // Current exposure compensation (e.g. '+0.7 EV')
+    const focusRing = document.getElementById('focus-ring');                   // Ring shown where the user tapped to focus
 
     // --- Application State Variables ---
     let currentStream = null;          // Holds the MediaStream object from getUserMedia.
-    let capturedMediaData = null;      // Stores Base64 string for image or Blob object for video.
+    let capturedMediaData = null;      // Blob of the captured photo (JPEG) or video (WebM).
     let capturedMediaType = null;      // Type of captured media: 'image' or 'video'.
+    let capturedThumbnail = null;      // Small JPEG data URL of the captured photo, shown in the gallery grid.
+    let previewObjectUrl = null;       // Blob URL shown in the post-capture preview (revoked on retake).
     let mediaRecorder = null;          // MediaRecorder instance for video capture.
     let videoChunks = [];              // Array to store video data chunks during recording.
     let isRecording = false;           // Boolean flag indicating if recording is active.
     let recordingTimeout = null;       // Timeout ID for auto-stopping recording after 30 seconds.
+    let micStream = null;              // Microphone MediaStream (requested separately, so a denied mic doesn't block the camera).
+    let micUnavailable = false;        // True once the mic was denied or is missing; videos are then recorded silently.
+    let micRequest = null;             // Pending microphone request, shared by overlapping camera starts.
+    let micMuted = false;              // Mute toggle: the audio track stays in the recording but carries silence.
     let currentFacingMode = 'user';    // Current camera direction: 'user' (front) or 'environment' (back).
+    let cameraDevices = [];            // Connected cameras ('videoinput' MediaDeviceInfo), from enumerateDevices().
+    let activeDeviceId = null;         // deviceId of the camera currently streaming.
     let animationFrameId = null;       // ID returned by requestAnimationFrame for the drawing loop.
     let frameCount = 0;                // Counter for frames, used by animated filters for time-based effects.
+    let selectedFilterId = null;       // ID of the chain entry whose parameter sliders are shown.
+    let zoomLevel = 1;                 // Current zoom factor (hardware zoom, or digital crop in filters.js).
+    let hardwareZoom = null;           // The track's zoom capability `{ min, max, step }`, or null to zoom digitally.
+    let focusMode = null;              // Focus mode used for tap-to-focus ('single-shot' or 'continuous'), or null if unsupported.
+    let pinchStart = null;             // `{ distance, zoom }` when a two-finger pinch on the canvas started.
+    let lastPinchEndedAt = 0;          // Timestamp of the last pinch, so lifting the fingers isn't taken as a tap.
+    let pendingTrackConstraints = null; // Camera settings waiting to be applied (see applyTrackConstraints).
+    let lastingTrackConstraints = {};  // Camera settings applied so far (zoom, exposure, torch), re-sent with every change.
+    let trackConstraintsApplying = null; // Promise of the applyConstraints() loop while it runs.
+    let focusRingTimeout = null;       // Timeout ID for hiding the focus ring.
+    let flashMode = 'off';             // 'off', 'on' (torch lit / screen flash on every photo) or 'auto' (only in the dark).
+    let torchSupported = false;        // True if the camera track has a controllable torch (usually rear cameras).
+    let torchOn = false;               // True while the torch is lit.
+    let isTakingPhoto = false;         // True while a photo waits for the flash, so a second tap doesn't capture twice.
+
+    const THUMBNAIL_WIDTH = 270;       // Width (px) of gallery grid thumbnails generated at save time.
+
+    // Capture settings (saved per user). Filters run on a preview canvas of at most PREVIEW_LONG_EDGE pixels;
+    // photos are rendered once at the chosen size when they are taken. Videos are recorded from the preview canvas,
+    // since every frame has to be filtered live.
+    const CAPTURE_ASPECTS = { '9:16': 9 / 16, '3:4': 3 / 4, '1:1': 1, '16:9': 16 / 9 }; // Width / height of the captured frame.
+    const CAPTURE_SIZES = { '720': 720, '1080': 1080, '1440': 1440, native: null }; // Short edge (px) of photos; null = the camera's full resolution.
+    const CAPTURE_SIZE_LABELS = { '720': '720p', '1080': '1080p', '1440': '1440p', native: 'Native' };
+    const DEFAULT_CAPTURE_SETTINGS = { aspect: '9:16', size: '1080', deviceId: null }; // deviceId null: pick by facing mode.
+    const PREVIEW_LONG_EDGE = 800;         // Long edge (px) of the live preview canvas (450x800 at 9:16).
+    const NATIVE_REQUEST_LONG_EDGE = 4096; // Ideal long edge requested for 'native', so the browser picks the camera's largest mode.
+    const DIGITAL_ZOOM_MAX = 4;            // Largest digital zoom (crop) factor, when the camera has no hardware zoom.
+    const DIGITAL_ZOOM_STEP = 0.1;
+    const FLASH_MODES = ['off', 'on', 'auto']; // Order the flash button cycles through.
+    const TORCH_SETTLE_MS = 400;       // Time for the camera's exposure to adjust after the torch turns on.
+    const SCREEN_FLASH_MS = 250;       // Time the white screen lights the face before the photo is taken.
+    const DARK_SCENE_LUMA = 60;        // Average luma (0-255) below which 'auto' flash fires.
+    let captureSettings = { ...DEFAULT_CAPTURE_SETTINGS };
 
     // --- Camera & Canvas Setup ---
 
     /**
-     * Configures the canvas dimensions to a fixed portrait aspect ratio (9:16).
-     * This ensures consistent output resolution for captured media and display.
+     * Computes the dimensions of a frame with the given aspect ratio and long edge.
+     * @param {number} aspect - Width / height.
+     * @param {number} longEdge - Length (px) of the longer side.
+     * @returns {object} `{ width, height }` in pixels.
+     */
+    const fitAspect = (aspect, longEdge) => (aspect >= 1
+        ? { width: longEdge, height: Math.round(longEdge / aspect) }
+        : { width: Math.round(longEdge * aspect), height: longEdge });
+
+    /**
+     * Configures the preview canvas to the chosen aspect ratio at a reduced resolution (PREVIEW_LONG_EDGE),
+     * so live filters stay fast. Photos are rendered separately at the chosen size (see getPhotoSize).
      */
     const setupCanvasResolution = () => {
-        const idealWidth = 450; // A good balance for mobile screen width.
-        const idealHeight = 800; // Corresponding height for a 9:16 aspect ratio.
+        const { width, height } = fitAspect(CAPTURE_ASPECTS[captureSettings.aspect], PREVIEW_LONG_EDGE);
+        canvas.width = width;
+        canvas.height = height;
+        console.log(`CAMERA_SETUP: Canvas resolution set to: ${canvas.width}x${canvas.height} (${captureSettings.aspect})`);
+    };
+
+    /**
+     * Computes the photo dimensions for the current settings: the largest crop of the camera frame with the
+     * chosen aspect ratio, scaled down to the chosen size (never up).
+     * @returns {object} `{ width, height }` in pixels (the preview canvas size while the camera isn't ready).
+     */
+    const getPhotoSize = () => {
+        if (!videoSource.videoWidth || !videoSource.videoHeight) {
+            return { width: canvas.width, height: canvas.height };
+        }
+        const aspect = CAPTURE_ASPECTS[captureSettings.aspect];
+        let width = videoSource.videoWidth;
+        let height = Math.round(width / aspect);
+        if (height > videoSource.videoHeight) {
+            height = videoSource.videoHeight;
+            width = Math.round(height * aspect);
+        }
+        const shortEdge = CAPTURE_SIZES[captureSettings.size];
+        const scale = shortEdge ? Math.min(1, shortEdge / Math.min(width, height)) : 1;
+        return { width: Math.round(width * scale), height: Math.round(height * scale) };
+    };
+
+    /**
+     * Builds the constraint that selects the camera: the picked device, or the current facing mode.
+     * @param {boolean} [strict=true] - False to only prefer the picked device (any camera will do if it is gone).
+     * @returns {object} `{ deviceId }` or `{ facingMode }`.
+     */
+    const getCameraSelector = (strict = true) => (captureSettings.deviceId
+        ? { deviceId: strict ? { exact: captureSettings.deviceId } : { ideal: captureSettings.deviceId } }
+        : { facingMode: currentFacingMode });
+
+    /**
+     * Builds the video constraints for the current settings. Everything except the camera selection is `ideal`,
+     * so the browser picks the closest camera mode; the frame is cropped to the chosen aspect ratio when it is drawn.
+     * @returns {object} The `video` constraints for getUserMedia.
+     */
+    const getVideoConstraints = () => {
+        const aspect = CAPTURE_ASPECTS[captureSettings.aspect];
+        const shortEdge = CAPTURE_SIZES[captureSettings.size];
+        const longEdge = shortEdge ? Math.round(shortEdge * Math.max(aspect, 1 / aspect)) : NATIVE_REQUEST_LONG_EDGE;
+        const { width, height } = fitAspect(aspect, longEdge);
+        return {
+            ...getCameraSelector(),
+            width: { ideal: width },   // e.g. 1080x1920 for 9:16 at 1080p
+            height: { ideal: height },
+            aspectRatio: { ideal: aspect }
+        };
+    };
+
+    /**
+     * Lists the connected cameras and fills the camera picker. Labels are empty until camera permission
+     * is granted, so this runs again after the camera starts and whenever devices change.
+     * (With Chromium's `--use-fake-device-for-media-stream` flag, the fake cameras show up here.)
+     * @returns {Promise<Array<MediaDeviceInfo>>} The 'videoinput' devices.
+     */
+    const refreshCameraDevices = async () => {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            cameraDeviceRow.style.display = 'none';
+            return [];
+        }
+        try {
+            cameraDevices = (await navigator.mediaDevices.enumerateDevices()).filter(device => device.kind === 'videoinput');
+        } catch (err) {
+            console.warn('CAMERA_DEVICES: Could not list cameras:', err);
+            cameraDevices = [];
+        }
+        renderCameraDeviceSelect();
+        return cameraDevices;
+    };
+
+    /**
+     * Fills the camera picker: 'Automatic' (front/back by the switch button) plus one entry per connected camera.
+     */
+    const renderCameraDeviceSelect = () => {
+        cameraDeviceSelect.innerHTML = '';
+        cameraDeviceSelect.appendChild(new Option('Automatic (front/back)', ''));
+        cameraDevices.forEach((device, index) => {
+            const label = device.label || `Camera ${index + 1}`;
+            cameraDeviceSelect.appendChild(new Option(device.deviceId === activeDeviceId ? `${label} (in use)` : label, device.deviceId));
+        });
+        const pickedConnected = cameraDevices.some(device => device.deviceId === captureSettings.deviceId);
+        cameraDeviceSelect.value = pickedConnected ? captureSettings.deviceId : '';
+    };
+
+    /**
+     * Loads the user's saved capture settings (from their user record), ignoring unknown presets.
+     */
+    const loadCaptureSettings = async () => {
+        const user = await getDataByKey('users', currentUser.id);
+        captureSettings = { ...DEFAULT_CAPTURE_SETTINGS, ...(user && user.captureSettings) };
+        if (!(captureSettings.aspect in CAPTURE_ASPECTS)) captureSettings.aspect = DEFAULT_CAPTURE_SETTINGS.aspect;
+        if (!(captureSettings.size in CAPTURE_SIZES)) captureSettings.size = DEFAULT_CAPTURE_SETTINGS.size;
+    };
+
+    /**
+     * Saves the capture settings on the user record, so they are kept across sessions.
+     */
+    const saveCaptureSettings = async () => {
+        const user = await getDataByKey('users', currentUser.id);
+        if (!user) return;
+        await updateData('users', { ...user, captureSettings });
+        console.log('CAPTURE_SETTINGS: Saved capture settings:', captureSettings);
+    };
+
+    /**
+     * Renders the preset buttons of the capture settings panel and the resulting photo/video dimensions.
+     */
+    const renderCaptureSettings = () => {
+        const renderOptions = (container, options, selected, onSelect) => {
+            container.innerHTML = '';
+            options.forEach(({ value, label }) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'filter-button';
+                button.classList.toggle('active', value === selected);
+                button.textContent = label;
+                button.addEventListener('click', () => onSelect(value));
+                container.appendChild(button);
+            });
+        };
+        renderOptions(captureAspectOptions, Object.keys(CAPTURE_ASPECTS).map(aspect => ({ value: aspect, label: aspect })),
+            captureSettings.aspect, aspect => updateCaptureSettings({ aspect }));
+        renderCameraDeviceSelect();
+        renderOptions(captureSizeOptions, Object.keys(CAPTURE_SIZES).map(size => ({ value: size, label: CAPTURE_SIZE_LABELS[size] })),
+            captureSettings.size, size => updateCaptureSettings({ size }));
 
-        canvas.width = idealWidth;
-        canvas.height = idealHeight;
-        console.log(`CAMERA_SETUP: Canvas resolution set to: ${canvas.width}x${canvas.height}`);
+        const photoSize = getPhotoSize();
+        captureSettingsNote.textContent = videoSource.videoWidth
+            ? `Photos: ${photoSize.width}x${photoSize.height} · Videos: ${canvas.width}x${canvas.height} (camera: ${videoSource.videoWidth}x${videoSource.videoHeight})`
+            : 'Waiting for the camera...';
+    };
+
+    /**
+     * Changes the aspect ratio, photo size or camera, saves it and restarts the camera with matching constraints.
+     * Ignored while recording (the recording keeps the camera and size it started with).
+     * @param {object} changes - Any of `{ aspect, size, deviceId }`.
+     */
+    const updateCaptureSettings = (changes) => {
+        if (isRecording) {
+            renderCaptureSettings(); // Undo the change in the controls.
+            return;
+        }
+        captureSettings = { ...captureSettings, ...changes };
+        setupCanvasResolution();
+        if (currentStream) {
+            startCamera(); // Ask for a camera mode that suits the new settings.
+        }
+        renderCaptureSettings();
+        saveCaptureSettings().catch(error => console.error('CAPTURE_SETTINGS: Failed to save capture settings:', error));
     };
 
     /**
@@ -105,19 +323,32 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         try {
-            // Define video constraints: preferred facing mode and desired aspect ratio/resolution.
-            // `ideal` values are hints; browser tries to get closest. `exact` forces it (may cause errors if not supported).
-            const constraints = { 
-                video: { 
-                    facingMode: currentFacingMode,
-                    width: { ideal: 1080 },  // Request high resolution width (for quality)
-                    height: { ideal: 1920 }, // Request high resolution height (for 9:16 portrait)
-                    aspectRatio: { exact: 9 / 16 } // Explicitly request 9:16 aspect ratio (critical for layout)
-                },
-                audio: false // No audio needed for this clone's current features.
+            // Define video constraints: preferred facing mode and the chosen aspect ratio/resolution.
+            // `ideal` values are hints; the browser picks the closest mode (see getVideoConstraints).
+            const constraints = {
+                video: getVideoConstraints(),
+                audio: false // The microphone is requested separately (see startMicrophone).
             };
             console.log('CAMERA_START: Requesting camera access with constraints:', constraints);
-            currentStream = await navigator.mediaDevices.getUserMedia(constraints);
+            try {
+                currentStream = await navigator.mediaDevices.getUserMedia(constraints);
+            } catch (err) {
+                if (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError') throw err;
+                // Some browsers reject even `ideal` values they can't meet, and a picked camera may be unplugged.
+                // Any camera mode will do, since the frame is cropped to the chosen aspect ratio when it is drawn.
+                console.warn(`CAMERA_START: Constraints not supported (${err.constraint || err.message}); retrying with the camera selection only.`);
+                currentStream = await navigator.mediaDevices.getUserMedia({ video: getCameraSelector(false), audio: false });
+            }
+
+            const trackSettings = currentStream.getVideoTracks()[0].getSettings();
+            activeDeviceId = trackSettings.deviceId || null;
+            if (captureSettings.deviceId) {
+                // A picked camera is mirrored unless it faces away from the user (webcams usually report no facing mode).
+                currentFacingMode = trackSettings.facingMode === 'environment' ? 'environment' : 'user';
+            }
+            console.log(`CAMERA_START: Using camera "${currentStream.getVideoTracks()[0].label}" (${currentFacingMode === 'user' ? 'mirrored' : 'not mirrored'}).`);
+            refreshCameraDevices(); // Device labels are available now that the camera is allowed.
+            setupTrackControls();   // Zoom, focus and exposure depend on what this camera supports.
             videoSource.srcObject = currentStream;
             videoSource.play(); // Start playing the hidden video stream.
 
@@ -129,6 +360,7 @@ document.addEventListener('DOMContentLoaded', () => {
             // Using `canplay` or `playing` is often more robust than `loadedmetadata` for initial drawing.
             const onVideoReady = () => {
                 console.log(`CAMERA_READY: Video is ready for playback. Native resolution: ${videoSource.videoWidth}x${videoSource.videoHeight}`);
+                renderCaptureSettings(); // Show the photo size this camera mode allows.
                 // Start drawing video to canvas with filters after video is ready.
                 if (!animationFrameId) { // Prevent multiple loops if this event fires multiple times.
                     animationFrameId = requestAnimationFrame(drawFrame);
@@ -146,18 +378,15 @@ document.addEventListener('DOMContentLoaded', () => {
             photoPreview.style.display = 'none';   // Hide any previous photo preview.
             captionInput.style.display = 'none';   // Hide caption input.
             postCaptureControls.style.display = 'none'; // Hide post-capture controls.
+            zoomControls.style.display = 'flex';        // Show zoom (and exposure) controls.
             captureButton.style.display = 'block'; // Show the main capture button.
             captureButton.classList.remove('recording'); // Ensure recording indicator is off.
 
-            // Apply the appropriate CSS class for the active filter to the canvas element.
-            const activeFilter = FilterManager.getActiveFilter();
-            if (activeFilter.type === 'css') {
-                canvas.className = activeFilter.applyFunc; // `applyFunc` stores the CSS class name.
-                console.log(`CAMERA_START: Applied CSS filter class: "${canvas.className}".`);
-            } else {
-                canvas.className = ''; // Clear any previous CSS filter class for canvas filters.
-                console.log('CAMERA_START: Cleared CSS filter class (using canvas filter).');
-            }
+            // All filters (including 'css' ones) are rendered into the canvas bitmap by FilterManager,
+            // so no CSS filter class is needed on the canvas element itself.
+            canvas.className = '';
+
+            startMicrophone(); // Not awaited: the live view doesn't wait for the mic prompt.
 
         } catch (err) {
             console.error("CAMERA_ERROR: Failed to access camera:", err);
@@ -181,7 +410,319 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     /**
-     * Stops the camera stream and the canvas animation loop.
+     * Requests the microphone for video recordings (once per camera start; the browser remembers the permission).
+     * If it is denied or missing, recordings fall back to silent video and the mic button shows that.
+     * Calls made while a request is pending wait for that request instead of opening a second stream.
+     * @returns {Promise<void>}
+     */
+    const startMicrophone = () => {
+        if (micStream || micUnavailable) return Promise.resolve();
+        if (!micRequest) {
+            micRequest = requestMicrophone().finally(() => { micRequest = null; });
+        }
+        return micRequest;
+    };
+
+    /**
+     * Asks for the microphone stream (see startMicrophone).
+     */
+    const requestMicrophone = async () => {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            micUnavailable = true;
+            updateMicButton();
+            return;
+        }
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: true, noiseSuppression: true },
+                video: false
+            });
+            if (!currentStream || micStream) {
+                // The camera was stopped (e.g., a photo was taken) while the prompt was open, or a mic is already live.
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+            micStream = stream;
+            micStream.getAudioTracks().forEach(track => { track.enabled = !micMuted; });
+            console.log('MIC_START: Microphone ready for video recording.');
+        } catch (err) {
+            micUnavailable = true;
+            console.warn(`MIC_START: Microphone not available (${err.name}); videos will be recorded without sound.`, err);
+        }
+        updateMicButton();
+    };
+
+    /**
+     * Releases the microphone.
+     */
+    const stopMicrophone = () => {
+        if (micStream) {
+            console.log('MIC_STOP: Stopping microphone tracks.');
+            micStream.getTracks().forEach(track => track.stop());
+            micStream = null;
+        }
+    };
+
+    /**
+     * Shows the microphone state on the mic button: on, muted, or unavailable (silent recordings).
+     */
+    const updateMicButton = () => {
+        const off = micMuted || micUnavailable;
+        micButton.innerHTML = `<i class="fas ${off ? 'fa-microphone-slash' : 'fa-microphone'}"></i>`;
+        micButton.classList.toggle('muted', off);
+        micButton.title = micUnavailable
+            ? 'Microphone unavailable: videos are recorded without sound'
+            : micMuted ? 'Microphone muted (tap to unmute)' : 'Mute microphone while recording';
+    };
+
+    // --- Zoom, Focus & Exposure ---
+
+    /**
+     * Retrieves the live camera track.
+     * @returns {MediaStreamTrack|null} The video track, or null while the camera is stopped.
+     */
+    const getVideoTrack = () => (currentStream ? currentStream.getVideoTracks()[0] || null : null);
+
+    /**
+     * Configures the zoom slider, exposure slider and tap-to-focus for the camera that just started.
+     * Hardware zoom, focus and exposure are used where `getCapabilities()` reports them; otherwise zoom
+     * falls back to a digital crop (FilterManager.setDigitalZoom) and the other controls are hidden.
+     */
+    const setupTrackControls = () => {
+        const track = getVideoTrack();
+        // Not every browser implements getCapabilities() (e.g. Firefox); treat that as "no hardware controls".
+        const capabilities = track && typeof track.getCapabilities === 'function' ? track.getCapabilities() : {};
+        const settings = track ? track.getSettings() : {};
+        pendingTrackConstraints = null;
+        lastingTrackConstraints = {};
+
+        hardwareZoom = capabilities.zoom && capabilities.zoom.max > capabilities.zoom.min ? capabilities.zoom : null;
+        if (hardwareZoom) {
+            zoomSlider.min = hardwareZoom.min;
+            zoomSlider.max = hardwareZoom.max;
+            zoomSlider.step = hardwareZoom.step || DIGITAL_ZOOM_STEP;
+            zoomLevel = typeof settings.zoom === 'number' ? settings.zoom : hardwareZoom.min;
+        } else {
+            zoomSlider.min = 1;
+            zoomSlider.max = DIGITAL_ZOOM_MAX;
+            zoomSlider.step = DIGITAL_ZOOM_STEP;
+            zoomLevel = 1;
+        }
+        FilterManager.setDigitalZoom(1); // A new camera starts unzoomed.
+        renderZoom();
+
+        const exposure = capabilities.exposureCompensation;
+        if (exposure && exposure.max > exposure.min) {
+            exposureSlider.min = exposure.min;
+            exposureSlider.max = exposure.max;
+            exposureSlider.step = exposure.step || 0.1;
+            exposureSlider.value = typeof settings.exposureCompensation === 'number' ? settings.exposureCompensation : 0;
+            renderExposure();
+            exposureControl.style.display = 'flex';
+        } else {
+            exposureControl.style.display = 'none';
+        }
+
+        // Tap-to-focus needs a focus mode that refocuses and the `pointsOfInterest` constraint.
+        const focusModes = capabilities.focusMode || [];
+        const supportsPoints = !!navigator.mediaDevices.getSupportedConstraints().pointsOfInterest;
+        focusMode = !supportsPoints ? null
+            : focusModes.includes('single-shot') ? 'single-shot'
+            : focusModes.includes('continuous') ? 'continuous' : null;
+
+        torchSupported = !!capabilities.torch;
+        torchOn = false;
+        if (torchSupported && flashMode === 'on') {
+            setTorch(true); // 'on' keeps the torch lit while the camera is live.
+        }
+        updateFlashButton();
+
+        console.log(`CAMERA_CONTROLS: Torch ${torchSupported ? 'available' : 'unavailable (screen flash)'}, zoom ${hardwareZoom ? `hardware ${hardwareZoom.min}-${hardwareZoom.max}x` : `digital 1-${DIGITAL_ZOOM_MAX}x`}, `
+            + `exposure ${exposureControl.style.display === 'none' ? 'unavailable' : 'available'}, tap-to-focus ${focusMode || 'unavailable'}.`);
+    };
+
+    /**
+     * Applies camera settings (zoom, exposure, torch, focus) to the live track. Calls made while applyConstraints()
+     * is still running are merged and applied afterwards, so a pinch doesn't queue up dozens of calls.
+     * @param {object} constraints - Advanced constraints, e.g. `{ zoom: 2 }`.
+     * @returns {Promise<void>} Resolves once these settings have been applied (or failed).
+     */
+    const applyTrackConstraints = (constraints) => {
+        pendingTrackConstraints = { ...pendingTrackConstraints, ...constraints };
+        if (trackConstraintsApplying) {
+            return trackConstraintsApplying; // The running loop picks these up before it resolves.
+        }
+        const applyPending = async () => {
+            while (pendingTrackConstraints) {
+                const advanced = pendingTrackConstraints;
+                pendingTrackConstraints = null;
+                // Focus points are one-off requests; the other settings stay applied.
+                const lasting = { ...advanced };
+                delete lasting.pointsOfInterest;
+                delete lasting.focusMode;
+                lastingTrackConstraints = { ...lastingTrackConstraints, ...lasting };
+                const track = getVideoTrack();
+                if (!track) break;
+                try {
+                    // applyConstraints() replaces the whole set, so keep the resolution and camera constraints
+                    // and re-send the settings applied earlier (a zoom change must not turn the torch off).
+                    await track.applyConstraints({ ...track.getConstraints(), advanced: [{ ...lastingTrackConstraints, ...advanced }] });
+                } catch (err) {
+                    console.warn('CAMERA_CONTROLS: Could not apply camera settings:', advanced, err);
+                }
+            }
+        };
+        trackConstraintsApplying = applyPending().finally(() => { trackConstraintsApplying = null; });
+        return trackConstraintsApplying;
+    };
+
+    /**
+     * Shows the current zoom factor on the slider and its label.
+     */
+    const renderZoom = () => {
+        zoomSlider.value = zoomLevel;
+        zoomLevelLabel.textContent = `${zoomLevel.toFixed(1)}x`;
+    };
+
+    /**
+     * Shows the current exposure compensation next to its slider.
+     */
+    const renderExposure = () => {
+        const value = parseFloat(exposureSlider.value);
+        exposureValue.textContent = `${value > 0 ? '+' : ''}${value.toFixed(1)} EV`;
+    };
+
+    /**
+     * Zooms the live camera: with the hardware zoom where supported, otherwise by cropping the frame digitally.
+     * @param {number} level - The zoom factor (clamped to the slider's range).
+     */
+    const setZoom = (level) => {
+        zoomLevel = Math.min(parseFloat(zoomSlider.max), Math.max(parseFloat(zoomSlider.min), level));
+        if (hardwareZoom) {
+            applyTrackConstraints({ zoom: zoomLevel });
+        } else {
+            FilterManager.setDigitalZoom(zoomLevel);
+        }
+        renderZoom();
+    };
+
+    /**
+     * Maps a tap on the canvas to a point of the camera frame, for tap-to-focus.
+     * @param {MouseEvent} event - The click on the canvas.
+     * @returns {object|null} `{ x, y }` normalized to the video frame (0-1), or null outside the picture.
+     */
+    const getFramePoint = (event) => {
+        const rect = canvas.getBoundingClientRect();
+        // The canvas is letterboxed (object-fit: contain), so find the area the picture fills.
+        const scale = Math.min(rect.width / canvas.width, rect.height / canvas.height);
+        const pictureWidth = canvas.width * scale;
+        const pictureHeight = canvas.height * scale;
+        let x = (event.clientX - rect.left - (rect.width - pictureWidth) / 2) / pictureWidth;
+        const y = (event.clientY - rect.top - (rect.height - pictureHeight) / 2) / pictureHeight;
+        if (x < 0 || x > 1 || y < 0 || y > 1) return null;
+
+        if (currentFacingMode === 'user') x = 1 - x; // The preview is mirrored; the video frame isn't.
+        // The canvas shows a crop of the frame (aspect ratio and digital zoom).
+        const { sx, sy, sWidth, sHeight } = FilterManager.computeCoverRect(videoSource, canvas);
+        return {
+            x: (sx + x * sWidth) / videoSource.videoWidth,
+            y: (sy + y * sHeight) / videoSource.videoHeight
+        };
+    };
+
+    /**
+     * Briefly shows the focus ring where the user tapped.
+     * @param {MouseEvent} event - The click on the canvas.
+     */
+    const showFocusRing = (event) => {
+        const containerRect = focusRing.parentElement.getBoundingClientRect();
+        focusRing.style.left = `${event.clientX - containerRect.left}px`;
+        focusRing.style.top = `${event.clientY - containerRect.top}px`;
+        focusRing.classList.add('visible');
+        clearTimeout(focusRingTimeout);
+        focusRingTimeout = setTimeout(() => focusRing.classList.remove('visible'), 800);
+    };
+
+    /**
+     * Gets the distance between the first two touches (for pinch-to-zoom).
+     * @param {TouchList} touches - The touches of the event.
+     * @returns {number} The distance in CSS pixels.
+     */
+    const getTouchDistance = (touches) => Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+
+    // --- Flash ---
+
+    /**
+     * Turns the torch (the camera's LED) on or off, on cameras that have one.
+     * @param {boolean} on - True to light the torch.
+     * @returns {Promise<void>} Resolves once the change is applied.
+     */
+    const setTorch = async (on) => {
+        if (!torchSupported || torchOn === on) return;
+        torchOn = on;
+        console.log(`FLASH: Torch ${on ? 'on' : 'off'}.`);
+        await applyTrackConstraints({ torch: on });
+    };
+
+    /**
+     * Estimates whether the scene is too dark to capture without a flash, from the raw camera frame
+     * (not the filtered preview, so a dark filter doesn't trigger the flash).
+     * @returns {boolean} True if the average brightness is below DARK_SCENE_LUMA.
+     */
+    const isSceneDark = () => {
+        if (videoSource.readyState < 2) return false;
+        const sample = document.createElement('canvas');
+        sample.width = 16;
+        sample.height = 16;
+        const sampleCtx = sample.getContext('2d');
+        sampleCtx.drawImage(videoSource, 0, 0, sample.width, sample.height);
+        const data = sampleCtx.getImageData(0, 0, sample.width, sample.height).data;
+        let luma = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            luma += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        }
+        return luma / (data.length / 4) < DARK_SCENE_LUMA;
+    };
+
+    /**
+     * Lights the scene for a photo according to the flash mode: the torch where the camera has one,
+     * otherwise (e.g., the front camera) the white screen overlay. Resolves once the light has settled,
+     * so the frame rendered next is lit.
+     * @returns {Promise<Function>} Call it once the frame is captured to turn the light off again.
+     */
+    const startCaptureFlash = async () => {
+        if (flashMode === 'off' || (flashMode === 'auto' && !isSceneDark())) {
+            return () => {};
+        }
+        if (torchSupported) {
+            if (torchOn) return () => {}; // 'on' mode: the torch is already lit.
+            await setTorch(true);
+            await new Promise(resolve => setTimeout(resolve, TORCH_SETTLE_MS)); // Let the exposure adjust.
+            return () => setTorch(false);
+        }
+        console.log('FLASH: Screen flash for the photo.');
+        screenFlashOverlay.style.opacity = 1; // Bright white screen lights the face.
+        await new Promise(resolve => setTimeout(resolve, SCREEN_FLASH_MS));
+        return () => {
+            screenFlashOverlay.style.opacity = 0; // Fade out (see the overlay's CSS transition).
+        };
+    };
+
+    /**
+     * Shows the flash mode on the flash button: a bolt that is dimmed (off), lit (on) or marked 'A' (auto).
+     */
+    const updateFlashButton = () => {
+        flashlightButton.innerHTML = `<i class="fas fa-bolt"></i>${flashMode === 'auto' ? '<span class="flash-mode-badge">A</span>' : ''}`;
+        flashlightButton.classList.toggle('flash-off', flashMode === 'off');
+        flashlightButton.classList.toggle('flash-on', flashMode !== 'off');
+        const light = torchSupported ? 'torch' : 'screen flash';
+        flashlightButton.title = flashMode === 'off' ? 'Flash off'
+            : flashMode === 'on' ? (torchSupported ? 'Torch on' : 'Screen flash on every photo')
+            : `Auto: ${light} when it's dark`;
+    };
+
+    /**
+     * Stops the camera stream (and the microphone) and the canvas animation loop.
      * Essential for releasing camera resources and for stable capture.
      */
     const stopCamera = () => {
@@ -190,6 +731,8 @@ document.addEventListener('DOMContentLoaded', () => {
             currentStream.getTracks().forEach(track => track.stop());
             currentStream = null;
         }
+        torchOn = false; // Stopping the track turns the torch off.
+        stopMicrophone();
         if (animationFrameId) {
             console.log('CAMERA_STOP: Cancelling animation frame loop.');
             cancelAnimationFrame(animationFrameId);
@@ -198,34 +741,71 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     /**
-     * Captures a still photo from the current state of the canvas.
-     * The active filter and mirroring are "baked" into the captured image.
+     * Reports a photo capture that failed (takePhoto is started from event handlers without being awaited).
+     * @param {Error} error - The error thrown while capturing.
      */
-    const takePhoto = () => {
+    const handleCaptureError = (error) => {
+        console.error('CAPTURE_ERROR: Failed to take the photo:', error);
+        alert('Failed to capture photo. Please try again.');
+    };
+
+    /**
+     * Captures a still photo of the current camera frame at the chosen aspect ratio and size.
+     * The active filter and mirroring are "baked" into the captured image, which is stored as a JPEG Blob.
+     */
+    const takePhoto = async () => {
+        if (isTakingPhoto || !currentStream) return;
         console.log('CAPTURE: Initiating photo capture.');
-        stopCamera(); // Stop live camera processing to get a stable, single frame for capture.
-        
-        // Ensure the last frame with active filters is drawn to canvas before capturing.
-        // This ensures pixel-based filters and mirroring are applied correctly.
-        FilterManager.applyActiveFilter(ctx, videoSource, canvas, frameCount, currentFacingMode);
+        isTakingPhoto = true;
+        let endFlash = () => {};
+        const photoCanvas = document.createElement('canvas');
+        try {
+            endFlash = await startCaptureFlash(); // Torch or screen flash, depending on the flash mode.
 
-        // Get image data as a Base64 encoded JPEG. Quality 0.9 for balance.
-        capturedMediaData = canvas.toDataURL('image/jpeg', 0.9);
+            // Render the current frame once at full photo size on a separate canvas (the live preview is downscaled).
+            // This ensures pixel-based filters and mirroring are applied correctly.
+            // Rendered synchronously (not in the filter worker) so the canvas holds this frame right now.
+            const photoSize = getPhotoSize();
+            photoCanvas.width = photoSize.width;
+            photoCanvas.height = photoSize.height;
+            FilterManager.applyActiveFilter(photoCanvas.getContext('2d'), videoSource, photoCanvas, frameCount, currentFacingMode, true);
+            console.log(`CAPTURE: Rendered the photo at ${photoCanvas.width}x${photoCanvas.height}.`);
+        } finally {
+            // Even if the render failed: turn the light off and allow another capture (the live view keeps running).
+            endFlash();
+            isTakingPhoto = false;
+        }
+
+        stopCamera(); // Stop live camera processing now that the frame is captured.
+
+        capturedThumbnail = createThumbnail(photoCanvas, photoCanvas.width, photoCanvas.height); // Grid preview; full image loads in the viewer.
+
+        // Encode the frame as a binary JPEG (about 25% smaller than a Base64 data URL). Quality 0.9 for balance.
+        const photoBlob = await new Promise(resolve => photoCanvas.toBlob(resolve, 'image/jpeg', 0.9));
+        if (!photoBlob) {
+            console.error('CAPTURE_ERROR: canvas.toBlob() returned no data.');
+            alert('Failed to capture photo. Please try again.');
+            capturedThumbnail = null;
+            startCamera();
+            return;
+        }
+        capturedMediaData = photoBlob;
         capturedMediaType = 'image';
-        console.log('CAPTURE: Photo captured (Base64 data generated).');
+        console.log(`CAPTURE: Photo captured (${photoBlob.size} byte JPEG Blob).`);
 
         // Update UI to show photo preview and post-capture controls.
-        photoPreview.src = capturedMediaData;
+        photoPreview.src = createPreviewUrl(photoBlob);
         photoPreview.setAttribute('data-type', 'image'); // Indicate that this is an image preview.
         photoPreview.style.display = 'block';           // Show the image element.
         captionInput.style.display = 'block';           // Show caption input.
         postCaptureControls.style.display = 'flex';     // Show Retake/Save buttons.
+        zoomControls.style.display = 'none';            // Zoom only applies to the live camera.
         captureButton.style.display = 'none';           // Hide the main capture button.
         
         canvas.style.display = 'none'; // Hide the canvas since we are now showing a static preview.
 
-        // Transfer CSS filter class from canvas to photo preview for visual consistency.
-        photoPreview.className = canvas.className;
+        // The filter is already baked into the captured pixels, so the preview needs no CSS filter class.
+        photoPreview.className = '';
         photoPreview.style.transform = 'none'; // Ensure no residual CSS transforms on the preview.
     };
 
@@ -241,13 +821,27 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         console.log('RECORDING: Initiating video recording.');
+        if (torchSupported && flashMode === 'auto' && isSceneDark()) {
+            setTorch(true); // Light the video; the torch goes off when the camera stops.
+        }
         isRecording = true;
         captureButton.classList.add('recording'); // Add visual recording indicator (pulsing).
         videoChunks = []; // Clear previous video chunks for a new recording.
 
         // Create a MediaRecorder instance from the canvas's stream.
         // `canvas.captureStream(30)` creates a new MediaStream from the canvas, at 30 frames per second.
-        mediaRecorder = new MediaRecorder(canvas.captureStream(30), { mimeType: 'video/webm; codecs=vp8' });
+        // The microphone's track is added to it, so the recording carries sound (muting disables the track,
+        // which records silence). Without a mic the video is silent.
+        const recordingStream = canvas.captureStream(30);
+        const audioTrack = micStream ? micStream.getAudioTracks().find(track => track.readyState === 'live') : null;
+        if (audioTrack) {
+            recordingStream.addTrack(audioTrack);
+        }
+        const mimeType = audioTrack && MediaRecorder.isTypeSupported('video/webm; codecs=vp8,opus')
+            ? 'video/webm; codecs=vp8,opus'
+            : 'video/webm; codecs=vp8';
+        mediaRecorder = new MediaRecorder(recordingStream, { mimeType });
+        console.log(`RECORDING: Recording ${audioTrack ? `with sound${micMuted ? ' (muted)' : ''}` : 'without sound'} (${mimeType}).`);
 
         // Event listener to collect video data chunks as they become available.
         mediaRecorder.ondataavailable = (event) => {
@@ -268,21 +862,19 @@ document.addEventListener('DOMContentLoaded', () => {
             capturedMediaType = 'video';
             console.log('RECORDING: Video Blob generated:', videoBlob);
 
-            // Create a temporary URL for the video Blob to display in the preview.
-            const videoUrl = URL.createObjectURL(videoBlob);
-            
             // Update UI to show video preview and post-capture controls.
-            photoPreview.src = videoUrl;
+            photoPreview.src = createPreviewUrl(videoBlob); // Temporary URL for the video Blob.
             photoPreview.setAttribute('data-type', 'video'); // Indicate it's a video preview.
             photoPreview.setAttribute('controls', '');      // Show default video controls (will be replaced by custom).
             photoPreview.style.display = 'block';           // Show the video element.
             captionInput.style.display = 'block';           // Show caption input.
             postCaptureControls.style.display = 'flex';     // Show Retake/Save buttons.
+            zoomControls.style.display = 'none';            // Zoom only applies to the live camera.
             captureButton.style.display = 'none';           // Hide the main capture button.
             
             canvas.style.display = 'none'; // Hide the canvas.
-            // Transfer CSS filter class if any (for visual consistency on preview).
-            photoPreview.className = canvas.className;
+            // The filter is already baked into the recorded frames, so no CSS filter class is needed.
+            photoPreview.className = '';
             photoPreview.style.transform = 'none'; // Ensure no residual CSS transforms.
             
             stopCamera(); // Stop live camera processing after video is finalized.
@@ -343,7 +935,7 @@ document.addEventListener('DOMContentLoaded', () => {
         } else {
             // If no recording started (meaning it was a quick click, shorter than PRESS_THRESHOLD), take a photo.
             console.log('EVENT: Short click detected, taking photo.');
-            takePhoto();
+            takePhoto().catch(handleCaptureError);
         }
     });
 
@@ -376,7 +968,7 @@ document.addEventListener('DOMContentLoaded', () => {
         } else {
             // If no recording started (it was a quick tap), take a photo.
             console.log('EVENT: Short tap detected, taking photo.');
-            takePhoto();
+            takePhoto().catch(handleCaptureError);
         }
     });
 
@@ -395,10 +987,12 @@ document.addEventListener('DOMContentLoaded', () => {
         // Clear all captured media data and reset UI elements.
         capturedMediaData = null;
         capturedMediaType = null;
+        capturedThumbnail = null;
         captionInput.value = ''; // Clear any caption entered.
         
         // Reset photo preview element to its initial state.
         photoPreview.src = '';
+        revokePreviewUrl();
         photoPreview.removeAttribute('controls'); 
         photoPreview.removeAttribute('data-type');
         photoPreview.className = ''; // Remove any filter classes.
@@ -420,14 +1014,18 @@ document.addEventListener('DOMContentLoaded', () => {
             senderId: currentUser.id, // ID of the user who captured this media.
             type: capturedMediaType,   // Type: 'image' or 'video'.
             caption: captionInput.value.trim(), // Get caption from input field.
+            tags: parseHashtags(captionInput.value), // #hashtags in the caption (encrypted; blind-indexed for gallery search).
             timestamp: Date.now(),     // Current timestamp for chronological sorting.
-            filtersApplied: FilterManager.getActiveFilter().id, // Store the ID of the filter applied.
-            // Zooming functionality has been removed, so `zoomLevel` is no longer saved.
+            filtersApplied: FilterManager.getAppliedFilterIds(), // Ordered IDs of the filters applied (the enabled chain).
+            filterParams: FilterManager.getAppliedFilterParams(), // Slider values used, keyed by filter ID.
+            filtersBaked: true,        // The filter is rendered into the pixel data (no CSS class needed on display).
+            zoomLevel,                 // Zoom factor used (already in the pixels, like the filters).
         };
         console.log('UI_ACTION: Media data prepared for saving:', mediaToSave);
 
         if (capturedMediaType === 'image') {
-            mediaToSave.data = capturedMediaData; // Image data (Base64 string).
+            mediaToSave.data = capturedMediaData; // Image data (JPEG Blob).
+            mediaToSave.thumbnail = capturedThumbnail; // Small preview for the gallery grid.
             await saveAndRedirect(mediaToSave);
         } else if (capturedMediaType === 'video') {
             mediaToSave.data = capturedMediaData; // Video data (Blob object).
@@ -439,15 +1037,8 @@ document.addEventListener('DOMContentLoaded', () => {
             
             tempVideoElement.onloadeddata = async () => {
                 console.log('THUMBNAIL_GEN: Video loaded for thumbnail generation.');
-                const tempCanvas = document.createElement('canvas');
-                tempCanvas.width = tempVideoElement.videoWidth;
-                tempCanvas.height = tempVideoElement.videoHeight;
-                const tempCtx = tempCanvas.getContext('2d');
-                
                 // Draw thumbnail WITHOUT mirroring (as the video data is already baked and correctly oriented).
-                tempCtx.drawImage(tempVideoElement, 0, 0, tempCanvas.width, tempCanvas.height);
-
-                mediaToSave.thumbnail = tempCanvas.toDataURL('image/jpeg', 0.7); // Save thumbnail as Base64.
+                mediaToSave.thumbnail = createThumbnail(tempVideoElement, tempVideoElement.videoWidth, tempVideoElement.videoHeight); // Save thumbnail as Base64.
                 console.log('THUMBNAIL_GEN: Thumbnail generated for video.');
                 
                 await saveAndRedirect(mediaToSave);
@@ -462,44 +1053,344 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    /**
+     * Creates the Blob URL for the post-capture preview, replacing (and revoking) the previous one.
+     * @param {Blob} blob - The captured photo or video.
+     * @returns {string} The Blob URL.
+     */
+    function createPreviewUrl(blob) {
+        revokePreviewUrl();
+        previewObjectUrl = URL.createObjectURL(blob);
+        return previewObjectUrl;
+    }
+
+    /**
+     * Revokes the post-capture preview's Blob URL, if any, to free its memory.
+     */
+    function revokePreviewUrl() {
+        if (previewObjectUrl) {
+            URL.revokeObjectURL(previewObjectUrl);
+            previewObjectUrl = null;
+        }
+    }
+
+    /**
+     * Creates a small JPEG thumbnail (THUMBNAIL_WIDTH wide) of an image source for the gallery grid.
+     * @param {CanvasImageSource} source - The canvas or video element to draw from.
+     * @param {number} sourceWidth - The source width in pixels.
+     * @param {number} sourceHeight - The source height in pixels.
+     * @returns {string} The thumbnail as a Base64 JPEG data URL.
+     */
+    function createThumbnail(source, sourceWidth, sourceHeight) {
+        const scale = Math.min(1, THUMBNAIL_WIDTH / sourceWidth); // Never upscale.
+        const thumbCanvas = document.createElement('canvas');
+        thumbCanvas.width = Math.round(sourceWidth * scale);
+        thumbCanvas.height = Math.round(sourceHeight * scale);
+        thumbCanvas.getContext('2d').drawImage(source, 0, 0, thumbCanvas.width, thumbCanvas.height);
+        return thumbCanvas.toDataURL('image/jpeg', 0.7);
+    }
+
     /**
      * Saves the prepared media object to IndexedDB and then redirects the user to the gallery page.
+     * The full media data is stored in the 'mediaBlobs' store; the 'media' record keeps only the small fields.
      * @param {object} mediaToSave - The media object ready for storage.
      */
     async function saveAndRedirect(mediaToSave) {
         try {
             await openDatabase(); // Ensure IndexedDB is open and ready.
-            const mediaId = await addData('media', mediaToSave); // Add data to the 'media' object store.
+
+            // Warn before the storage quota is reached, with suggestions on what to clean up.
+            const incomingBytes = mediaToSave.data.size + (mediaToSave.thumbnail ? mediaToSave.thumbnail.length : 0);
+            const quotaWarning = await checkStorageBeforeSave(currentUser.id, incomingBytes).catch(() => null);
+            if (quotaWarning && !confirm(`Storage is almost full (${formatBytes(quotaWarning.usage)} of ${formatBytes(quotaWarning.quota)} used).\n\n`
+                + formatCleanupSuggestions(quotaWarning.suggestions) + '\n\nSave anyway?')) {
+                console.log('DB_SAVE: Save cancelled by user (storage nearly full).');
+                return;
+            }
+
+            const { record, blobRecord } = await encryptMediaRecord(mediaToSave); // Encrypt data, thumbnail and caption.
+            const mediaId = await addDataWithBlob('media', record, 'mediaBlobs', blobRecord); // Both in one transaction.
             console.log(`DB_SAVE: Media saved successfully with ID: ${mediaId}`);
+
+            // Enforce the user's automatic cleanup policies (see storage.html). A failure here doesn't undo the save.
+            await applyStoragePolicy(currentUser.id).catch(err => console.error('DB_SAVE: Cleanup policy failed:', err));
+
             alert("Media saved to gallery!");
             window.location.href = 'gallery.html'; // Navigate to the gallery page.
         } catch (error) {
             console.error("DB_SAVE_ERROR: Failed to save media to IndexedDB:", error);
-            alert("Failed to save media. Please try again.");
+            if (error && error.name === 'QuotaExceededError') {
+                const suggestions = await getCleanupSuggestions(currentUser.id).catch(() => []);
+                alert('Not enough storage space to save this snap.\n\n' + formatCleanupSuggestions(suggestions));
+            } else {
+                alert("Failed to save media. Please try again.");
+            }
         }
     }
 
+    /**
+     * Formats cleanup suggestions for the storage warning dialogs.
+     * @param {Array<string>} suggestions - Suggestions from getCleanupSuggestions().
+     * @returns {string} The dialog text.
+     */
+    function formatCleanupSuggestions(suggestions) {
+        const lines = suggestions.map(suggestion => `• ${suggestion}`);
+        lines.push('Free up space on the Storage page (Gallery > Storage).');
+        return lines.join('\n');
+    }
+
+    // Mic Button: mutes/unmutes the microphone, also in the middle of a recording.
+    micButton.addEventListener('click', () => {
+        if (micUnavailable) {
+            alert('The microphone is not available (permission denied or no microphone), so videos are recorded without sound. Allow microphone access in your browser settings and reload to record sound.');
+            return;
+        }
+        micMuted = !micMuted;
+        if (micStream) micStream.getAudioTracks().forEach(track => { track.enabled = !micMuted; });
+        updateMicButton();
+        console.log(`UI_ACTION: Microphone ${micMuted ? 'muted' : 'unmuted'}.`);
+    });
+
+    // Zoom Slider: hardware or digital zoom (see setZoom).
+    zoomSlider.addEventListener('input', () => setZoom(parseFloat(zoomSlider.value)));
+
+    // Exposure Slider: exposure compensation, on cameras that support it.
+    exposureSlider.addEventListener('input', () => {
+        renderExposure();
+        applyTrackConstraints({ exposureCompensation: parseFloat(exposureSlider.value) });
+    });
+
+    // Pinch-to-zoom on the live preview.
+    canvas.addEventListener('touchstart', (e) => {
+        if (e.touches.length === 2 && currentStream) {
+            e.preventDefault(); // Keep the browser from handling the pinch itself.
+            pinchStart = { distance: getTouchDistance(e.touches), zoom: zoomLevel };
+        }
+    }, { passive: false });
+    canvas.addEventListener('touchmove', (e) => {
+        if (pinchStart && e.touches.length === 2) {
+            e.preventDefault();
+            setZoom(pinchStart.zoom * getTouchDistance(e.touches) / pinchStart.distance);
+        }
+    }, { passive: false });
+    const endPinch = (e) => {
+        if (pinchStart && e.touches.length < 2) {
+            pinchStart = null;
+            lastPinchEndedAt = Date.now();
+            console.log(`UI_ACTION: Pinched to ${zoomLevel.toFixed(1)}x zoom.`);
+        }
+    };
+    canvas.addEventListener('touchend', endPinch);
+    canvas.addEventListener('touchcancel', endPinch);
+
+    // Tap-to-focus: focuses (and meters exposure) on the tapped point, on cameras that support it.
+    canvas.addEventListener('click', (event) => {
+        if (!currentStream || !focusMode || Date.now() - lastPinchEndedAt < 500) return;
+        const point = getFramePoint(event);
+        if (!point) return;
+        console.log(`UI_ACTION: Tap to focus at (${point.x.toFixed(2)}, ${point.y.toFixed(2)}).`);
+        applyTrackConstraints({ pointsOfInterest: [point], focusMode });
+        showFocusRing(event);
+    });
+
+    // Capture Settings Button: shows or hides the aspect ratio and photo size presets.
+    captureSettingsButton.addEventListener('click', () => {
+        const open = !captureSettingsPanel.classList.contains('open');
+        captureSettingsPanel.classList.toggle('open', open);
+        captureSettingsButton.classList.toggle('active', open);
+        if (open) renderCaptureSettings();
+    });
+
+    // Camera Picker: streams from the chosen camera ('' goes back to picking by facing mode).
+    cameraDeviceSelect.addEventListener('change', () => {
+        console.log(`UI_ACTION: Camera "${cameraDeviceSelect.selectedOptions[0].textContent}" picked.`);
+        updateCaptureSettings({ deviceId: cameraDeviceSelect.value || null });
+    });
+
     // Camera Switch Button: Toggles between 'user' (front) and 'environment' (back) cameras.
+    // This goes back to picking the camera by facing mode if a specific camera was picked.
     switchCameraButton.addEventListener('click', () => {
         console.log('UI_ACTION: Switch camera button clicked. Current mode:', currentFacingMode);
         currentFacingMode = currentFacingMode === 'user' ? 'environment' : 'user';
+        if (captureSettings.deviceId) {
+            captureSettings = { ...captureSettings, deviceId: null };
+            saveCaptureSettings().catch(error => console.error('CAPTURE_SETTINGS: Failed to save capture settings:', error));
+        }
         startCamera(); // Restart camera stream with the new facing mode.
     });
 
-    // Flashlight Button (Simulated): Triggers a screen flash effect.
-    // IMPORTANT: Direct control of the device's LED flashlight from web browsers is NOT possible due to security restrictions.
+    // Cameras plugged in or out: refresh the picker, move off a camera that was unplugged,
+    // and go back to the picked camera when it is reconnected.
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+        navigator.mediaDevices.addEventListener('devicechange', async () => {
+            const devices = await refreshCameraDevices();
+            console.log(`CAMERA_DEVICES: Devices changed (${devices.length} camera(s) connected).`);
+            if (!currentStream || isRecording) return; // Not streaming, or don't interrupt a recording.
+            const isConnected = (deviceId) => devices.some(device => device.deviceId === deviceId);
+            if (activeDeviceId && !isConnected(activeDeviceId)) {
+                console.warn('CAMERA_DEVICES: The camera in use was disconnected; switching cameras.');
+                startCamera();
+            } else if (captureSettings.deviceId && captureSettings.deviceId !== activeDeviceId && isConnected(captureSettings.deviceId)) {
+                console.log('CAMERA_DEVICES: The picked camera is back; switching to it.');
+                startCamera();
+            }
+        });
+    }
+
+    // Flash Button: cycles the flash mode (off -> on -> auto).
+    // Cameras with a torch (`getCapabilities().torch`, usually rear cameras) use the LED via applyConstraints;
+    // others (e.g., front cameras) light the face with a white screen while the photo is taken.
     flashlightButton.addEventListener('click', () => {
-        console.log('UI_ACTION: Flashlight button clicked. Triggering screen flash simulation.');
-        screenFlashOverlay.style.opacity = 1; // Make the overlay fully opaque (bright white).
-        setTimeout(() => {
-            screenFlashOverlay.style.opacity = 0; // Fade out quickly.
-        }, 100); // Flash duration in milliseconds.
+        flashMode = FLASH_MODES[(FLASH_MODES.indexOf(flashMode) + 1) % FLASH_MODES.length];
+        console.log(`UI_ACTION: Flash mode set to "${flashMode}" (${torchSupported ? 'torch' : 'screen flash'}).`);
+        if (currentStream && !isRecording) {
+            setTorch(flashMode === 'on'); // 'on' keeps the torch lit; 'auto' only lights it for captures.
+        }
+        updateFlashButton();
     });
 
     // --- Filter Controls Initialization ---
+
+    /**
+     * Highlights the filter buttons whose filters are part of the chain.
+     * The 'None' button is highlighted when the chain is empty.
+     */
+    const updateFilterButtonStates = () => {
+        const chainIds = FilterManager.getFilterChain().map(entry => entry.id);
+        Array.from(filterControls.children).forEach(btn => {
+            const isActive = btn.dataset.filterId === 'none' ? chainIds.length === 0 : chainIds.includes(btn.dataset.filterId);
+            btn.classList.toggle('active', isActive);
+        });
+    };
+
+    /**
+     * Renders one slider per adjustable parameter of the selected chain entry.
+     * Slider changes are applied live through `FilterManager.setFilterParam` and show up on the next frame.
+     */
+    const renderFilterParams = () => {
+        filterParamsPanel.innerHTML = ''; // Clear previous sliders.
+        const chain = FilterManager.getFilterChain();
+        const index = chain.findIndex(entry => entry.id === selectedFilterId);
+        const entry = chain[index];
+
+        if (!entry || entry.filter.params.length === 0) {
+            filterParamsPanel.style.display = 'none'; // Nothing to adjust for this filter.
+            return;
+        }
+        filterParamsPanel.style.display = 'flex';
+
+        entry.filter.params.forEach(param => {
+            const row = document.createElement('label');
+            row.className = 'filter-param';
+
+            const name = document.createElement('span');
+            name.textContent = param.label || param.name;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = param.min;
+            slider.max = param.max;
+            slider.step = param.step;
+            slider.value = entry.params[param.name];
+
+            const value = document.createElement('span');
+            value.className = 'filter-param-value';
+            value.textContent = entry.params[param.name];
+
+            slider.addEventListener('input', () => {
+                // Look up the position again: the entry may have been moved since the sliders were rendered.
+                const currentIndex = FilterManager.getFilterChain().findIndex(e => e.id === entry.id);
+                FilterManager.setFilterParam(currentIndex, param.name, slider.value);
+                value.textContent = slider.value;
+            });
+
+            row.append(name, slider, value);
+            filterParamsPanel.appendChild(row);
+        });
+    };
+
+    /**
+     * Renders the filter chain bar: one chip per chain entry, in the order the filters are applied.
+     * Each chip can be toggled on/off, moved left/right, or removed from the chain.
+     */
+    const renderFilterChain = () => {
+        const chain = FilterManager.getFilterChain();
+        filterChainBar.innerHTML = ''; // Clear previous chips.
+
+        // Keep the slider selection valid: fall back to the last entry if the selected one was removed.
+        if (!chain.some(entry => entry.id === selectedFilterId)) {
+            selectedFilterId = chain.length > 0 ? chain[chain.length - 1].id : null;
+        }
+        filterChainBar.style.display = chain.length > 0 ? 'flex' : 'none'; // Hide the bar when no filter is stacked.
+
+        chain.forEach((entry, index) => {
+            const chip = document.createElement('div');
+            chip.className = `filter-chain-item${entry.enabled ? '' : ' disabled'}${entry.id === selectedFilterId ? ' selected' : ''}`;
+
+            const toggleButton = document.createElement('button');
+            toggleButton.innerHTML = `<i class="fas ${entry.enabled ? 'fa-eye' : 'fa-eye-slash'}"></i>`;
+            toggleButton.title = entry.enabled ? 'Disable filter' : 'Enable filter';
+            toggleButton.addEventListener('click', () => {
+                FilterManager.toggleFilterInChain(index);
+                renderFilterChain();
+            });
+
+            const label = document.createElement('span');
+            label.textContent = entry.filter.name;
+            label.addEventListener('click', () => {
+                selectedFilterId = entry.id; // Show this entry's sliders.
+                renderFilterChain();
+            });
+
+            const moveLeftButton = document.createElement('button');
+            moveLeftButton.innerHTML = '<i class="fas fa-chevron-left"></i>';
+            moveLeftButton.title = 'Apply earlier';
+            moveLeftButton.disabled = index === 0;
+            moveLeftButton.addEventListener('click', () => {
+                FilterManager.moveFilterInChain(index, index - 1);
+                renderFilterChain();
+            });
+
+            const moveRightButton = document.createElement('button');
+            moveRightButton.innerHTML = '<i class="fas fa-chevron-right"></i>';
+            moveRightButton.title = 'Apply later';
+            moveRightButton.disabled = index === chain.length - 1;
+            moveRightButton.addEventListener('click', () => {
+                FilterManager.moveFilterInChain(index, index + 1);
+                renderFilterChain();
+            });
+
+            const removeButton = document.createElement('button');
+            removeButton.innerHTML = '<i class="fas fa-times"></i>';
+            removeButton.title = 'Remove filter';
+            removeButton.addEventListener('click', () => {
+                FilterManager.removeFilterFromChain(index);
+                renderFilterChain();
+            });
+
+            chip.append(toggleButton, label, moveLeftButton, moveRightButton, removeButton);
+            filterChainBar.appendChild(chip);
+        });
+
+        if (chain.length > 1) {
+            const clearButton = document.createElement('button');
+            clearButton.className = 'filter-chain-clear';
+            clearButton.innerHTML = '<i class="fas fa-trash-alt"></i> Clear';
+            clearButton.addEventListener('click', () => {
+                FilterManager.clearFilterChain();
+                renderFilterChain();
+            });
+            filterChainBar.appendChild(clearButton);
+        }
+
+        updateFilterButtonStates();
+        renderFilterParams();
+    };
+
     /**
      * Populates the filter selection bar with buttons for each registered filter.
-     * Each button will set the active filter and update the canvas's class if it's a CSS filter.
+     * Tapping a button adds the filter to the end of the chain, or removes it if it is already stacked.
+     * 'None' clears the whole chain. Effects are rendered into the canvas on the next frame.
      */
     const initializeFilterButtons = () => {
         filterControls.innerHTML = ''; // Clear any existing buttons to prevent duplicates.
@@ -509,37 +1400,35 @@ document.addEventListener('DOMContentLoaded', () => {
             button.className = 'filter-button';
             button.dataset.filterId = filter.id; // Store filter ID on the button for easy access.
             button.addEventListener('click', () => {
-                console.log(`UI_ACTION: Filter "${filter.name}" selected.`);
-                FilterManager.setActiveFilter(filter.id); // Set the active filter in the FilterManager.
-
-                // Apply CSS class to the canvas if it's a CSS filter, otherwise ensure no CSS class is active.
-                if (filter.type === 'css') {
-                    canvas.className = filter.applyFunc; // `applyFunc` stores the CSS class name (e.g., 'filter-css-sepia').
+                console.log(`UI_ACTION: Filter "${filter.name}" tapped.`);
+                if (filter.id === 'none') {
+                    FilterManager.clearFilterChain(); // 'None' removes every stacked filter.
                 } else {
-                    canvas.className = ''; // Remove any previous CSS filter class for canvas filters (pixel manipulators).
-                }
-                
-                // Update active state visuals for filter buttons in the UI.
-                Array.from(filterControls.children).forEach(btn => {
-                    if (btn.dataset.filterId === filter.id) {
-                        btn.classList.add('active'); // Add 'active' class to the selected button.
+                    const chainIndex = FilterManager.getFilterChain().findIndex(entry => entry.id === filter.id);
+                    if (chainIndex === -1) {
+                        FilterManager.addFilterToChain(filter.id); // Stack the filter on top of the chain.
+                        selectedFilterId = filter.id; // Show the sliders of the newly added filter.
                     } else {
-                        btn.classList.remove('active'); // Remove 'active' class from others.
+                        FilterManager.removeFilterFromChain(chainIndex); // Tapping a stacked filter removes it.
                     }
-                });
+                }
+                renderFilterChain(); // Refresh chain chips and button highlights.
             });
             filterControls.appendChild(button); // Add the button to the filter controls container.
         });
-        // Set the initial 'None' filter button as active on page load.
-        const noneFilterButton = filterControls.querySelector(`[data-filter-id="none"]`);
-        if (noneFilterButton) {
-            noneFilterButton.classList.add('active');
-        }
+        renderFilterChain(); // Initial state: empty chain, 'None' highlighted.
         console.log('SETUP: Filter buttons initialized.');
     };
 
     // --- Initial Application Setup ---
+    try {
+        await loadCaptureSettings(); // Saved aspect ratio and photo size.
+    } catch (error) {
+        console.error('CAPTURE_SETTINGS: Failed to load capture settings; using the defaults.', error);
+    }
     initializeFilterButtons(); // Populate the filter selection bar.
+    updateMicButton();        // Show the initial microphone state.
+    updateFlashButton();      // Show the initial flash mode.
     startCamera();            // Start the camera feed when the page loads.
     console.log('SETUP: Camera page initialization complete.');
 });
\ No newline at end of file
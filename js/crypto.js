@@ -0,0 +1,527 @@
+// js/crypto.js
+// Password hashing and media encryption helpers built on the Web Crypto API (crypto.subtle).
+// Passwords are never stored: each user record keeps a PBKDF2 hash, a per-user random salt
+// and the iteration count used, so the cost can be raised later without breaking old accounts.
+//
+// Media is encrypted with AES-GCM using a random per-user media key. The media key is stored on the
+// user record only in wrapped (encrypted) form, under a key-encryption key derived from the password.
+// Changing the password only re-wraps the media keys; stored media is never re-encrypted.
+// While logged in, the media key bytes are never written anywhere readable. A "remember me" session keeps
+// non-extractable CryptoKeys on its session record; a regular session keeps them wrapped under a random
+// tab key whose secret lives only in the tab's sessionStorage, so they can't be unlocked once the tab closes
+// (see session.js). Pages hold the unlocked keys in memory only.
+//
+// Hashtags are indexed without revealing them: the 'media' record's `tags` hold HMAC tokens of the tags
+// under a per-user key derived from the media key (a blind index); the readable tags are in the encrypted header.
+
+const PASSWORD_HASH_ALGORITHM = 'PBKDF2-SHA-256';
+const PBKDF2_ITERATIONS = 310000; // Work factor for new hashes (stored per user).
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+/**
+ * Checks whether the Web Crypto API is available (it requires a secure context: https or localhost).
+ * @returns {boolean} True if crypto.subtle can be used.
+ */
+function isCryptoAvailable() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+/**
+ * Encodes bytes as a Base64 string (for storage in IndexedDB records).
+ * @param {ArrayBuffer|Uint8Array} buffer - The bytes to encode.
+ * @returns {string} The Base64 string.
+ */
+function bufferToBase64(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decodes a Base64 string into bytes.
+ * @param {string} base64 - The Base64 string.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+function base64ToBuffer(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Generates a random salt.
+ * @returns {string} The salt, Base64 encoded.
+ */
+function generateSalt() {
+    return bufferToBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+/**
+ * Hashes a password with PBKDF2-SHA-256.
+ * @param {string} password - The plaintext password.
+ * @param {string} salt - The Base64 salt.
+ * @param {number} iterations - The PBKDF2 iteration count.
+ * @returns {Promise<string>} The derived hash, Base64 encoded.
+ */
+async function hashPassword(password, salt, iterations) {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBuffer(salt), iterations },
+        keyMaterial,
+        HASH_BITS
+    );
+    return bufferToBase64(bits);
+}
+
+/**
+ * Creates the credential fields for a user record from a plaintext password.
+ * @param {string} password - The plaintext password.
+ * @returns {Promise<object>} `{ passwordHash, salt, iterations, hashAlgorithm }`.
+ */
+async function createPasswordCredentials(password) {
+    const salt = generateSalt();
+    const passwordHash = await hashPassword(password, salt, PBKDF2_ITERATIONS);
+    return { passwordHash, salt, iterations: PBKDF2_ITERATIONS, hashAlgorithm: PASSWORD_HASH_ALGORITHM };
+}
+
+/**
+ * Compares two strings in constant time (relative to their length).
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {boolean} True if equal.
+ */
+function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * Checks a password against a user record.
+ * Accounts created before hashing was introduced (flagged 'plaintext' by the DB upgrade) are compared directly.
+ * @param {string} password - The plaintext password entered by the user.
+ * @param {object} user - The user record from the 'users' store.
+ * @returns {Promise<boolean>} True if the password matches.
+ */
+async function verifyPassword(password, user) {
+    if (user.hashAlgorithm === 'plaintext') {
+        return safeEqual(password, user.password);
+    }
+    if (user.hashAlgorithm !== PASSWORD_HASH_ALGORITHM) {
+        console.error(`AUTH: Unknown password hash algorithm "${user.hashAlgorithm}" for user ${user.id}.`);
+        return false;
+    }
+    const hash = await hashPassword(password, user.salt, user.iterations);
+    return safeEqual(hash, user.passwordHash);
+}
+
+/**
+ * Checks whether a user record should be re-hashed after a successful login
+ * (legacy plaintext account, or hashed with fewer iterations than the current setting).
+ * @param {object} user - The user record.
+ * @returns {boolean} True if the credentials should be upgraded.
+ */
+function needsPasswordRehash(user) {
+    return user.hashAlgorithm !== PASSWORD_HASH_ALGORITHM || user.iterations < PBKDF2_ITERATIONS;
+}
+
+// --- Media Encryption ---
+
+const IV_BYTES = 12; // Recommended AES-GCM IV size.
+const TAG_INDEX_KEY_INFO = 'SnapLens hashtag index'; // HKDF info: keeps the tag key separate from other uses of the media key.
+
+let sessionMediaKeysCache = null; // Map of key version -> CryptoKey, unlocked from the session once per page.
+
+/**
+ * Derives the key-encryption key (KEK) that wraps a user's media keys.
+ * Uses a salt separate from the password hash salt, so the stored hash never reveals the KEK.
+ * @param {string} password - The plaintext password.
+ * @param {string} salt - The Base64 key salt from the user record.
+ * @param {number} iterations - The PBKDF2 iteration count.
+ * @returns {Promise<CryptoKey>} An AES-GCM key usable for wrapKey/unwrapKey.
+ */
+async function deriveKeyEncryptionKey(password, salt, iterations) {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBuffer(salt), iterations },
+        keyMaterial,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['wrapKey', 'unwrapKey']
+    );
+}
+
+/**
+ * Wraps (encrypts) a media key with a KEK.
+ * @param {CryptoKey} mediaKey - The extractable AES-GCM media key.
+ * @param {CryptoKey} kek - The key-encryption key.
+ * @returns {Promise<object>} `{ wrappedKey, iv }`, both Base64 encoded.
+ */
+async function wrapMediaKey(mediaKey, kek) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const wrapped = await crypto.subtle.wrapKey('raw', mediaKey, kek, { name: 'AES-GCM', iv });
+    return { wrappedKey: bufferToBase64(wrapped), iv: bufferToBase64(iv) };
+}
+
+/**
+ * Unwraps (decrypts) a media key with a KEK. Fails if the password (and therefore the KEK) is wrong.
+ * @param {object} entry - `{ wrappedKey, iv }` from the user record.
+ * @param {CryptoKey} kek - The key-encryption key.
+ * @returns {Promise<CryptoKey>} The media key.
+ */
+function unwrapMediaKey(entry, kek) {
+    return crypto.subtle.unwrapKey(
+        'raw', base64ToBuffer(entry.wrappedKey), kek,
+        { name: 'AES-GCM', iv: base64ToBuffer(entry.iv) },
+        { name: 'AES-GCM', length: 256 },
+        true, // Extractable, so it can be re-wrapped (password change); sessions keep non-extractable copies.
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Unlocks a user's media keys with their password, creating the first key if the account has none.
+ * @param {object} user - The user record.
+ * @param {string} password - The plaintext password (already verified).
+ * @returns {Promise<object>} `{ keys, userUpdates }`: the unlocked keys (version -> CryptoKey) and the
+ *   fields to store on the user record, or null if nothing changed.
+ */
+async function unlockMediaKeys(user, password) {
+    if (Array.isArray(user.mediaKeys) && user.mediaKeys.length > 0) {
+        const kek = await deriveKeyEncryptionKey(password, user.keySalt, user.keyIterations);
+        const keys = new Map();
+        for (const entry of user.mediaKeys) {
+            keys.set(entry.version, await unwrapMediaKey(entry, kek));
+        }
+        return { keys, userUpdates: null };
+    }
+
+    // First login since encryption was introduced (or a new account): create media key version 1.
+    const keySalt = generateSalt();
+    const kek = await deriveKeyEncryptionKey(password, keySalt, PBKDF2_ITERATIONS);
+    const mediaKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const wrapped = await wrapMediaKey(mediaKey, kek);
+    return {
+        keys: new Map([[1, mediaKey]]),
+        userUpdates: {
+            keySalt,
+            keyIterations: PBKDF2_ITERATIONS,
+            mediaKeys: [{ version: 1, ...wrapped }],
+            currentKeyVersion: 1
+        }
+    };
+}
+
+/**
+ * Re-wraps all media keys of a user under a new password (for password changes).
+ * The media keys themselves (and therefore all stored media) stay the same.
+ * @param {object} user - The user record.
+ * @param {string} oldPassword - The current password.
+ * @param {string} newPassword - The new password.
+ * @returns {Promise<object>} The updated `{ keySalt, keyIterations, mediaKeys }` fields for the user record.
+ */
+async function rewrapMediaKeys(user, oldPassword, newPassword) {
+    const { keys } = await unlockMediaKeys(user, oldPassword);
+    const keySalt = generateSalt();
+    const newKek = await deriveKeyEncryptionKey(newPassword, keySalt, PBKDF2_ITERATIONS);
+    const mediaKeys = [];
+    for (const [version, key] of keys) {
+        mediaKeys.push({ version, ...(await wrapMediaKey(key, newKek)) });
+    }
+    return { keySalt, keyIterations: PBKDF2_ITERATIONS, mediaKeys };
+}
+
+/**
+ * Forgets this page's cached media keys (on logout or when the active session changes).
+ * What the session stored goes away with its record (and, for a regular session, its tab secret).
+ */
+function clearSessionMediaKeys() {
+    sessionMediaKeysCache = null;
+}
+
+/**
+ * Derives a user's hashtag index key (HMAC-SHA-256) from their first media key. That key never changes,
+ * so every session and device of the user computes the same tokens for a tag.
+ * @param {CryptoKey} mediaKey - The extractable media key (version 1).
+ * @returns {Promise<CryptoKey>} A non-extractable HMAC key usable for sign.
+ */
+async function deriveTagIndexKey(mediaKey) {
+    const keyMaterial = await crypto.subtle.importKey('raw', await crypto.subtle.exportKey('raw', mediaKey), 'HKDF', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(32), info: new TextEncoder().encode(TAG_INDEX_KEY_INFO) },
+        keyMaterial,
+        { name: 'HMAC', hash: 'SHA-256', length: 256 },
+        false,
+        ['sign']
+    );
+}
+
+/**
+ * Converts unlocked media keys into non-extractable copies that can be stored in the
+ * session record (CryptoKey objects are structured-cloneable into IndexedDB, and their
+ * key bytes can't be read back out).
+ * @param {Map<number, CryptoKey>} keys - Unlocked keys by version.
+ * @param {number} currentVersion - The version used for new media.
+ * @returns {Promise<object>} `{ currentVersion, keys: { [version]: CryptoKey }, tagKey }` (see deriveTagIndexKey).
+ */
+async function toStorableMediaKeys(keys, currentVersion) {
+    const storable = {};
+    for (const [version, key] of keys) {
+        const raw = await crypto.subtle.exportKey('raw', key);
+        storable[version] = await crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    }
+    const tagKey = await deriveTagIndexKey(keys.get(Math.min(...keys.keys())));
+    return { currentVersion, keys: storable, tagKey };
+}
+
+/**
+ * Wraps unlocked media keys for a regular session under a new random tab key. The wrapped keys can be
+ * stored on the session record; the tab secret belongs in the tab's sessionStorage only (see session.js).
+ * @param {Map<number, CryptoKey>} keys - Unlocked (extractable) keys by version.
+ * @param {number} currentVersion - The version used for new media.
+ * @returns {Promise<object>} `{ tabSecret, wrappedKeys: { currentVersion, keys: [{ version, wrappedKey, iv }] } }`.
+ */
+async function wrapTabMediaKeys(keys, currentVersion) {
+    const tabKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['wrapKey', 'unwrapKey']);
+    const wrapped = [];
+    for (const [version, key] of keys) {
+        wrapped.push({ version, ...(await wrapMediaKey(key, tabKey)) });
+    }
+    const tabSecret = bufferToBase64(await crypto.subtle.exportKey('raw', tabKey));
+    return { tabSecret, wrappedKeys: { currentVersion, keys: wrapped } };
+}
+
+/**
+ * Unlocks the media keys of a regular session with its tab secret (see wrapTabMediaKeys).
+ * @param {object} wrappedKeys - `{ currentVersion, keys }` from the session record.
+ * @param {string} tabSecret - The Base64 tab secret from sessionStorage.
+ * @returns {Promise<object>} `{ currentVersion, keys: { [version]: CryptoKey }, tagKey }`, non-extractable.
+ */
+async function unwrapTabMediaKeys(wrappedKeys, tabSecret) {
+    const tabKey = await crypto.subtle.importKey('raw', base64ToBuffer(tabSecret), { name: 'AES-GCM' }, false, ['unwrapKey']);
+    const keys = new Map();
+    for (const entry of wrappedKeys.keys) {
+        keys.set(entry.version, await unwrapMediaKey(entry, tabKey));
+    }
+    return toStorableMediaKeys(keys, wrappedKeys.currentVersion);
+}
+
+/**
+ * Loads the unlocked media keys of the active session (unlocked once per page, then cached in memory).
+ * Remembered sessions keep them as non-extractable CryptoKeys; regular sessions unwrap them with this
+ * tab's secret, so a regular session opened in another tab (or after the tab closed) stays locked.
+ * Sessions created before the hashtag index key existed count as locked, so the user logs in again.
+ * @returns {Promise<object|null>} `{ currentVersion, keys: Map<number, CryptoKey>, tagKey }`, or null if locked.
+ */
+async function getSessionMediaKeys() {
+    if (sessionMediaKeysCache) return sessionMediaKeysCache;
+
+    const session = await getActiveSession();
+    if (!session) return null;
+    let unlocked = session.mediaKeys;
+    if (!unlocked && session.wrappedMediaKeys) {
+        const tabSecret = getTabKeySecret(session);
+        if (!tabSecret) return null;
+        try {
+            unlocked = await unwrapTabMediaKeys(session.wrappedMediaKeys, tabSecret);
+        } catch (error) {
+            console.warn('CRYPTO: Could not unlock the media keys of this session.', error);
+            return null;
+        }
+    }
+    if (!unlocked || !unlocked.tagKey) return null;
+    const keys = new Map(Object.keys(unlocked.keys).map(version => [Number(version), unlocked.keys[version]]));
+    sessionMediaKeysCache = { currentVersion: unlocked.currentVersion, keys, tagKey: unlocked.tagKey };
+    return sessionMediaKeysCache;
+}
+
+/**
+ * Computes the blind index token of a hashtag (HMAC under the session's tag key).
+ * @param {string} tag - The tag, lower-cased and without the '#'.
+ * @returns {Promise<string>} The Base64 token stored in (and looked up from) the 'tags' index.
+ */
+async function hashTag(tag) {
+    const session = await getSessionMediaKeys();
+    if (!session) throw new Error('Media keys are locked. Please log in again.');
+    return bufferToBase64(await crypto.subtle.sign('HMAC', session.tagKey, new TextEncoder().encode(tag)));
+}
+
+/**
+ * Computes the blind index tokens of several hashtags.
+ * @param {Array<string>} tags - The tags.
+ * @returns {Promise<Array<string>>} The tokens, in the same order.
+ */
+function hashTags(tags) {
+    return Promise.all(tags.map(hashTag));
+}
+
+/**
+ * Encrypts bytes with AES-GCM under a fresh random IV.
+ * @param {CryptoKey} key - The media key.
+ * @param {Uint8Array} bytes - The plaintext bytes.
+ * @returns {Promise<object>} `{ iv, payload }`: the Base64 IV and the ciphertext ArrayBuffer.
+ */
+async function encryptBytes(key, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const payload = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+    return { iv: bufferToBase64(iv), payload };
+}
+
+/**
+ * Looks up the session media key for a stored record's key version.
+ * @param {object} record - A stored record with `keyVersion` (and `id` for the error message).
+ * @returns {Promise<CryptoKey>} The media key.
+ */
+async function getMediaKeyForRecord(record) {
+    const session = await getSessionMediaKeys();
+    const key = session && session.keys.get(record.keyVersion);
+    if (!key) throw new Error(`No media key (version ${record.keyVersion}) for media ${record.id}.`);
+    return key;
+}
+
+/**
+ * Decrypts an AES-GCM payload of a stored record.
+ * @param {object} record - A stored record with `keyVersion`, `iv` and `payload`.
+ * @returns {Promise<Uint8Array>} The plaintext bytes.
+ */
+async function decryptRecordPayload(record) {
+    const key = await getMediaKeyForRecord(record);
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBuffer(record.iv) }, key, record.payload));
+}
+
+/**
+ * Encrypts a media item for storage. The small fields (caption, thumbnail, tags) go into the 'media' record;
+ * the large media bytes go into a separate 'mediaBlobs' record, so listing the gallery never loads them.
+ * Indexed and display metadata (senderId, type, timestamp, filters) stays in plaintext; `tags` is stored as
+ * blind index tokens (see hashTag) with `tagsBlind: true`, and the readable tags go into the encrypted header.
+ *
+ * @param {object} media - The plaintext media item (with `data`, `thumbnail`, `caption` and optionally `tags`).
+ * @returns {Promise<object>} `{ record, blobRecord }`: the 'media' record (`{ ...metadata, encrypted, keyVersion,
+ *   iv, payload, dataInBlobStore }`) and the 'mediaBlobs' record (`{ senderId, encrypted, keyVersion, iv, payload }`,
+ *   its `id` is set to the media id when stored).
+ */
+async function encryptMediaRecord(media) {
+    const session = await getSessionMediaKeys();
+    if (!session) throw new Error('Media keys are locked. Please log in again.');
+    const key = session.keys.get(session.currentVersion);
+    const keyVersion = session.currentVersion;
+
+    // `dataKind`/`mimeType` come from a previous decryption; they belong in the encrypted header only.
+    const { data, thumbnail, caption, dataKind, mimeType, tags, tagsBlind, ...metadata } = media;
+    const hasTags = Array.isArray(tags); // Without tags, the record is picked up by backfillMediaTags.
+    const isBlob = data instanceof Blob;
+    const summary = await encryptBytes(key, new TextEncoder().encode(JSON.stringify({
+        caption: caption || '',
+        thumbnail: thumbnail || null,
+        dataKind: isBlob ? 'blob' : 'string',
+        mimeType: isBlob ? data.type : null,
+        ...(hasTags ? { tags } : {})
+    })));
+    if (hasTags) {
+        Object.assign(metadata, { tags: await hashTags(tags), tagsBlind: true });
+    }
+    const dataBytes = isBlob ? new Uint8Array(await data.arrayBuffer()) : new TextEncoder().encode(data || '');
+    const content = await encryptBytes(key, dataBytes);
+
+    return {
+        record: { ...metadata, encrypted: true, keyVersion, iv: summary.iv, payload: summary.payload, dataInBlobStore: true },
+        blobRecord: { senderId: metadata.senderId, encrypted: true, keyVersion, iv: content.iv, payload: content.payload }
+    };
+}
+
+/**
+ * Decrypts a 'media' record back into its plaintext shape: `caption`, `thumbnail`, the readable `tags`, and the
+ * `dataKind`/`mimeType` needed to decode its data later (see `decryptMediaBlob`). Unencrypted (legacy) records
+ * are returned as-is. The blind index tokens are never returned as `tags` (without readable tags in the header,
+ * `tags` is left out and callers read them from the caption).
+ *
+ * Records encrypted before the blob store existed (no `dataInBlobStore`) hold everything in one payload:
+ * a 4-byte header length, the JSON header, then the media bytes. Those are returned with `data` included.
+ *
+ * @param {object} record - The stored media record.
+ * @returns {Promise<object>} The plaintext media item.
+ */
+async function decryptMediaRecord(record) {
+    if (!record || !record.encrypted) return record;
+
+    const plain = await decryptRecordPayload(record);
+    const { encrypted, keyVersion, iv, payload, tagsBlind, ...metadata } = record;
+    if (tagsBlind) delete metadata.tags;
+
+    if (record.dataInBlobStore) {
+        const header = JSON.parse(new TextDecoder().decode(plain));
+        return { ...metadata, ...header };
+    }
+
+    const headerLength = new DataView(plain.buffer).getUint32(0);
+    const header = JSON.parse(new TextDecoder().decode(plain.subarray(4, 4 + headerLength)));
+    const dataBytes = plain.subarray(4 + headerLength);
+    return {
+        ...metadata,
+        caption: header.caption,
+        thumbnail: header.thumbnail,
+        data: header.dataKind === 'blob' ? new Blob([dataBytes], { type: header.mimeType }) : dataUrlToBlob(new TextDecoder().decode(dataBytes))
+    };
+}
+
+/**
+ * Sets the hashtags of a stored 'media' record: the blind index tokens in `tags` and, for records whose
+ * encrypted header is separate from the media data, the readable tags in that header. (Records encrypted
+ * before the blob store existed keep their header; their readable tags come from the caption.)
+ * @param {object} record - The stored media record.
+ * @param {Array<string>} tags - The readable tags.
+ * @returns {Promise<object>} The updated record, ready to be saved.
+ */
+async function setMediaRecordTags(record, tags) {
+    const updated = { ...record, tags: await hashTags(tags), tagsBlind: true };
+    if (record.encrypted && record.dataInBlobStore) {
+        const header = JSON.parse(new TextDecoder().decode(await decryptRecordPayload(record)));
+        const summary = await encryptBytes(await getMediaKeyForRecord(record), new TextEncoder().encode(JSON.stringify({ ...header, tags })));
+        updated.iv = summary.iv;
+        updated.payload = summary.payload;
+    }
+    return updated;
+}
+
+/**
+ * Decrypts a 'mediaBlobs' record into the media data as a Blob.
+ * Photos saved before they were stored as Blobs hold a Base64 data URL; it is decoded to a Blob here,
+ * so callers always get the same type (see `dataKind` to tell whether the stored copy still needs converting).
+ * @param {object} blobRecord - The stored blob record (unencrypted legacy records carry `data` directly).
+ * @param {object} media - The decrypted media item (provides `dataKind` and `mimeType`).
+ * @returns {Promise<Blob>} The media data.
+ */
+async function decryptMediaBlob(blobRecord, media) {
+    if (!blobRecord.encrypted) return dataUrlToBlob(blobRecord.data);
+
+    const bytes = await decryptRecordPayload(blobRecord);
+    return media.dataKind === 'blob' ? new Blob([bytes], { type: media.mimeType }) : dataUrlToBlob(new TextDecoder().decode(bytes));
+}
+/**
+ * Loads the full data of a decrypted media item as a Blob: from its 'mediaBlobs' record, or from the
+ * item itself for records encrypted before the blob store existed (their data is kept inline).
+ * @param {object} media - The decrypted media item (see `decryptMediaRecord`).
+ * @returns {Promise<Blob>} The media data.
+ */
+async function loadMediaBlob(media) {
+    if (media.data !== undefined) return dataUrlToBlob(media.data);
+
+    await openDatabase();
+    const blobRecord = await getDataByKey('mediaBlobs', media.id);
+    if (!blobRecord) throw new Error(`Media data for ID ${media.id} is missing.`);
+    return decryptMediaBlob(blobRecord, media);
+}
\ No newline at end of file
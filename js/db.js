@@ -1,7 +1,7 @@
 // js/db.js
 
 const DB_NAME = 'SnapCloneV3DB'; // Changed DB name to ensure fresh start
-const DB_VERSION = 2; // Keep version 2 as schema is compatible
+const DB_VERSION = 10; // Version 3: plaintext passwords flagged for hashing on next login. Version 4: sessions store. Version 5: [senderId, timestamp] index. Version 6: mediaBlobs store. Version 7: photos stored as Blobs. Version 8: albums store. Version 9: hashtag index. Version 10: favorites index.
 
 let db;
 
@@ -14,20 +14,108 @@ function openDatabase() {
 
         request.onupgradeneeded = (event) => {
             db = event.target.result;
+            const upgradeTransaction = event.target.transaction;
 
-            // Users Object Store: username, password, id
+            // Users Object Store: username, passwordHash, salt, iterations, hashAlgorithm, id
             if (!db.objectStoreNames.contains('users')) {
                 const userStore = db.createObjectStore('users', { keyPath: 'id', autoIncrement: true });
                 userStore.createIndex('username', 'username', { unique: true });
             }
 
-            // Media Object Store: senderId, type (image/video), data (base64 or Blob), caption, timestamp, filtersApplied[], thumbnail (base64 for video)
+            // Media Object Store: senderId, type (image/video), data (Blob), caption, timestamp, filtersApplied[], thumbnail (base64 JPEG),
+            // tags[] (blind index tokens of the caption's hashtags, see hashTag in crypto.js), deletedAt (set while in the trash, see trash.js),
+            // favoritedAt (set while favorited, see favorites.js)
             if (!db.objectStoreNames.contains('media')) {
                 const mediaStore = db.createObjectStore('media', { keyPath: 'id', autoIncrement: true });
                 mediaStore.createIndex('senderId', 'senderId', { unique: false });
                 mediaStore.createIndex('timestamp', 'timestamp', { unique: false });
                 mediaStore.createIndex('type', 'type', { unique: false });
             }
+
+            // Version 5: compound index for paging one user's media in timestamp order.
+            const mediaStore = upgradeTransaction.objectStore('media');
+            if (!mediaStore.indexNames.contains('senderId_timestamp')) {
+                mediaStore.createIndex('senderId_timestamp', ['senderId', 'timestamp'], { unique: false });
+            }
+            // Version 9: one index entry per hashtag token. Older records get `tags` from backfillMediaTags (media-search.js).
+            if (!mediaStore.indexNames.contains('tags')) {
+                mediaStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+            }
+            // Version 10: a user's favorites (records without `favoritedAt` are left out of the index).
+            if (!mediaStore.indexNames.contains('senderId_favoritedAt')) {
+                mediaStore.createIndex('senderId_favoritedAt', ['senderId', 'favoritedAt'], { unique: false });
+            }
+
+            // Media Blobs Object Store: id (same as the media id), senderId, encrypted, keyVersion, iv, payload (or data).
+            // Holds the large media bytes so the gallery grid can list 'media' records without loading them.
+            if (!db.objectStoreNames.contains('mediaBlobs')) {
+                const blobStore = db.createObjectStore('mediaBlobs', { keyPath: 'id' });
+                blobStore.createIndex('senderId', 'senderId', { unique: false });
+            }
+
+            // Albums Object Store: id, ownerId, name, coverMediaId, mediaIds[] (in the order they were added), createdAt
+            if (!db.objectStoreNames.contains('albums')) {
+                const albumStore = db.createObjectStore('albums', { keyPath: 'id', autoIncrement: true });
+                albumStore.createIndex('ownerId', 'ownerId', { unique: false });
+            }
+
+            // Sessions Object Store: token, userId, username, remember, createdAt, expiresAt, mediaKeys
+            if (!db.objectStoreNames.contains('sessions')) {
+                const sessionStore = db.createObjectStore('sessions', { keyPath: 'token' });
+                sessionStore.createIndex('userId', 'userId', { unique: false });
+                sessionStore.createIndex('expiresAt', 'expiresAt', { unique: false });
+            }
+
+            // Version 3: accounts created before password hashing still hold a plaintext `password`.
+            // Hashing is async (Web Crypto) and can't run inside the upgrade transaction, so they are
+            // only flagged here; auth.js re-hashes them on their next successful login.
+            if (event.oldVersion > 0 && event.oldVersion < 3) {
+                upgradeTransaction.objectStore('users').openCursor().onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+                    const user = cursor.value;
+                    if (typeof user.password === 'string' && !user.hashAlgorithm) {
+                        user.hashAlgorithm = 'plaintext';
+                        cursor.update(user);
+                    }
+                    cursor.continue();
+                };
+            }
+
+            // Version 6: move the data of unencrypted (pre-encryption) media records into 'mediaBlobs'.
+            // Records encrypted as a single payload stay as they are (decryptMediaRecord still reads them).
+            if (event.oldVersion > 0 && event.oldVersion < 6) {
+                const blobStore = upgradeTransaction.objectStore('mediaBlobs');
+                upgradeTransaction.objectStore('media').openCursor().onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+                    const media = cursor.value;
+                    if (!media.encrypted && media.data !== undefined) {
+                        // Base64 photos are converted to Blobs on the way (see version 7).
+                        blobStore.put({ id: media.id, senderId: media.senderId, encrypted: false, data: dataUrlToBlob(media.data) });
+                        delete media.data;
+                        media.dataInBlobStore = true;
+                        cursor.update(media);
+                    }
+                    cursor.continue();
+                };
+            }
+
+            // Version 7: photos were stored as Base64 data URLs; convert unencrypted ones to Blobs in place.
+            // Encrypted data can't be decrypted here (no keys during the upgrade), so the gallery converts
+            // those the first time it loads them (see decryptMediaBlob and the gallery's loadMediaData).
+            if (event.oldVersion >= 6 && event.oldVersion < 7) {
+                upgradeTransaction.objectStore('mediaBlobs').openCursor().onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+                    const blobRecord = cursor.value;
+                    if (!blobRecord.encrypted && typeof blobRecord.data === 'string') {
+                        blobRecord.data = dataUrlToBlob(blobRecord.data);
+                        cursor.update(blobRecord);
+                    }
+                    cursor.continue();
+                };
+            }
         };
 
         request.onsuccess = (event) => {
@@ -43,6 +131,24 @@ function openDatabase() {
     });
 }
 
+/**
+ * Converts a Base64 data URL (e.g., 'data:image/jpeg;base64,...') into a Blob of the same MIME type.
+ * Synchronous, so it can run inside an upgrade transaction. Non-string values are returned unchanged.
+ * @param {string|Blob} dataUrl - The data URL.
+ * @returns {Blob} The decoded Blob.
+ */
+function dataUrlToBlob(dataUrl) {
+    if (typeof dataUrl !== 'string') return dataUrl;
+    const [header, base64] = dataUrl.split(',');
+    const mimeType = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+    const binary = atob(base64 || '');
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+}
+
 /**
  * Adds data to an object store.
  * @param {string} storeName - The name of the object store.
@@ -59,6 +165,65 @@ function addData(storeName, data) {
     });
 }
 
+/**
+ * Adds a record together with a companion record in another store, keyed by the new record's key,
+ * in a single transaction (e.g., a 'media' record and its 'mediaBlobs' payload).
+ * @param {string} storeName - The name of the main object store (auto-increment key).
+ * @param {object} data - The main record.
+ * @param {string} blobStoreName - The name of the companion store (keyPath 'id').
+ * @param {object} blobData - The companion record (its `id` is set to the new key).
+ */
+function addDataWithBlob(storeName, data, blobStoreName, blobData) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName, blobStoreName], 'readwrite');
+        const request = transaction.objectStore(storeName).add(data);
+        let newKey;
+
+        request.onsuccess = () => {
+            newKey = request.result;
+            transaction.objectStore(blobStoreName).add({ ...blobData, id: newKey });
+        };
+        transaction.oncomplete = () => resolve(newKey); // Returns the key of the added object
+        transaction.onerror = (event) => reject(event.target.error);
+        transaction.onabort = (event) => reject(event.target.error);
+    });
+}
+
+/**
+ * Replaces a record and its companion record in another store (both keyed by `data.id`) in a single transaction.
+ * @param {string} storeName - The name of the main object store.
+ * @param {object} data - The main record (must include its key).
+ * @param {string} blobStoreName - The name of the companion store (keyPath 'id').
+ * @param {object} blobData - The companion record (its `id` is set to `data.id`).
+ */
+function updateDataWithBlob(storeName, data, blobStoreName, blobData) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName, blobStoreName], 'readwrite');
+        transaction.objectStore(storeName).put(data);
+        transaction.objectStore(blobStoreName).put({ ...blobData, id: data.id });
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+        transaction.onabort = (event) => reject(event.target.error);
+    });
+}
+
+/**
+ * Updates (or inserts) a record in an object store. The record must include its key.
+ * @param {string} storeName - The name of the object store.
+ * @param {object} data - The full record to store.
+ */
+function updateData(storeName, data) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const request = store.put(data);
+
+        request.onsuccess = () => resolve(request.result); // Returns the key of the stored object
+        request.onerror = (event) => reject(event.target.error);
+    });
+}
+
 /**
  * Retrieves all data from an object store.
  * @param {string} storeName - The name of the object store.
@@ -90,6 +255,98 @@ function getDataByKey(storeName, key) {
     });
 }
 
+/**
+ * Retrieves one page of records from an index, using a cursor (only the page is loaded into memory).
+ * Pass the returned `next` position as `after` to get the following page.
+ *
+ * @param {string} storeName - The name of the object store.
+ * @param {string} indexName - The name of the index to iterate.
+ * @param {IDBKeyRange|null} range - The index key range to iterate (e.g., one sender's timestamps).
+ * @param {object} [options]
+ * @param {number} [options.limit=20] - Maximum number of records in the page.
+ * @param {string} [options.direction='next'] - Cursor direction: 'next' (ascending) or 'prev' (descending).
+ * @param {object|null} [options.after=null] - `{ key, primaryKey }` of the last record of the previous page.
+ * @returns {Promise<object>} `{ items, next }`, where `next` is null once the range is exhausted.
+ */
+function getPageByIndex(storeName, indexName, range, { limit = 20, direction = 'next', after = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readonly');
+        const index = transaction.objectStore(storeName).index(indexName);
+        const request = index.openCursor(range, direction);
+        const items = [];
+        // 'seek': jump to the previous page's last record; 'skip': step past it; 'collect': read records.
+        let phase = after ? 'seek' : 'collect';
+
+        const isAtAfter = (cursor) => indexedDB.cmp(cursor.key, after.key) === 0 && indexedDB.cmp(cursor.primaryKey, after.primaryKey) === 0;
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve({ items, next: null }); // End of the range.
+                return;
+            }
+
+            if (phase === 'seek') {
+                phase = 'skip';
+                if (!isAtAfter(cursor)) {
+                    cursor.continuePrimaryKey(after.key, after.primaryKey);
+                    return;
+                }
+            }
+            if (phase === 'skip') {
+                phase = 'collect';
+                if (isAtAfter(cursor)) { // (If that record was deleted meanwhile, the cursor is already past it.)
+                    cursor.continue();
+                    return;
+                }
+            }
+
+            items.push(cursor.value);
+            if (items.length >= limit) {
+                resolve({ items, next: { key: cursor.key, primaryKey: cursor.primaryKey } });
+                return;
+            }
+            cursor.continue();
+        };
+        request.onerror = (event) => reject(event.target.error);
+    });
+}
+
+/**
+ * Visits every record of a store (or of an index range) with a cursor, one record at a time,
+ * so large stores can be scanned without loading them into memory at once.
+ * @param {string} storeName - The name of the object store.
+ * @param {Function} callback - Called with each record value (and its primary key).
+ * @param {object} [options]
+ * @param {string} [options.indexName] - Iterate this index instead of the primary key.
+ * @param {IDBKeyRange|null} [options.range=null] - Key range to iterate.
+ * @param {string} [options.direction='next'] - Cursor direction: 'next' or 'prev'.
+ * @returns {Promise<void>} Resolves once every record was visited.
+ */
+function forEachRecord(storeName, callback, { indexName, range = null, direction = 'next' } = {}) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readonly');
+        const store = transaction.objectStore(storeName);
+        const request = (indexName ? store.index(indexName) : store).openCursor(range, direction);
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            try {
+                callback(cursor.value, cursor.primaryKey);
+            } catch (error) {
+                reject(error);
+                return;
+            }
+            cursor.continue();
+        };
+        request.onerror = (event) => reject(event.target.error);
+    });
+}
+
 /**
  * Deletes data from an object store by key.
  * @param {string} storeName - The name of the object store.
@@ -106,10 +363,121 @@ function deleteData(storeName, key) {
     });
 }
 
-// Utility function to get current logged-in user from session storage
-function getCurrentUser() {
-    const user = sessionStorage.getItem('currentUser');
-    return user ? JSON.parse(user) : null;
+/**
+ * Updates several records of a store in a single transaction (all or none are changed).
+ * Keys without a record are skipped.
+ * @param {string} storeName - The name of the object store.
+ * @param {Array<any>} keys - The keys of the records to update.
+ * @param {function(object): void} update - Changes a record in place before it is written back.
+ * @returns {Promise<number>} The number of records updated.
+ */
+function updateRecords(storeName, keys, update) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        let updated = 0;
+        keys.forEach(key => {
+            store.get(key).onsuccess = (event) => {
+                const record = event.target.result;
+                if (!record) return;
+                update(record);
+                store.put(record);
+                updated++;
+            };
+        });
+        transaction.oncomplete = () => resolve(updated);
+        transaction.onerror = (event) => reject(event.target.error);
+        transaction.onabort = (event) => reject(event.target.error);
+    });
+}
+
+/**
+ * Deletes media items in a single transaction: their 'media' records, their 'mediaBlobs' payloads,
+ * and their IDs from every album that contains them (an album whose cover is deleted gets a new cover).
+ * @param {Array<number>} mediaIds - The IDs of the media items to delete.
+ */
+function deleteMediaRecords(mediaIds) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['media', 'mediaBlobs', 'albums'], 'readwrite');
+        const deletedIds = new Set(mediaIds);
+        mediaIds.forEach(id => {
+            transaction.objectStore('media').delete(id);
+            transaction.objectStore('mediaBlobs').delete(id);
+        });
+
+        transaction.objectStore('albums').openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            const album = cursor.value;
+            if (album.mediaIds.some(id => deletedIds.has(id))) {
+                album.mediaIds = album.mediaIds.filter(id => !deletedIds.has(id));
+                if (deletedIds.has(album.coverMediaId)) {
+                    album.coverMediaId = album.mediaIds.length > 0 ? album.mediaIds[album.mediaIds.length - 1] : null;
+                }
+                cursor.update(album);
+            }
+            cursor.continue();
+        };
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+        transaction.onabort = (event) => reject(event.target.error);
+    });
+}
+
+/**
+ * Deletes every record of an index that matches a value, using a cursor inside an existing transaction.
+ * @param {IDBIndex} index - The index to search (from a readwrite transaction).
+ * @param {any} value - The index value to match.
+ */
+function deleteIndexMatches(index, value) {
+    index.openCursor(IDBKeyRange.only(value)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+            cursor.delete();
+            cursor.continue();
+        }
+    };
+}
+
+/**
+ * Deletes all records whose index value matches (e.g., all media of a sender).
+ * @param {string} storeName - The name of the object store.
+ * @param {string} indexName - The name of the index.
+ * @param {any} value - The index value to match.
+ */
+function deleteDataByIndex(storeName, indexName, value) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readwrite');
+        deleteIndexMatches(transaction.objectStore(storeName).index(indexName), value);
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+        transaction.onabort = (event) => reject(event.target.error);
+    });
+}
+
+/**
+ * Deletes a record and all records referencing it in other stores, in a single transaction
+ * (either everything is deleted or nothing is).
+ * @param {string} storeName - The store of the main record (e.g., 'users').
+ * @param {any} key - The key of the main record.
+ * @param {Array<object>} cascades - `{ storeName, indexName }` pairs whose index holds `key` (e.g., media by 'senderId').
+ */
+function deleteDataWithCascade(storeName, key, cascades) {
+    return new Promise((resolve, reject) => {
+        const storeNames = [storeName, ...cascades.map(cascade => cascade.storeName)];
+        const transaction = db.transaction(storeNames, 'readwrite');
+
+        cascades.forEach(cascade => {
+            deleteIndexMatches(transaction.objectStore(cascade.storeName).index(cascade.indexName), key);
+        });
+        transaction.objectStore(storeName).delete(key);
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+        transaction.onabort = (event) => reject(event.target.error);
+    });
 }
 
 // Ensure database is open when script loads
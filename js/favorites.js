@@ -0,0 +1,50 @@
+// js/favorites.js
+// Favorites: a favorited snap carries `favoritedAt` (plaintext, the time it was favorited) on its 'media' record.
+// IndexedDB can't index booleans, so the timestamp doubles as the flag and the [senderId, favoritedAt] index
+// lists a user's favorites without scanning the whole gallery. Favorites are never removed by the automatic
+// cleanup (see findCleanupCandidates in storage-quota.js) and need an extra confirmation before deletion.
+
+/**
+ * Tells whether a media item is a favorite.
+ * @param {object} media - The media record or decrypted item.
+ * @returns {boolean} True if it is favorited.
+ */
+function isFavorite(media) {
+    return typeof media.favoritedAt === 'number';
+}
+
+/**
+ * Favorites or unfavorites a media item.
+ * @param {number} mediaId - The media ID.
+ * @param {boolean} favorite - True to favorite, false to unfavorite.
+ * @returns {Promise<number|null>} The new `favoritedAt` (null when unfavorited).
+ */
+async function setMediaFavorite(mediaId, favorite) {
+    await openDatabase();
+    const favoritedAt = favorite ? Date.now() : null;
+    await updateRecords('media', [mediaId], (record) => {
+        if (favorite) {
+            record.favoritedAt = favoritedAt;
+        } else {
+            delete record.favoritedAt;
+        }
+    });
+    console.log(`FAVORITES: Media ${mediaId} ${favorite ? 'added to' : 'removed from'} favorites.`);
+    return favoritedAt;
+}
+
+/**
+ * Lists a user's favorite media records (including any in the trash), by capture time.
+ * @param {number} userId - The user ID.
+ * @param {string} [direction='prev'] - 'prev' for newest first, 'next' for oldest first.
+ * @returns {Promise<Array<object>>} The (still encrypted) media records.
+ */
+async function listFavorites(userId, direction = 'prev') {
+    await openDatabase();
+    const records = [];
+    await forEachRecord('media', record => records.push(record), {
+        indexName: 'senderId_favoritedAt',
+        range: IDBKeyRange.bound([userId, -Infinity], [userId, Infinity])
+    });
+    return records.sort((a, b) => (direction === 'prev' ? b.timestamp - a.timestamp : a.timestamp - b.timestamp));
+}
\ No newline at end of file
@@ -0,0 +1,35 @@
+// js/filter-worker.js
+// Web Worker that runs the CPU filter chain off the main thread.
+// It loads the same filters.js as the page, receives unfiltered frames (as transferred ImageData buffers)
+// from FilterManager, applies the chain on an OffscreenCanvas and transfers the result back as an ImageBitmap.
+
+importScripts('filters.js'); // Resolved relative to this worker script (js/filters.js).
+
+let offscreenCanvas = null; // OffscreenCanvas matching the current frame size.
+let offscreenCtx = null;    // Its 2D context, handed to filters that draw overlays.
+
+/**
+ * Handles a frame from the main thread.
+ * Message data: `{ type: 'frame', id, width, height, buffer, chain, frameCount }`.
+ * Replies with `{ type: 'frame', id, bitmap }`, or `{ type: 'error', id, message }` if filtering failed.
+ */
+self.onmessage = (event) => {
+    const { type, id, width, height, buffer, chain, frameCount } = event.data;
+    if (type !== 'frame') return;
+
+    try {
+        if (!offscreenCanvas || offscreenCanvas.width !== width || offscreenCanvas.height !== height) {
+            offscreenCanvas = new OffscreenCanvas(width, height);
+            offscreenCtx = offscreenCanvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        const imageData = new ImageData(new Uint8ClampedArray(buffer), width, height);
+        FilterManager.processImageData(offscreenCtx, imageData, chain, frameCount);
+
+        const bitmap = offscreenCanvas.transferToImageBitmap();
+        self.postMessage({ type: 'frame', id, bitmap }, [bitmap]); // Transfer, don't copy.
+    } catch (err) {
+        console.error('FILTER_WORKER: Failed to process frame:', err);
+        self.postMessage({ type: 'error', id, message: err.message });
+    }
+};
\ No newline at end of file
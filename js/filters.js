@@ -1,20 +1,24 @@
 // js/filters.js
 // This file manages all image/video filters for the SnapLens application.
-// It defines both CSS-based filters (applied via CSS class) and
+// It defines both CSS-based filters (CSS filter strings drawn via ctx.filter) and
 // Canvas-based filters (applied via direct pixel manipulation).
 // Total lines (including comments and empty lines): ~1000+
 
 /**
  * FilterManager Module
- * Provides functionality to register, activate, and apply various image/video filters.
- * Filters can be 'css' type (relying on CSS filter property) or 'canvas' type (pixel manipulation).
+ * Provides functionality to register, chain, and apply various image/video filters.
+ * Filters can be 'css' type (a CSS filter string rendered via ctx.filter) or 'canvas' type (pixel manipulation).
  *
  * @module FilterManager
  */
 const FilterManager = (() => {
-    let activeFilterId = 'none'; // Stores the ID of the currently active filter. Default is 'none'.
+    let filterChain = [];         // Ordered list of chain entries ({ id, enabled, params }) applied in sequence. Empty means 'none'.
     const filters = {};           // A dictionary to store all registered filter objects (key: filter ID).
     let frameCount = 0;           // Global frame counter, incremented each frame for animated filters.
+    let renderBackend = 'auto';   // Requested backend: 'auto' (WebGL when possible) or 'cpu'.
+    let lastBackendUsed = 'cpu';  // Backend that rendered the most recent frame: 'webgl', 'worker' or 'cpu'.
+    let processingMode = 'auto';  // CPU filter processing: 'auto' (Web Worker when possible) or 'sync' (main thread).
+    let digitalZoom = 1;          // Digital zoom factor (1 = none), used when the camera has no hardware zoom.
 
     // --- Core Filter Management Functions ---
 
@@ -27,39 +31,199 @@ const FilterManager = (() => {
      * @param {string} name - The display name for the filter (e.g., 'Digital Glitch', 'Old Sepia').
      * @param {string} type - The type of filter: 'canvas' for pixel manipulation, 'css' for CSS filter string.
      * @param {Function|string} applyFuncOrCssClass -
-     *   If `type` is 'canvas': A function (data, w, h, frameCount, ctx, video) that manipulates pixel data.
+     *   If `type` is 'canvas': A function (data, w, h, frameCount, ctx, video, params) that manipulates pixel data.
+     *   `params` holds the current values of the filter's adjustable parameters (see `options.params`).
      *   If `type` is 'css': The CSS class name to apply for the filter (e.g., 'filter-css-grayscale').
+     * @param {object} [options] - Optional extra filter definition.
+     * @param {string} [options.ctxFilter] - For 'css' filters: the CSS filter string (e.g., 'sepia(100%)')
+     *   that is rendered into the canvas bitmap via `ctx.filter` (or the pixel fallback), so that
+     *   captured photos and recorded videos contain the effect.
+     * @param {Array<object>} [options.params] - Schema of adjustable parameters, each
+     *   `{ name, label, min, max, default, step }`. Rendered as sliders by the camera UI.
+     * @param {string} [options.shader] - For 'canvas' filters: an optional GLSL fragment shader used by the
+     *   WebGL backend instead of `applyFunc`. Each parameter is available as a `uniform float u_<name>`.
      */
-    const registerFilter = (id, name, type, applyFuncOrCssClass) => {
+    const registerFilter = (id, name, type, applyFuncOrCssClass, options = {}) => {
         if (filters[id]) {
             console.warn(`Filter with ID '${id}' already registered. Overwriting existing filter.`);
         }
-        filters[id] = { id, name, type, applyFunc: applyFuncOrCssClass };
+        filters[id] = {
+            id,
+            name,
+            type,
+            applyFunc: applyFuncOrCssClass,
+            ctxFilter: options.ctxFilter || 'none',
+            params: options.params || [],
+            shader: options.shader || null
+        };
         console.debug(`Registered filter: "${name}" (ID: "${id}", Type: ${type})`);
     };
 
     /**
-     * Sets the currently active filter by its ID.
-     * Subsequent calls to `applyActiveFilter` will use this newly activated filter.
-     * If the ID is not found, a warning is logged and the active filter remains unchanged.
+     * Builds a `{ name: value }` object holding the default value of every parameter of a filter.
+     *
+     * @param {object} filter - A registered filter object.
+     * @returns {object} The default parameter values.
+     */
+    const getDefaultParams = (filter) => {
+        const values = {};
+        filter.params.forEach(param => {
+            values[param.name] = param.default;
+        });
+        return values;
+    };
+
+    // --- Filter Chain Management ---
+    // Filters are stacked in an ordered chain (e.g., 'vignette' -> 'tint-blue' -> 'scanline').
+    // Each entry can be toggled on/off without losing its position in the chain.
+
+    /**
+     * Appends a filter to the end of the chain.
+     * A filter can only appear once in the chain; 'none' is never added (it represents an empty chain).
+     *
+     * @param {string} id - The ID of the filter to add.
+     * @returns {boolean} True if the filter was added.
+     */
+    const addFilterToChain = (id) => {
+        if (!filters[id]) {
+            console.warn(`Filter with ID "${id}" not found. Chain unchanged.`);
+            return false;
+        }
+        if (id === 'none' || filterChain.some(entry => entry.id === id)) {
+            return false;
+        }
+        filterChain.push({ id, enabled: true, params: getDefaultParams(filters[id]) });
+        console.log(`Filter chain: added "${filters[id].name}" at position ${filterChain.length - 1}.`);
+        return true;
+    };
+
+    /**
+     * Removes the chain entry at the given position.
+     *
+     * @param {number} index - The position of the entry in the chain.
+     */
+    const removeFilterFromChain = (index) => {
+        if (index < 0 || index >= filterChain.length) {
+            console.warn(`Filter chain: invalid index ${index} for removal.`);
+            return;
+        }
+        const [removed] = filterChain.splice(index, 1);
+        console.log(`Filter chain: removed "${removed.id}" from position ${index}.`);
+    };
+
+    /**
+     * Moves a chain entry from one position to another, shifting the entries in between.
+     *
+     * @param {number} fromIndex - The current position of the entry.
+     * @param {number} toIndex - The new position of the entry.
+     */
+    const moveFilterInChain = (fromIndex, toIndex) => {
+        if (fromIndex < 0 || fromIndex >= filterChain.length || toIndex < 0 || toIndex >= filterChain.length) {
+            console.warn(`Filter chain: invalid move from ${fromIndex} to ${toIndex}.`);
+            return;
+        }
+        const [entry] = filterChain.splice(fromIndex, 1);
+        filterChain.splice(toIndex, 0, entry);
+        console.log(`Filter chain: moved "${entry.id}" from position ${fromIndex} to ${toIndex}.`);
+    };
+
+    /**
+     * Enables or disables a chain entry without removing it from the chain.
+     *
+     * @param {number} index - The position of the entry in the chain.
+     * @param {boolean} [enabled] - The new state. If omitted, the current state is flipped.
+     */
+    const toggleFilterInChain = (index, enabled) => {
+        const entry = filterChain[index];
+        if (!entry) {
+            console.warn(`Filter chain: invalid index ${index} for toggle.`);
+            return;
+        }
+        entry.enabled = typeof enabled === 'boolean' ? enabled : !entry.enabled;
+        console.log(`Filter chain: "${entry.id}" ${entry.enabled ? 'enabled' : 'disabled'}.`);
+    };
+
+    /**
+     * Updates one adjustable parameter of a chain entry. The value is clamped to the
+     * parameter's schema range; unknown parameter names are ignored.
+     *
+     * @param {number} index - The position of the entry in the chain.
+     * @param {string} name - The parameter name (as declared in the filter's `params` schema).
+     * @param {number} value - The new value.
+     */
+    const setFilterParam = (index, name, value) => {
+        const entry = filterChain[index];
+        const param = entry && filters[entry.id].params.find(p => p.name === name);
+        if (!param) {
+            console.warn(`Filter chain: unknown parameter "${name}" for entry ${index}.`);
+            return;
+        }
+        entry.params[name] = Math.min(param.max, Math.max(param.min, Number(value)));
+    };
+
+    /**
+     * Removes every entry from the chain (equivalent to the 'none' filter).
+     */
+    const clearFilterChain = () => {
+        filterChain = [];
+        console.log('Filter chain: cleared.');
+    };
+
+    /**
+     * Retrieves a copy of the chain entries, in the order they are applied.
+     *
+     * @returns {Array<object>} An array of `{ id, enabled, params, filter }` objects.
+     */
+    const getFilterChain = () => filterChain.map(entry => ({ ...entry, params: { ...entry.params }, filter: filters[entry.id] }));
+
+    /**
+     * Retrieves the IDs of the enabled chain entries in the order they are applied.
+     * This is what gets stored as `filtersApplied` on saved media.
+     *
+     * @returns {Array<string>} The ordered list of applied filter IDs (empty if no filter is applied).
+     */
+    const getAppliedFilterIds = () => filterChain.filter(entry => entry.enabled).map(entry => entry.id);
+
+    /**
+     * Retrieves the parameter values of the enabled chain entries that have adjustable parameters.
+     * This is what gets stored as `filterParams` on saved media.
+     *
+     * @returns {object} An object keyed by filter ID, e.g. `{ vignette: { strength: 0.7 } }`.
+     */
+    const getAppliedFilterParams = () => {
+        const values = {};
+        filterChain.forEach(entry => {
+            if (entry.enabled && filters[entry.id].params.length > 0) {
+                values[entry.id] = { ...entry.params };
+            }
+        });
+        return values;
+    };
+
+    /**
+     * Replaces the whole chain with a single filter (or clears it for 'none').
+     * Kept for callers that only need one filter at a time.
      *
      * @param {string} id - The ID of the filter to activate.
      */
     const setActiveFilter = (id) => {
-        if (filters[id]) {
-            activeFilterId = id;
-            console.log(`Active filter set to: "${filters[id].name}" (ID: "${id}")`);
-        } else {
-            console.warn(`Filter with ID "${id}" not found. Active filter remains "${activeFilterId}".`);
+        if (!filters[id]) {
+            console.warn(`Filter with ID "${id}" not found. Filter chain unchanged.`);
+            return;
         }
+        clearFilterChain();
+        addFilterToChain(id);
     };
 
     /**
-     * Retrieves the object representing the currently active filter.
+     * Retrieves the most recently added enabled filter in the chain.
      *
-     * @returns {object} The active filter object (containing id, name, type, and applyFunc).
+     * @returns {object} The filter object (containing id, name, type, and applyFunc), or the 'none' filter if the chain is empty.
      */
-    const getActiveFilter = () => filters[activeFilterId];
+    const getActiveFilter = () => {
+        const applied = getAppliedFilterIds();
+        return filters[applied.length > 0 ? applied[applied.length - 1] : 'none'];
+    };
 
     /**
      * Retrieves an array of all registered filter objects.
@@ -70,31 +234,22 @@ const FilterManager = (() => {
     const getAllFilters = () => Object.values(filters);
 
     /**
-     * Helper function to draw the source video frame onto the canvas,
-     * ensuring correct aspect ratio (`object-fit: cover` behavior) and mirroring.
-     * This function performs the base drawing operation before any specific filter effects are applied.
+     * Calculates the source rectangle of the video that "covers" the canvas
+     * (`object-fit: cover` behavior), cropping the video if its aspect ratio
+     * doesn't exactly match the canvas aspect ratio. With digital zoom, only the
+     * centre 1/zoom of that rectangle is used.
+     * Shared by the 2D drawing path and the WebGL path (and by camera.js to map taps onto the video frame).
      *
-     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
-     * @param {HTMLVideoElement} video - The source video element (e.g., #camera-video-source).
-     * @param {HTMLCanvasElement} canvas - The target canvas element (e.g., #camera-canvas).
-     * @param {string} facingMode - The current camera facing mode ('user' for front, 'environment' for back).
+     * @param {HTMLVideoElement} video - The source video element.
+     * @param {HTMLCanvasElement} canvas - The target canvas element.
+     * @returns {object} `{ sx, sy, sWidth, sHeight }` in video pixels.
      */
-    const drawVideoOnCanvas = (ctx, video, canvas, facingMode) => {
-        // Ensure video is ready and has valid dimensions to prevent errors during draw.
-        if (video.videoWidth === 0 || video.videoHeight === 0 || video.readyState < 2) {
-            // console.warn("Video source not ready for drawing (dimensions zero or not enough data).");
-            return; // Skip drawing this frame if video is not ready
-        }
-
+    const computeCoverRect = (video, canvas) => {
         const videoRatio = video.videoWidth / video.videoHeight;
         const canvasRatio = canvas.width / canvas.height;
 
         let sx, sy, sWidth, sHeight; // Source rectangle: portion of the video to draw from.
-        let dx, dy, dWidth, dHeight; // Destination rectangle: where on the canvas to draw.
 
-        // Calculate source dimensions to "cover" the canvas.
-        // This simulates `object-fit: cover` by cropping the video if its aspect ratio
-        // doesn't exactly match the canvas aspect ratio.
         if (videoRatio > canvasRatio) { 
             // Video is wider than canvas (e.g., 16:9 video on a 9:16 canvas).
             // Crop video horizontally to match canvas aspect ratio.
@@ -111,6 +266,43 @@ const FilterManager = (() => {
             sy = (video.videoHeight - sHeight) / 2; // Center the cropped area vertically.
         }
 
+        if (digitalZoom > 1) {
+            // Digital zoom: crop the centre of the covered area further; it is scaled up when drawn.
+            sx += (sWidth - sWidth / digitalZoom) / 2;
+            sy += (sHeight - sHeight / digitalZoom) / 2;
+            sWidth /= digitalZoom;
+            sHeight /= digitalZoom;
+        }
+        return { sx, sy, sWidth, sHeight };
+    };
+
+    /**
+     * Checks whether the video element has a frame available for drawing.
+     * @param {HTMLVideoElement} video - The source video element.
+     * @returns {boolean} True if the video has valid dimensions and enough data.
+     */
+    const isVideoReady = (video) => video.videoWidth !== 0 && video.videoHeight !== 0 && video.readyState >= 2;
+
+    /**
+     * Helper function to draw the source video frame onto the canvas,
+     * ensuring correct aspect ratio (`object-fit: cover` behavior), digital zoom and mirroring.
+     * This function performs the base drawing operation before any specific filter effects are applied.
+     *
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
+     * @param {HTMLVideoElement} video - The source video element (e.g., #camera-video-source).
+     * @param {HTMLCanvasElement} canvas - The target canvas element (e.g., #camera-canvas).
+     * @param {string} facingMode - The current camera facing mode ('user' for front, 'environment' for back).
+     */
+    const drawVideoOnCanvas = (ctx, video, canvas, facingMode) => {
+        // Ensure video is ready and has valid dimensions to prevent errors during draw.
+        if (!isVideoReady(video)) {
+            // console.warn("Video source not ready for drawing (dimensions zero or not enough data).");
+            return; // Skip drawing this frame if video is not ready
+        }
+
+        const { sx, sy, sWidth, sHeight } = computeCoverRect(video, canvas); // Source rectangle.
+        let dx, dy, dWidth, dHeight; // Destination rectangle: where on the canvas to draw.
+
         // Destination dimensions are always the full canvas area, as we want to fill it.
         dx = 0;
         dy = 0;
@@ -139,47 +331,403 @@ const FilterManager = (() => {
     };
 
     /**
-     * The main function to apply the currently active filter to the canvas.
+     * Runs the pixel stage of the chain on a single RGBA buffer.
+     * 'css' entries are emulated on the pixels; 'canvas' entries run their `applyFunc`.
+     *
+     * @param {Uint8ClampedArray} data - Pixel data (modified in place).
+     * @param {number} w - Image width.
+     * @param {number} h - Image height.
+     * @param {Array<object>} steps - Filters (with their current `values`) in application order.
+     * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Context for filters that draw overlays.
+     * @param {HTMLVideoElement|null} video - The source video element (null inside the worker).
+     */
+    const applyPixelSteps = (data, w, h, steps, ctx, video) => {
+        steps.forEach(filter => {
+            if (filter.type === 'css') {
+                // CSS filters after a pixel filter (or without `ctx.filter` support) are emulated on the pixels.
+                applyCssFilterToPixels(data, w, h, filter.ctxFilter);
+            } else if (filter.type === 'canvas' && typeof filter.applyFunc === 'function') {
+                // The filter function modifies the `data` array in place.
+                // We pass `ctx` and `video` as some advanced canvas filters might need them for drawing overlays.
+                filter.applyFunc(data, w, h, frameCount, ctx, video, filter.values);
+            }
+        });
+    };
+
+    /**
+     * The main function to apply the filter chain to the canvas.
      * This function is called repeatedly within the animation loop (`requestAnimationFrame`).
-     * It orchestrates drawing the base video frame and then applying pixel-based or CSS-based filter effects.
+     * It draws the base video frame and then evaluates every enabled chain entry in order.
+     *
+     * Leading 'css' filters are combined into a single `ctx.filter` string used while drawing the frame.
+     * All remaining entries share one getImageData/putImageData round-trip: 'canvas' filters run their
+     * `applyFunc` and later 'css' filters are emulated on the same pixel buffer.
      *
      * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
      * @param {HTMLVideoElement} video - The source video element.
      * @param {HTMLCanvasElement} canvas - The canvas element.
      * @param {number} currentFrameCount - The current animation frame count (for time-based effects).
      * @param {string} facingMode - 'user' or 'environment' camera.
+     * @param {boolean} [forceSync=false] - True to render this frame on the main thread even in worker mode
+     *   (e.g., right before a photo capture, when the canvas must hold the current frame immediately).
      */
-    const applyActiveFilter = (ctx, video, canvas, currentFrameCount, facingMode) => {
+    const applyActiveFilter = (ctx, video, canvas, currentFrameCount, facingMode, forceSync = false) => {
         frameCount = currentFrameCount; // Update the module's global frame counter.
-        const filter = getActiveFilter(); // Get the currently selected filter.
-        
+        const chain = filterChain.filter(entry => entry.enabled).map(entry => ({ ...filters[entry.id], values: entry.params }));
+
+        // GPU path: used when every filter in the chain can run as a shader.
+        if (renderWithWebGL(ctx, video, canvas, facingMode, chain)) {
+            lastBackendUsed = 'webgl';
+            return;
+        }
+
+        // Worker path: pixel filters run off the main thread; the result is drawn when it comes back.
+        if (!forceSync && renderWithWorker(ctx, video, canvas, facingMode, chain)) {
+            lastBackendUsed = 'worker';
+            return;
+        }
+        workerFrameId++; // A synchronous frame supersedes any worker result still in flight.
+        lastBackendUsed = 'cpu';
+
         ctx.clearRect(0, 0, canvas.width, canvas.height); // Clear the entire canvas for the new frame.
 
-        // 1. Draw the base video frame onto the canvas. This includes aspect ratio correction and mirroring.
-        drawVideoOnCanvas(ctx, video, canvas, facingMode);
-        
-        // 2. Apply the chosen filter effect based on its type.
-        if (filter.type === 'css') {
-            // For 'css' type filters, the visual effect is handled by a CSS class
-            // applied directly to the `<canvas>` element in `camera.js`.
-            // No pixel manipulation is performed here within `filters.js` for CSS filters.
-            // This conditional block primarily serves for logical separation.
-        } else if (filter.type === 'canvas' && typeof filter.applyFunc === 'function') {
-            // For 'canvas' type filters, we need to manipulate the actual pixel data.
-            // Get the ImageData object from the canvas *after* the base video frame has been drawn.
-            let imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            let data = imageData.data; // This is a Uint8ClampedArray containing RGBA pixel values.
-
-            // Apply the custom canvas filter function.
-            // The filter function modifies the `data` array in place.
-            // We pass `ctx` and `video` as some advanced canvas filters might need them for drawing overlays.
-            filter.applyFunc(data, canvas.width, canvas.height, frameCount, ctx, video);
-            
-            // Put the modified pixel data back onto the canvas.
-            ctx.putImageData(imageData, 0, 0);
+        // 1. Collect the leading 'css' filters that can be rendered natively while drawing the frame.
+        let firstPixelStep = 0;
+        const drawFilters = [];
+        if (supportsCtxFilter(ctx)) {
+            while (firstPixelStep < chain.length && chain[firstPixelStep].type === 'css') {
+                if (chain[firstPixelStep].ctxFilter !== 'none') {
+                    drawFilters.push(chain[firstPixelStep].ctxFilter);
+                }
+                firstPixelStep++;
+            }
+        }
+
+        // 2. Draw the base video frame (aspect ratio correction and mirroring), with the combined CSS filters.
+        if (drawFilters.length > 0) {
+            ctx.filter = drawFilters.join(' ');
+            drawVideoOnCanvas(ctx, video, canvas, facingMode);
+            ctx.filter = 'none'; // Reset so later drawing operations are unaffected.
+        } else {
+            drawVideoOnCanvas(ctx, video, canvas, facingMode);
+        }
+
+        const pixelSteps = chain.slice(firstPixelStep).filter(filter => !(filter.type === 'css' && filter.ctxFilter === 'none'));
+        if (pixelSteps.length === 0) {
+            return; // Nothing left that needs pixel access.
+        }
+
+        // 3. Run the remaining chain entries on a single pixel buffer.
+        let imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        let data = imageData.data; // This is a Uint8ClampedArray containing RGBA pixel values.
+
+        applyPixelSteps(data, canvas.width, canvas.height, pixelSteps, ctx, video);
+
+        // Put the modified pixel data back onto the canvas.
+        ctx.putImageData(imageData, 0, 0);
+    };
+
+    // --- WebGL Rendering Backend ---
+    // When `WebGLRenderer` is loaded and WebGL is available, chains made only of shader-capable
+    // filters are rendered on the GPU. Anything else (no WebGL, a filter without a shader,
+    // a CSS blur, a shader that fails to compile) falls back to the CPU path above.
+
+    // Shader used for 'css' filters on the GPU: one color matrix per CSS filter function.
+    const COLOR_MATRIX_SHADER = `
+uniform mat3 u_matrix;
+uniform vec3 u_offset;
+void main() {
+    vec4 color = texture2D(u_image, v_texCoord);
+    gl_FragColor = vec4(clamp(u_matrix * color.rgb + u_offset, 0.0, 1.0), color.a);
+}`;
+
+    /**
+     * Converts the filter chain into WebGL shader passes.
+     *
+     * @param {Array<object>} chain - Enabled filters (with their current `values`) in application order.
+     * @returns {Array<object>|null} Passes (`{ key, source, uniforms }`), or null if any filter cannot run on the GPU.
+     */
+    const buildShaderPasses = (chain) => {
+        const passes = [];
+        for (const filter of chain) {
+            if (filter.type === 'css') {
+                for (const { fn, amount } of parseCssFilter(filter.ctxFilter)) {
+                    const m = cssFilterMatrix(fn, amount);
+                    if (!m) return null; // e.g. blur(), which is not a color matrix.
+                    passes.push({
+                        key: 'css-color-matrix',
+                        source: COLOR_MATRIX_SHADER,
+                        uniforms: {
+                            u_matrix: [m[0], m[4], m[8], m[1], m[5], m[9], m[2], m[6], m[10]], // Column-major.
+                            u_offset: [m[3] / 255, m[7] / 255, m[11] / 255]
+                        }
+                    });
+                }
+            } else if (filter.shader && !WebGLRenderer.hasFailed(filter.id)) {
+                const uniforms = {};
+                Object.keys(filter.values).forEach(name => {
+                    uniforms[`u_${name}`] = Number(filter.values[name]);
+                });
+                passes.push({ key: filter.id, source: filter.shader, uniforms });
+            } else {
+                return null;
+            }
+        }
+        return passes;
+    };
+
+    /**
+     * Tries to render the current frame with the WebGL backend.
+     *
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the visible canvas.
+     * @param {HTMLVideoElement} video - The source video element.
+     * @param {HTMLCanvasElement} canvas - The visible canvas element.
+     * @param {string} facingMode - 'user' or 'environment' camera.
+     * @param {Array<object>} chain - Enabled filters in application order.
+     * @returns {boolean} True if the frame was rendered on the GPU; false means the caller must use the CPU path.
+     */
+    const renderWithWebGL = (ctx, video, canvas, facingMode, chain) => {
+        if (renderBackend === 'cpu' || chain.length === 0 || typeof WebGLRenderer === 'undefined') return false;
+        if (!isVideoReady(video) || !WebGLRenderer.isSupported()) return false;
+
+        const passes = buildShaderPasses(chain);
+        if (!passes) return false;
+
+        const { sx, sy, sWidth, sHeight } = computeCoverRect(video, canvas);
+        const output = WebGLRenderer.render({
+            source: video,
+            crop: [sx / video.videoWidth, sy / video.videoHeight, sWidth / video.videoWidth, sHeight / video.videoHeight],
+            mirror: facingMode === 'user',
+            width: canvas.width,
+            height: canvas.height,
+            frameCount,
+            passes
+        });
+        if (!output) return false;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(output, 0, 0); // Copy the GPU result onto the visible 2D canvas (baked into captures).
+        return true;
+    };
+
+    /**
+     * Selects the rendering backend.
+     * 'auto' uses WebGL whenever the chain supports it; 'cpu' always runs the JavaScript `applyFunc` filters.
+     *
+     * @param {string} backend - 'auto' or 'cpu'.
+     */
+    const setRenderBackend = (backend) => {
+        if (backend !== 'auto' && backend !== 'cpu') {
+            console.warn(`Unknown render backend "${backend}". Keeping "${renderBackend}".`);
+            return;
         }
+        renderBackend = backend;
+        console.log(`Render backend set to: "${backend}".`);
     };
 
+    /**
+     * Sets the digital zoom applied when frames are drawn (see computeCoverRect).
+     * Photos rendered from the same video are zoomed the same way.
+     *
+     * @param {number} zoom - Zoom factor; values below 1 are treated as 1.
+     */
+    const setDigitalZoom = (zoom) => {
+        digitalZoom = Math.max(1, Number(zoom) || 1);
+    };
+
+    /**
+     * Retrieves the current digital zoom factor.
+     *
+     * @returns {number} The zoom factor (1 = none).
+     */
+    const getDigitalZoom = () => digitalZoom;
+
+    /**
+     * Retrieves the backend that rendered the most recent frame.
+     *
+     * @returns {string} 'webgl', 'worker' or 'cpu'.
+     */
+    const getRenderBackend = () => lastBackendUsed;
+
+    // --- Web Worker Processing Mode ---
+    // CPU filters can run in `js/filter-worker.js`, which loads this same file and calls `processImageData`.
+    // The main thread draws the cropped/mirrored frame on a scratch canvas, transfers its pixels to the
+    // worker and keeps showing the previous result until the filtered ImageBitmap comes back.
+    // While the worker is busy, new frames are dropped instead of queued, so it never falls further behind.
+    // Without Worker/OffscreenCanvas support, or if the worker errors or stalls, frames are processed synchronously.
+
+    const WORKER_SCRIPT = 'js/filter-worker.js';
+    const WORKER_STALL_TIMEOUT = 2000; // ms without a reply before the worker is considered stuck.
+
+    let frameWorker = null;      // The Worker instance (created on first use).
+    let workerFailed = false;    // True once the worker is unavailable for this session.
+    let workerBusy = false;      // True while a frame is being processed off-thread.
+    let workerSentAt = 0;        // Timestamp of the last frame sent to the worker.
+    let workerFrameId = 0;       // Id of the newest frame; worker results for older ids are discarded.
+    let workerPendingId = 0;     // Id of the frame currently being processed by the worker.
+    let workerTarget = null;     // `{ ctx, canvas }` that receives worker results.
+    let scratchCanvas = null;    // Hidden canvas used to prepare the unfiltered frame.
+    let droppedFrames = 0;       // Frames skipped because the worker was still busy.
+
+    /**
+     * Stops using the worker for the rest of the session and switches to synchronous processing.
+     * @param {string} reason - Logged explanation.
+     */
+    const disableWorker = (reason) => {
+        console.warn(`FILTERS: Worker processing disabled (${reason}). Falling back to synchronous filters.`);
+        if (frameWorker) frameWorker.terminate();
+        frameWorker = null;
+        workerFailed = true;
+        workerBusy = false;
+    };
+
+    /**
+     * Handles a message from the filter worker.
+     * @param {MessageEvent} event - Data is `{ type: 'frame', id, bitmap }` or `{ type: 'error', message }`.
+     */
+    const handleWorkerMessage = (event) => {
+        const message = event.data;
+        if (message.type === 'error') {
+            disableWorker(message.message);
+            return;
+        }
+        if (message.type !== 'frame') return;
+
+        const { bitmap, id } = message;
+        const target = workerTarget;
+        if (id === workerPendingId) workerBusy = false;
+        // Ignore stale results (superseded by a synchronous frame) or results for a resized canvas.
+        if (id === workerFrameId && target && bitmap.width === target.canvas.width && bitmap.height === target.canvas.height) {
+            target.ctx.clearRect(0, 0, target.canvas.width, target.canvas.height);
+            target.ctx.drawImage(bitmap, 0, 0);
+        }
+        bitmap.close();
+    };
+
+    /**
+     * Creates the filter worker on first use.
+     * @returns {boolean} True if the worker is available.
+     */
+    const ensureWorker = () => {
+        if (workerFailed) return false;
+        if (frameWorker) return true;
+
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof document === 'undefined') {
+            workerFailed = true;
+            console.log('FILTERS: Web Worker/OffscreenCanvas not available. Filters will run synchronously.');
+            return false;
+        }
+
+        try {
+            frameWorker = new Worker(WORKER_SCRIPT);
+        } catch (err) {
+            disableWorker(err.message); // e.g., workers are blocked on file:// pages.
+            return false;
+        }
+        frameWorker.onmessage = handleWorkerMessage;
+        frameWorker.onerror = (e) => {
+            e.preventDefault();
+            disableWorker(e.message || 'worker error');
+        };
+        scratchCanvas = document.createElement('canvas');
+        console.log('FILTERS: Filter worker started.');
+        return true;
+    };
+
+    /**
+     * Tries to process the current frame in the filter worker.
+     *
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the visible canvas.
+     * @param {HTMLVideoElement} video - The source video element.
+     * @param {HTMLCanvasElement} canvas - The visible canvas element.
+     * @param {string} facingMode - 'user' or 'environment' camera.
+     * @param {Array<object>} chain - Enabled filters in application order.
+     * @returns {boolean} True if the frame was handled (sent or dropped); false means the caller must render synchronously.
+     */
+    const renderWithWorker = (ctx, video, canvas, facingMode, chain) => {
+        // Chains without pixel filters are cheap enough (ctx.filter) to stay on the main thread.
+        if (processingMode === 'sync' || !chain.some(filter => filter.type === 'canvas')) return false;
+        if (!isVideoReady(video) || !ensureWorker()) return false;
+
+        if (workerBusy) {
+            if (performance.now() - workerSentAt > WORKER_STALL_TIMEOUT) {
+                disableWorker('no response');
+                return false;
+            }
+            droppedFrames++; // Keep showing the previous result instead of queueing work.
+            return true;
+        }
+
+        if (scratchCanvas.width !== canvas.width || scratchCanvas.height !== canvas.height) {
+            scratchCanvas.width = canvas.width;
+            scratchCanvas.height = canvas.height;
+        }
+        const scratchCtx = scratchCanvas.getContext('2d', { willReadFrequently: true });
+        scratchCtx.clearRect(0, 0, scratchCanvas.width, scratchCanvas.height);
+        drawVideoOnCanvas(scratchCtx, video, scratchCanvas, facingMode);
+        const imageData = scratchCtx.getImageData(0, 0, scratchCanvas.width, scratchCanvas.height);
+
+        workerFrameId++;
+        workerPendingId = workerFrameId;
+        workerTarget = { ctx, canvas };
+        workerBusy = true;
+        workerSentAt = performance.now();
+        frameWorker.postMessage({
+            type: 'frame',
+            id: workerFrameId,
+            width: imageData.width,
+            height: imageData.height,
+            buffer: imageData.data.buffer,
+            chain: filterChain.filter(entry => entry.enabled).map(entry => ({ id: entry.id, params: { ...entry.params } })),
+            frameCount
+        }, [imageData.data.buffer]); // Transfer the pixel buffer instead of copying it.
+        return true;
+    };
+
+    /**
+     * Applies a serialized filter chain to an ImageData. Used by the filter worker.
+     * Every step runs on the pixels ('css' filters are emulated), then the result is put on `ctx`.
+     *
+     * @param {OffscreenCanvasRenderingContext2D} ctx - Context sized like the image (also used by overlay filters).
+     * @param {ImageData} imageData - The unfiltered frame (modified in place).
+     * @param {Array<object>} chainEntries - Enabled chain entries `{ id, params }` in application order.
+     * @param {number} currentFrameCount - The current animation frame count.
+     */
+    const processImageData = (ctx, imageData, chainEntries, currentFrameCount) => {
+        frameCount = currentFrameCount;
+        const steps = chainEntries
+            .filter(entry => filters[entry.id])
+            .map(entry => ({ ...filters[entry.id], values: entry.params }))
+            .filter(filter => !(filter.type === 'css' && filter.ctxFilter === 'none'));
+
+        ctx.putImageData(imageData, 0, 0); // Overlay filters may read or draw on top of the frame.
+        applyPixelSteps(imageData.data, imageData.width, imageData.height, steps, ctx, null);
+        ctx.putImageData(imageData, 0, 0);
+    };
+
+    /**
+     * Selects how CPU filters are processed.
+     * 'auto' uses the Web Worker when supported; 'sync' always runs them on the main thread.
+     *
+     * @param {string} mode - 'auto' or 'sync'.
+     */
+    const setProcessingMode = (mode) => {
+        if (mode !== 'auto' && mode !== 'sync') {
+            console.warn(`Unknown processing mode "${mode}". Keeping "${processingMode}".`);
+            return;
+        }
+        processingMode = mode;
+        workerFrameId++; // Discard any result still in flight.
+        console.log(`Processing mode set to: "${mode}".`);
+    };
+
+    /**
+     * Retrieves the number of frames dropped because the worker was busy.
+     *
+     * @returns {number} The dropped frame count.
+     */
+    const getDroppedFrameCount = () => droppedFrames;
+
     // --- Utility Functions for Canvas Pixel Manipulation (Internal Helpers) ---
     // These functions simplify common tasks when working with raw pixel data.
 
@@ -292,6 +840,180 @@ const FilterManager = (() => {
     };
 
 
+    // --- CSS Filter Emulation (Fallback for browsers without `ctx.filter`) ---
+
+    let ctxFilterSupported = null; // Cached result of the `ctx.filter` feature check.
+
+    /**
+     * Checks whether the 2D context supports the `filter` property (CSS filter strings).
+     * The result is cached after the first call.
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context to test.
+     * @returns {boolean} True if `ctx.filter` is supported.
+     */
+    const supportsCtxFilter = (ctx) => {
+        if (ctxFilterSupported === null) {
+            ctxFilterSupported = typeof ctx.filter === 'string';
+            console.log(`FILTERS: ctx.filter support detected: ${ctxFilterSupported}.`);
+        }
+        return ctxFilterSupported;
+    };
+
+    /**
+     * Parses a CSS filter amount (e.g., '150%', '1.2', '90deg', '3px') into a plain number.
+     * Percentages become fractions, angles become degrees, lengths stay in pixels.
+     * @param {string} value - The raw argument of a CSS filter function.
+     * @returns {number} The numeric amount.
+     */
+    const parseCssFilterAmount = (value) => {
+        const number = parseFloat(value);
+        if (isNaN(number)) return 0;
+        if (value.endsWith('%')) return number / 100;
+        if (value.endsWith('turn')) return number * 360;
+        if (value.endsWith('grad')) return number * 0.9;
+        if (value.endsWith('rad')) return number * 180 / Math.PI;
+        return number; // Plain numbers, 'deg' and 'px'.
+    };
+
+    /**
+     * Splits a CSS filter string into its functions, e.g.
+     * 'sepia(30%) hue-rotate(-15deg)' -> [{ fn: 'sepia', amount: 0.3 }, { fn: 'hue-rotate', amount: -15 }].
+     * @param {string} filterString - The CSS filter string.
+     * @returns {Array<object>} The parsed `{ fn, amount }` list, in order.
+     */
+    const parseCssFilter = (filterString) => {
+        const functionRegex = /([a-z-]+)\(([^)]*)\)/g;
+        const functions = [];
+        let match;
+        while ((match = functionRegex.exec(filterString)) !== null) {
+            functions.push({ fn: match[1], amount: parseCssFilterAmount(match[2].trim()) });
+        }
+        return functions;
+    };
+
+    /**
+     * Builds the 3x4 color matrix (row-major, last column is an offset in 0-255 units)
+     * for a single CSS color filter function, following the Filter Effects specification.
+     * @param {string} fn - The CSS filter function name (e.g., 'sepia', 'hue-rotate').
+     * @param {number} amount - The parsed amount for that function.
+     * @returns {Array<number>|null} The 12-entry matrix, or null if the function is unknown.
+     */
+    const cssFilterMatrix = (fn, amount) => {
+        switch (fn) {
+            case 'grayscale': {
+                const a = 1 - Math.min(1, amount);
+                return [
+                    0.2126 + 0.7874 * a, 0.7152 - 0.7152 * a, 0.0722 - 0.0722 * a, 0,
+                    0.2126 - 0.2126 * a, 0.7152 + 0.2848 * a, 0.0722 - 0.0722 * a, 0,
+                    0.2126 - 0.2126 * a, 0.7152 - 0.7152 * a, 0.0722 + 0.9278 * a, 0
+                ];
+            }
+            case 'sepia': {
+                const a = 1 - Math.min(1, amount);
+                return [
+                    0.393 + 0.607 * a, 0.769 - 0.769 * a, 0.189 - 0.189 * a, 0,
+                    0.349 - 0.349 * a, 0.686 + 0.314 * a, 0.168 - 0.168 * a, 0,
+                    0.272 - 0.272 * a, 0.534 - 0.534 * a, 0.131 + 0.869 * a, 0
+                ];
+            }
+            case 'saturate': {
+                const s = amount;
+                return [
+                    0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s, 0,
+                    0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s, 0,
+                    0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s, 0
+                ];
+            }
+            case 'hue-rotate': {
+                const rad = amount * Math.PI / 180;
+                const cos = Math.cos(rad), sin = Math.sin(rad);
+                return [
+                    0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928, 0,
+                    0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283, 0,
+                    0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072, 0
+                ];
+            }
+            case 'invert': {
+                const a = Math.min(1, amount);
+                const slope = 1 - 2 * a;
+                return [slope, 0, 0, a * 255, 0, slope, 0, a * 255, 0, 0, slope, a * 255];
+            }
+            case 'brightness':
+                return [amount, 0, 0, 0, 0, amount, 0, 0, 0, 0, amount, 0];
+            case 'contrast': {
+                const intercept = (0.5 - 0.5 * amount) * 255;
+                return [amount, 0, 0, intercept, 0, amount, 0, intercept, 0, 0, amount, intercept];
+            }
+            default:
+                return null;
+        }
+    };
+
+    /**
+     * Applies a separable box blur approximating a CSS `blur(px)` Gaussian to pixel data.
+     * @param {Uint8ClampedArray} data - Pixel data (modified in place).
+     * @param {number} w - Image width.
+     * @param {number} h - Image height.
+     * @param {number} stdDeviation - The CSS blur radius in pixels.
+     */
+    const boxBlurPixels = (data, w, h, stdDeviation) => {
+        const radius = Math.round(stdDeviation * Math.sqrt(3)); // Box of this radius has roughly the same variance.
+        if (radius < 1) return;
+        const temp = new Uint8ClampedArray(data.length);
+
+        // Horizontal pass (data -> temp), then vertical pass (temp -> data).
+        const pass = (src, dest, horizontal) => {
+            const outer = horizontal ? h : w;
+            const inner = horizontal ? w : h;
+            for (let o = 0; o < outer; o++) {
+                for (let i = 0; i < inner; i++) {
+                    let r = 0, g = 0, b = 0, count = 0;
+                    for (let k = Math.max(0, i - radius); k <= Math.min(inner - 1, i + radius); k++) {
+                        const idx = horizontal ? (o * w + k) * 4 : (k * w + o) * 4;
+                        r += src[idx]; g += src[idx + 1]; b += src[idx + 2];
+                        count++;
+                    }
+                    const destIdx = horizontal ? (o * w + i) * 4 : (i * w + o) * 4;
+                    dest[destIdx] = r / count;
+                    dest[destIdx + 1] = g / count;
+                    dest[destIdx + 2] = b / count;
+                    dest[destIdx + 3] = src[destIdx + 3];
+                }
+            }
+        };
+        pass(data, temp, true);
+        pass(temp, data, false);
+    };
+
+    /**
+     * Emulates a CSS filter string (e.g., 'sepia(30%) saturate(150%) hue-rotate(-15deg)')
+     * directly on pixel data. Functions are applied in order, clamping after each step,
+     * which matches how browsers evaluate a CSS filter chain.
+     * @param {Uint8ClampedArray} data - Pixel data (modified in place).
+     * @param {number} w - Image width.
+     * @param {number} h - Image height.
+     * @param {string} filterString - The CSS filter string to emulate.
+     */
+    const applyCssFilterToPixels = (data, w, h, filterString) => {
+        parseCssFilter(filterString).forEach(({ fn, amount }) => {
+            if (fn === 'blur') {
+                boxBlurPixels(data, w, h, amount);
+                return;
+            }
+
+            const m = cssFilterMatrix(fn, amount);
+            if (!m) {
+                console.warn(`FILTERS: Unsupported CSS filter function "${fn}" in pixel fallback. Skipping.`);
+                return;
+            }
+            for (let i = 0; i < data.length; i += 4) {
+                const r = data[i], g = data[i + 1], b = data[i + 2];
+                data[i] = m[0] * r + m[1] * g + m[2] * b + m[3];      // Uint8ClampedArray clamps to 0-255.
+                data[i + 1] = m[4] * r + m[5] * g + m[6] * b + m[7];
+                data[i + 2] = m[8] * r + m[9] * g + m[10] * b + m[11];
+            }
+        });
+    };
+
     // --- Filter Definitions ---
     // This section defines all the available filters by registering them with the FilterManager.
     // Filters are categorized by their `type`: 'css' or 'canvas'.
@@ -299,71 +1021,72 @@ const FilterManager = (() => {
     console.log("--- Registering Filters ---");
 
     // 1. CSS Filters
-    // These filters leverage the native `filter` CSS property for performance.
-    // They are applied by adding a specific CSS class to the canvas element.
-    console.log("Registering CSS Filters (applied via CSS class names)...");
-    registerFilter('none', 'None', 'css', 'filter-css-none');
-    registerFilter('grayscale', 'Grayscale', 'css', 'filter-css-grayscale');
-    registerFilter('sepia', 'Sepia', 'css', 'filter-css-sepia');
-    registerFilter('invert', 'Invert', 'css', 'filter-css-invert');
-    registerFilter('contrast', 'Contrast', 'css', 'filter-css-contrast');
-    registerFilter('saturate', 'Saturate', 'css', 'filter-css-saturate');
-    registerFilter('hue-rotate', 'Hue Rotate', 'css', 'filter-css-hue-rotate');
-    registerFilter('blur', 'Blur', 'css', 'filter-css-blur');
-    registerFilter('brightness', 'Brightness', 'css', 'filter-css-brightness');
-    registerFilter('dark', 'Dark', 'css', 'filter-css-dark');
-    registerFilter('warm', 'Warm', 'css', 'filter-css-warm');
-    registerFilter('cold', 'Cold', 'css', 'filter-css-cold');
-    registerFilter('vintage', 'Vintage', 'css', 'filter-css-vintage');
-    registerFilter('noir', 'Noir', 'css', 'filter-css-noir');
-    registerFilter('lomo', 'Lomo', 'css', 'filter-css-lomo');
-    registerFilter('dreamy', 'Dreamy', 'css', 'filter-css-dreamy');
-    registerFilter('faded', 'Faded', 'css', 'filter-css-faded');
-    registerFilter('gotham', 'Gotham', 'css', 'filter-css-gotham');
-    registerFilter('cross-process', 'Cross Process', 'css', 'filter-css-cross-process');
-    registerFilter('bleach-bypass', 'Bleach Bypass', 'css', 'filter-css-bleach-bypass');
-    registerFilter('pastel', 'Pastel', 'css', 'filter-css-pastel');
-    registerFilter('cyberpunk', 'Cyberpunk', 'css', 'filter-css-cyberpunk');
-    registerFilter('infra-red', 'Infra Red', 'css', 'filter-css-infra-red');
-    registerFilter('pop-art-css', 'Pop Art (CSS)', 'css', 'filter-css-pop-art'); // Renamed to avoid clash
-    registerFilter('neon', 'Neon', 'css', 'filter-css-neon');
-    registerFilter('glow', 'Glow', 'css', 'filter-css-glow');
-    registerFilter('duotone', 'Duotone', 'css', 'filter-css-duotone');
-    registerFilter('desaturated', 'Desaturated', 'css', 'filter-css-desaturated');
-    registerFilter('high-key', 'High Key', 'css', 'filter-css-high-key');
-    registerFilter('low-key', 'Low Key', 'css', 'filter-css-low-key');
-    registerFilter('cool-blue', 'Cool Blue', 'css', 'filter-css-cool-blue');
-    registerFilter('warm-red', 'Warm Red', 'css', 'filter-css-warm-red');
-    registerFilter('soft-focus', 'Soft Focus', 'css', 'filter-css-soft-focus');
-    registerFilter('punchy', 'Punchy', 'css', 'filter-css-punchy');
-    registerFilter('muted', 'Muted', 'css', 'filter-css-muted');
-    registerFilter('green-tint', 'Green Tint', 'css', 'filter-css-green-tint');
-    registerFilter('purple-haze', 'Purple Haze', 'css', 'filter-css-purple-haze');
-    registerFilter('orange-peel', 'Orange Peel', 'css', 'filter-css-orange-peel');
-    registerFilter('fuji', 'Fuji', 'css', 'filter-css-fuji');
-    registerFilter('kodak', 'Kodak', 'css', 'filter-css-kodak');
-    registerFilter('crosshatch-css', 'Crosshatch (CSS)', 'css', 'filter-css-crosshatch'); // Limited CSS simulation
-    registerFilter('sketch-css', 'Sketch (CSS)', 'css', 'filter-css-sketch');         // Basic CSS simulation
-    registerFilter('cartoon-css', 'Cartoon (CSS)', 'css', 'filter-css-cartoon');       // Basic CSS simulation
-    registerFilter('sunlight-css', 'Sunlight (CSS)', 'css', 'filter-css-sunlight');
-    registerFilter('moonlight-css', 'Moonlight (CSS)', 'css', 'filter-css-moonlight');
-    registerFilter('old-film-css', 'Old Film (CSS)', 'css', 'filter-css-old-film');
-    registerFilter('pop-color-css', 'Pop Color (CSS)', 'css', 'filter-css-pop-color');
-    registerFilter('aqua-css', 'Aqua (CSS)', 'css', 'filter-css-aqua');
-    registerFilter('chrome-css', 'Chrome (CSS)', 'css', 'filter-css-chrome');
-    registerFilter('fade-to-black-css', 'Fade to Black (CSS)', 'css', 'filter-css-fade-to-black');
-    registerFilter('high-contrast-bw-css', 'High Contrast BW (CSS)', 'css', 'filter-css-high-contrast-bw');
-    registerFilter('vintage-light', 'Vintage Light', 'css', 'filter-css-vintage-light');
-    registerFilter('dramatic-blue', 'Dramatic Blue', 'css', 'filter-css-dramatic-blue');
-    registerFilter('golden-hour', 'Golden Hour', 'css', 'filter-css-golden-hour');
-    registerFilter('dark-contrast', 'Dark Contrast', 'css', 'filter-css-dark-contrast');
-    registerFilter('sepia-strong', 'Sepia Strong', 'css', 'filter-css-sepia-strong');
-    registerFilter('grayscale-strong', 'Grayscale Strong', 'css', 'filter-css-grayscale-strong');
-    registerFilter('vibrant', 'Vibrant', 'css', 'filter-css-vibrant');
-    registerFilter('mellow', 'Mellow', 'css', 'filter-css-mellow');
-    registerFilter('shadow-boost', 'Shadow Boost', 'css', 'filter-css-shadow-boost');
-    registerFilter('highlight-reduce', 'Highlight Reduce', 'css', 'filter-css-highlight-reduce');
-    registerFilter('soft-glow', 'Soft Glow', 'css', 'filter-css-soft-glow');
+    // These filters leverage the native CSS `filter` syntax for performance.
+    // `ctxFilter` is rendered into the canvas bitmap by `applyActiveFilter`, so saved media keep the look.
+    // The CSS class is still used by the gallery for media saved before filters were baked in.
+    console.log("Registering CSS Filters (rendered via ctx.filter)...");
+    registerFilter('none', 'None', 'css', 'filter-css-none', { ctxFilter: 'none' });
+    registerFilter('grayscale', 'Grayscale', 'css', 'filter-css-grayscale', { ctxFilter: 'grayscale(100%)' });
+    registerFilter('sepia', 'Sepia', 'css', 'filter-css-sepia', { ctxFilter: 'sepia(100%)' });
+    registerFilter('invert', 'Invert', 'css', 'filter-css-invert', { ctxFilter: 'invert(100%)' });
+    registerFilter('contrast', 'Contrast', 'css', 'filter-css-contrast', { ctxFilter: 'contrast(200%)' });
+    registerFilter('saturate', 'Saturate', 'css', 'filter-css-saturate', { ctxFilter: 'saturate(200%)' });
+    registerFilter('hue-rotate', 'Hue Rotate', 'css', 'filter-css-hue-rotate', { ctxFilter: 'hue-rotate(90deg)' });
+    registerFilter('blur', 'Blur', 'css', 'filter-css-blur', { ctxFilter: 'blur(3px)' });
+    registerFilter('brightness', 'Brightness', 'css', 'filter-css-brightness', { ctxFilter: 'brightness(150%)' });
+    registerFilter('dark', 'Dark', 'css', 'filter-css-dark', { ctxFilter: 'brightness(50%)' });
+    registerFilter('warm', 'Warm', 'css', 'filter-css-warm', { ctxFilter: 'sepia(30%) saturate(150%) hue-rotate(-15deg)' });
+    registerFilter('cold', 'Cold', 'css', 'filter-css-cold', { ctxFilter: 'sepia(30%) saturate(150%) hue-rotate(15deg)' });
+    registerFilter('vintage', 'Vintage', 'css', 'filter-css-vintage', { ctxFilter: 'sepia(80%) saturate(180%) contrast(110%) brightness(90%)' });
+    registerFilter('noir', 'Noir', 'css', 'filter-css-noir', { ctxFilter: 'grayscale(100%) contrast(150%) brightness(80%)' });
+    registerFilter('lomo', 'Lomo', 'css', 'filter-css-lomo', { ctxFilter: 'contrast(150%) brightness(90%) sepia(20%) saturate(180%)' });
+    registerFilter('dreamy', 'Dreamy', 'css', 'filter-css-dreamy', { ctxFilter: 'saturate(130%) contrast(110%) brightness(120%) blur(0.5px) sepia(10%)' });
+    registerFilter('faded', 'Faded', 'css', 'filter-css-faded', { ctxFilter: 'grayscale(50%) contrast(80%) brightness(120%) sepia(20%)' });
+    registerFilter('gotham', 'Gotham', 'css', 'filter-css-gotham', { ctxFilter: 'contrast(120%) brightness(120%) saturate(80%) grayscale(10%)' });
+    registerFilter('cross-process', 'Cross Process', 'css', 'filter-css-cross-process', { ctxFilter: 'sepia(30%) contrast(1.2) brightness(1.2) saturate(1.3) hue-rotate(20deg)' });
+    registerFilter('bleach-bypass', 'Bleach Bypass', 'css', 'filter-css-bleach-bypass', { ctxFilter: 'contrast(1.5) brightness(1.2) saturate(0.5) grayscale(0.2)' });
+    registerFilter('pastel', 'Pastel', 'css', 'filter-css-pastel', { ctxFilter: 'brightness(1.1) saturate(0.8) hue-rotate(-5deg) contrast(1.1)' });
+    registerFilter('cyberpunk', 'Cyberpunk', 'css', 'filter-css-cyberpunk', { ctxFilter: 'saturate(2) hue-rotate(250deg) brightness(1.2) contrast(1.5)' });
+    registerFilter('infra-red', 'Infra Red', 'css', 'filter-css-infra-red', { ctxFilter: 'hue-rotate(180deg) sepia(50%) contrast(1.5) saturate(2)' });
+    registerFilter('pop-art-css', 'Pop Art (CSS)', 'css', 'filter-css-pop-art', { ctxFilter: 'contrast(3) saturate(3) hue-rotate(20deg) brightness(1.5)' }); // Renamed to avoid clash
+    registerFilter('neon', 'Neon', 'css', 'filter-css-neon', { ctxFilter: 'saturate(2) hue-rotate(100deg) brightness(1.5) contrast(1.3)' });
+    registerFilter('glow', 'Glow', 'css', 'filter-css-glow', { ctxFilter: 'brightness(1.3) saturate(1.5) contrast(1.1)' });
+    registerFilter('duotone', 'Duotone', 'css', 'filter-css-duotone', { ctxFilter: 'grayscale(100%) contrast(1.5) brightness(0.8) sepia(100%) hue-rotate(200deg)' });
+    registerFilter('desaturated', 'Desaturated', 'css', 'filter-css-desaturated', { ctxFilter: 'saturate(0.5)' });
+    registerFilter('high-key', 'High Key', 'css', 'filter-css-high-key', { ctxFilter: 'brightness(1.5) contrast(0.8)' });
+    registerFilter('low-key', 'Low Key', 'css', 'filter-css-low-key', { ctxFilter: 'brightness(0.5) contrast(1.2)' });
+    registerFilter('cool-blue', 'Cool Blue', 'css', 'filter-css-cool-blue', { ctxFilter: 'sepia(30%) hue-rotate(200deg) saturate(1.5)' });
+    registerFilter('warm-red', 'Warm Red', 'css', 'filter-css-warm-red', { ctxFilter: 'sepia(40%) hue-rotate(-30deg) saturate(1.8)' });
+    registerFilter('soft-focus', 'Soft Focus', 'css', 'filter-css-soft-focus', { ctxFilter: 'blur(1px) brightness(1.1) contrast(0.9)' });
+    registerFilter('punchy', 'Punchy', 'css', 'filter-css-punchy', { ctxFilter: 'contrast(1.4) saturate(1.5)' });
+    registerFilter('muted', 'Muted', 'css', 'filter-css-muted', { ctxFilter: 'saturate(0.7) contrast(0.9)' });
+    registerFilter('green-tint', 'Green Tint', 'css', 'filter-css-green-tint', { ctxFilter: 'hue-rotate(90deg) saturate(0.5) brightness(1.1)' });
+    registerFilter('purple-haze', 'Purple Haze', 'css', 'filter-css-purple-haze', { ctxFilter: 'hue-rotate(270deg) saturate(0.7) brightness(1.1)' });
+    registerFilter('orange-peel', 'Orange Peel', 'css', 'filter-css-orange-peel', { ctxFilter: 'sepia(0.5) saturate(1.5) hue-rotate(20deg)' });
+    registerFilter('fuji', 'Fuji', 'css', 'filter-css-fuji', { ctxFilter: 'contrast(1.1) saturate(1.2) sepia(0.1) hue-rotate(-5deg)' });
+    registerFilter('kodak', 'Kodak', 'css', 'filter-css-kodak', { ctxFilter: 'sepia(0.2) saturate(1.3) contrast(1.1) brightness(1.05)' });
+    registerFilter('crosshatch-css', 'Crosshatch (CSS)', 'css', 'filter-css-crosshatch', { ctxFilter: 'contrast(1.3) brightness(1.1)' }); // Limited CSS simulation
+    registerFilter('sketch-css', 'Sketch (CSS)', 'css', 'filter-css-sketch', { ctxFilter: 'grayscale(1) contrast(5) invert(1)' });         // Basic CSS simulation
+    registerFilter('cartoon-css', 'Cartoon (CSS)', 'css', 'filter-css-cartoon', { ctxFilter: 'contrast(1.5) saturate(2)' });       // Basic CSS simulation
+    registerFilter('sunlight-css', 'Sunlight (CSS)', 'css', 'filter-css-sunlight', { ctxFilter: 'brightness(1.3) contrast(1.1) saturate(1.2)' });
+    registerFilter('moonlight-css', 'Moonlight (CSS)', 'css', 'filter-css-moonlight', { ctxFilter: 'brightness(0.7) contrast(1.2) saturate(0.8) hue-rotate(180deg)' });
+    registerFilter('old-film-css', 'Old Film (CSS)', 'css', 'filter-css-old-film', { ctxFilter: 'sepia(0.8) saturate(0.8) contrast(1.1) brightness(0.9) grayscale(0.1)' });
+    registerFilter('pop-color-css', 'Pop Color (CSS)', 'css', 'filter-css-pop-color', { ctxFilter: 'saturate(2.5) contrast(1.3) brightness(1.1)' });
+    registerFilter('aqua-css', 'Aqua (CSS)', 'css', 'filter-css-aqua', { ctxFilter: 'hue-rotate(190deg) saturate(1.5) brightness(1.1)' });
+    registerFilter('chrome-css', 'Chrome (CSS)', 'css', 'filter-css-chrome', { ctxFilter: 'contrast(1.2) brightness(1.1) saturate(1.5)' });
+    registerFilter('fade-to-black-css', 'Fade to Black (CSS)', 'css', 'filter-css-fade-to-black', { ctxFilter: 'brightness(0.5) saturate(0.2)' });
+    registerFilter('high-contrast-bw-css', 'High Contrast BW (CSS)', 'css', 'filter-css-high-contrast-bw', { ctxFilter: 'grayscale(1) contrast(2) brightness(0.8)' });
+    registerFilter('vintage-light', 'Vintage Light', 'css', 'filter-css-vintage-light', { ctxFilter: 'sepia(0.3) saturate(1.1) contrast(1.05) brightness(1.1)' });
+    registerFilter('dramatic-blue', 'Dramatic Blue', 'css', 'filter-css-dramatic-blue', { ctxFilter: 'brightness(0.8) contrast(1.3) hue-rotate(220deg) saturate(1.5)' });
+    registerFilter('golden-hour', 'Golden Hour', 'css', 'filter-css-golden-hour', { ctxFilter: 'brightness(1.1) contrast(1.05) hue-rotate(-10deg) saturate(1.3)' });
+    registerFilter('dark-contrast', 'Dark Contrast', 'css', 'filter-css-dark-contrast', { ctxFilter: 'brightness(0.7) contrast(1.5)' });
+    registerFilter('sepia-strong', 'Sepia Strong', 'css', 'filter-css-sepia-strong', { ctxFilter: 'sepia(1)' });
+    registerFilter('grayscale-strong', 'Grayscale Strong', 'css', 'filter-css-grayscale-strong', { ctxFilter: 'grayscale(1)' });
+    registerFilter('vibrant', 'Vibrant', 'css', 'filter-css-vibrant', { ctxFilter: 'saturate(1.8) contrast(1.2)' });
+    registerFilter('mellow', 'Mellow', 'css', 'filter-css-mellow', { ctxFilter: 'brightness(1.1) saturate(0.9) hue-rotate(-5deg)' });
+    registerFilter('shadow-boost', 'Shadow Boost', 'css', 'filter-css-shadow-boost', { ctxFilter: 'contrast(1.1) brightness(1.05) saturate(1.05)' });
+    registerFilter('highlight-reduce', 'Highlight Reduce', 'css', 'filter-css-highlight-reduce', { ctxFilter: 'contrast(1.05) brightness(0.95)' });
+    registerFilter('soft-glow', 'Soft Glow', 'css', 'filter-css-soft-glow', { ctxFilter: 'blur(0.5px) brightness(1.1) saturate(1.1)' });
 
 
     // 2. Canvas Filters (Pixel Manipulation)
@@ -383,9 +1106,12 @@ const FilterManager = (() => {
      * @param {number} w - Canvas width.
      * @param {number} h - Canvas height.
      * @param {number} frameCount - Current animation frame count.
+     * @param {CanvasRenderingContext2D} ctx - Unused.
+     * @param {HTMLVideoElement} video - Unused.
+     * @param {object} params - `{ severity }`: base displacement in pixels.
      */
-    registerFilter('glitch', 'Glitch', 'canvas', (data, w, h, frameCount) => {
-        const severity = 2 + Math.sin(frameCount * 0.1) * 2; // Vary glitch intensity over time
+    registerFilter('glitch', 'Glitch', 'canvas', (data, w, h, frameCount, ctx, video, params) => {
+        const severity = params.severity + Math.sin(frameCount * 0.1) * params.severity; // Vary glitch intensity over time
         const blockHeight = 10; // Height of pixel blocks to displace
         let originalData = new Uint8ClampedArray(data); // Copy original pixels for sourcing
 
@@ -421,6 +1147,8 @@ const FilterManager = (() => {
                 }
             }
         }
+    }, {
+        params: [{ name: 'severity', label: 'Severity', min: 0, max: 10, default: 2, step: 0.5 }]
     });
 
     /**
@@ -710,11 +1438,14 @@ const FilterManager = (() => {
      * @param {number} w - Canvas width.
      * @param {number} h - Canvas height.
      * @param {number} frameCount - Current animation frame count.
+     * @param {CanvasRenderingContext2D} ctx - Unused.
+     * @param {HTMLVideoElement} video - Unused.
+     * @param {object} params - `{ strength, frequency }`: ripple displacement and density.
      */
-    registerFilter('water', 'Water Ripple', 'canvas', (data, w, h, frameCount) => {
+    registerFilter('water', 'Water Ripple', 'canvas', (data, w, h, frameCount, ctx, video, params) => {
         let originalData = new Uint8ClampedArray(data); // Copy original pixels to sample from.
-        const rippleStrength = 5; // How much pixels are displaced (intensity of ripple).
-        const rippleFrequency = 0.03; // How dense the ripples are (wavelength of the ripple effect).
+        const rippleStrength = params.strength; // How much pixels are displaced (intensity of ripple).
+        const rippleFrequency = params.frequency; // How dense the ripples are (wavelength of the ripple effect).
         const time = frameCount * 0.05; // Time component for animating the ripples.
 
         for (let y = 0; y < h; y++) {
@@ -749,6 +1480,11 @@ const FilterManager = (() => {
             data[i + 1] = Math.min(255, data[i + 1] + 10); // Increase green component.
             data[i + 2] = Math.min(255, data[i + 2] + 20); // Increase blue component.
         }
+    }, {
+        params: [
+            { name: 'strength', label: 'Strength', min: 0, max: 20, default: 5, step: 1 },
+            { name: 'frequency', label: 'Frequency', min: 0.01, max: 0.1, default: 0.03, step: 0.005 }
+        ]
     });
 
     /**
@@ -924,9 +1660,13 @@ const FilterManager = (() => {
      * @param {Uint8ClampedArray} data - Pixel data (modified in place).
      * @param {number} w - Canvas width.
      * @param {number} h - Canvas height.
+     * @param {number} frameCount - Unused.
+     * @param {CanvasRenderingContext2D} ctx - Unused.
+     * @param {HTMLVideoElement} video - Unused.
+     * @param {object} params - `{ pixelSize }`: edge length of each block in pixels.
      */
-    registerFilter('pixelate', 'Pixelate', 'canvas', (data, w, h) => {
-        const pixelSize = 10; // The size of each square pixel block (e.g., 10x10 pixels will become one block).
+    registerFilter('pixelate', 'Pixelate', 'canvas', (data, w, h, frameCount, ctx, video, params) => {
+        const pixelSize = params.pixelSize; // The size of each square pixel block (e.g., 10x10 pixels will become one block).
 
         // Iterate through the image in blocks, not individual pixels.
         for (let y = 0; y < h; y += pixelSize) {
@@ -954,6 +1694,14 @@ const FilterManager = (() => {
                 }
             }
         }
+    }, {
+        params: [{ name: 'pixelSize', label: 'Block Size', min: 2, max: 40, default: 10, step: 1 }],
+        shader: `
+uniform float u_pixelSize;
+void main() {
+    vec2 block = floor(pixelCoord() / u_pixelSize) * u_pixelSize;
+    gl_FragColor = texel(block);
+}`
     });
 
     /**
@@ -972,6 +1720,12 @@ const FilterManager = (() => {
             data[i + 2] = 255 - data[i + 2]; // Invert Blue component.
             // Alpha (data[i + 3]) remains unchanged to preserve original transparency.
         }
+    }, {
+        shader: `
+void main() {
+    vec4 color = texture2D(u_image, v_texCoord);
+    gl_FragColor = vec4(1.0 - color.rgb, color.a);
+}`
     });
 
     /**
@@ -1006,6 +1760,17 @@ const FilterManager = (() => {
 
             setPixel(data, i / 4 % w, Math.floor(i / 4 / w), w, newR, newG, newB, data[i+3]);
         }
+    }, {
+        shader: `
+void main() {
+    vec4 color = texture2D(u_image, v_texCoord);
+    float avg = (color.r + color.g + color.b) / 3.0 * 255.0;
+    vec3 heat;
+    if (avg < 85.0) heat = vec3(0.0, avg * 3.0, 255.0);
+    else if (avg < 170.0) heat = vec3((avg - 85.0) * 3.0, 255.0, 255.0 - (avg - 85.0) * 3.0);
+    else heat = vec3(255.0, 255.0 - (avg - 170.0) * 3.0, 0.0);
+    gl_FragColor = vec4(heat / 255.0, color.a);
+}`
     });
 
     /**
@@ -1098,6 +1863,15 @@ const FilterManager = (() => {
                 );
             }
         }
+    }, {
+        shader: `
+void main() {
+    vec2 p = pixelCoord();
+    vec3 sum = -2.0 * texel(p + vec2(-1.0, -1.0)).rgb - texel(p + vec2(0.0, -1.0)).rgb
+        - texel(p + vec2(-1.0, 0.0)).rgb + texel(p).rgb + texel(p + vec2(1.0, 0.0)).rgb
+        + texel(p + vec2(0.0, 1.0)).rgb + 2.0 * texel(p + vec2(1.0, 1.0)).rgb;
+    gl_FragColor = vec4(clamp(sum + 128.0 / 255.0, 0.0, 1.0), texel(p).a);
+}`
     });
 
     /**
@@ -1125,6 +1899,14 @@ const FilterManager = (() => {
                 }
             }
         }
+    }, {
+        shader: `
+void main() {
+    vec4 color = texture2D(u_image, v_texCoord);
+    float flicker = sin(u_frame * 0.5) * 0.1 + 0.9;
+    if (mod(pixelCoord().y, 2.0) < 1.0) color.rgb *= 1.0 - 0.3 * flicker;
+    gl_FragColor = color;
+}`
     });
 
     /**
@@ -1262,6 +2044,12 @@ const FilterManager = (() => {
                 data[destIdx + 3] = originalData[srcIdx + 3];
             }
         }
+    }, {
+        shader: `
+void main() {
+    vec2 p = pixelCoord();
+    gl_FragColor = texel(vec2(u_resolution.x - 1.0 - p.x, p.y));
+}`
     });
 
     /**
@@ -1325,23 +2113,42 @@ const FilterManager = (() => {
     /**
      * Color Tint Filter
      * Applies a uniform color tint to the image (e.g., red, green, blue overlay).
+     * The tint color passed to the generator only sets the default slider values;
+     * the applied amounts come from the `{ r, g, b }` parameters.
      * @param {Uint8ClampedArray} data - Pixel data.
      * @param {number} w - Canvas width.
      * @param {number} h - Canvas height.
-     * @param {object} tintColor - An object {r, g, b} representing the tint color.
+     * @param {object} tintColor - An object {r, g, b} representing the default tint color.
      */
-    const tintFilterGenerator = (tintColor) => (data, w, h) => {
-        for (let i = 0; i < data.length; i += 4) {
-            data[i] = Math.min(255, data[i] + tintColor.r);
-            data[i + 1] = Math.min(255, data[i + 1] + tintColor.g);
-            data[i + 2] = Math.min(255, data[i + 2] + tintColor.b);
+    const tintFilterGenerator = (tintColor) => [
+        (data, w, h, frameCount, ctx, video, params) => {
+            for (let i = 0; i < data.length; i += 4) {
+                data[i] = Math.min(255, data[i] + params.r);
+                data[i + 1] = Math.min(255, data[i + 1] + params.g);
+                data[i + 2] = Math.min(255, data[i + 2] + params.b);
+            }
+        },
+        {
+            params: [
+                { name: 'r', label: 'Red', min: 0, max: 100, default: tintColor.r, step: 1 },
+                { name: 'g', label: 'Green', min: 0, max: 100, default: tintColor.g, step: 1 },
+                { name: 'b', label: 'Blue', min: 0, max: 100, default: tintColor.b, step: 1 }
+            ],
+            shader: `
+uniform float u_r;
+uniform float u_g;
+uniform float u_b;
+void main() {
+    vec4 color = texture2D(u_image, v_texCoord);
+    gl_FragColor = vec4(min(color.rgb + vec3(u_r, u_g, u_b) / 255.0, 1.0), color.a);
+}`
         }
-    };
-    registerFilter('tint-red', 'Tint Red', 'canvas', tintFilterGenerator({r: 50, g: 0, b: 0}));
-    registerFilter('tint-green', 'Tint Green', 'canvas', tintFilterGenerator({r: 0, g: 50, b: 0}));
-    registerFilter('tint-blue', 'Tint Blue', 'canvas', tintFilterGenerator({r: 0, g: 0, b: 50}));
-    registerFilter('tint-purple', 'Tint Purple', 'canvas', tintFilterGenerator({r: 30, g: 0, b: 30}));
-    registerFilter('tint-yellow', 'Tint Yellow', 'canvas', tintFilterGenerator({r: 30, g: 30, b: 0}));
+    ];
+    registerFilter('tint-red', 'Tint Red', 'canvas', ...tintFilterGenerator({r: 50, g: 0, b: 0}));
+    registerFilter('tint-green', 'Tint Green', 'canvas', ...tintFilterGenerator({r: 0, g: 50, b: 0}));
+    registerFilter('tint-blue', 'Tint Blue', 'canvas', ...tintFilterGenerator({r: 0, g: 0, b: 50}));
+    registerFilter('tint-purple', 'Tint Purple', 'canvas', ...tintFilterGenerator({r: 30, g: 0, b: 30}));
+    registerFilter('tint-yellow', 'Tint Yellow', 'canvas', ...tintFilterGenerator({r: 30, g: 30, b: 0}));
 
     /**
      * Sharpen Filter (Basic)
@@ -1381,6 +2188,15 @@ const FilterManager = (() => {
                 setPixel(data, x, y, w, rSum, gSum, bSum, getPixel(originalData, x, y, w).a);
             }
         }
+    }, {
+        shader: `
+void main() {
+    vec2 p = pixelCoord();
+    vec3 sum = 5.0 * texel(p).rgb
+        - texel(p + vec2(0.0, -1.0)).rgb - texel(p + vec2(-1.0, 0.0)).rgb
+        - texel(p + vec2(1.0, 0.0)).rgb - texel(p + vec2(0.0, 1.0)).rgb;
+    gl_FragColor = vec4(clamp(sum, 0.0, 1.0), texel(p).a);
+}`
     });
 
     /**
@@ -1428,6 +2244,22 @@ const FilterManager = (() => {
                 setPixel(data, x, y, w, Math.abs(rSum), Math.abs(gSum), Math.abs(bSum), getPixel(originalData, x, y, w).a);
             }
         }
+    }, {
+        shader: `
+float gray(vec2 p) {
+    vec3 c = texel(p).rgb;
+    return (c.r + c.g + c.b) / 3.0;
+}
+void main() {
+    vec2 p = pixelCoord();
+    float sum = 8.0 * gray(p);
+    for (int dy = -1; dy <= 1; dy++) {
+        for (int dx = -1; dx <= 1; dx++) {
+            if (dx != 0 || dy != 0) sum -= gray(p + vec2(float(dx), float(dy)));
+        }
+    }
+    gl_FragColor = vec4(vec3(min(abs(sum), 1.0)), texel(p).a);
+}`
     });
 
     /**
@@ -1436,12 +2268,16 @@ const FilterManager = (() => {
      * @param {Uint8ClampedArray} data - Pixel data.
      * @param {number} w - Canvas width.
      * @param {number} h - Canvas height.
+     * @param {number} frameCount - Unused.
+     * @param {CanvasRenderingContext2D} ctx - Unused.
+     * @param {HTMLVideoElement} video - Unused.
+     * @param {object} params - `{ strength }`: how dark the edges get (0 to 1).
      */
-    registerFilter('vignette', 'Vignette', 'canvas', (data, w, h) => {
+    registerFilter('vignette', 'Vignette', 'canvas', (data, w, h, frameCount, ctx, video, params) => {
         const centerX = w / 2;
         const centerY = h / 2;
         const maxDist = Math.sqrt(centerX * centerX + centerY * centerY); // Max distance from center
-        const vignetteStrength = 0.7; // How dark the edges get
+        const vignetteStrength = params.strength; // How dark the edges get
 
         for (let y = 0; y < h; y++) {
             for (let x = 0; x < w; x++) {
@@ -1454,6 +2290,16 @@ const FilterManager = (() => {
                 data[i + 2] = Math.max(0, data[i + 2] * vignetteFactor);
             }
         }
+    }, {
+        params: [{ name: 'strength', label: 'Strength', min: 0, max: 1, default: 0.7, step: 0.05 }],
+        shader: `
+uniform float u_strength;
+void main() {
+    vec4 color = texture2D(u_image, v_texCoord);
+    vec2 center = u_resolution / 2.0;
+    float factor = 1.0 - u_strength * (distance(pixelCoord(), center) / length(center));
+    gl_FragColor = vec4(color.rgb * max(factor, 0.0), color.a);
+}`
     });
 
     /**
@@ -1489,7 +2335,24 @@ const FilterManager = (() => {
         registerFilter,
         setActiveFilter,
         getActiveFilter,
+        addFilterToChain,
+        removeFilterFromChain,
+        moveFilterInChain,
+        toggleFilterInChain,
+        clearFilterChain,
+        getFilterChain,
+        getAppliedFilterIds,
+        getAppliedFilterParams,
+        setFilterParam,
         getAllFilters,
-        applyActiveFilter
+        applyActiveFilter,
+        computeCoverRect,
+        setDigitalZoom,
+        getDigitalZoom,
+        setRenderBackend,
+        getRenderBackend,
+        setProcessingMode,
+        getDroppedFrameCount,
+        processImageData
     };
 })();
\ No newline at end of file
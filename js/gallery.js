@@ -3,11 +3,13 @@
 // and implementing custom video playback controls for video media.
 // Total lines (including comments and empty lines): ~500+
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     // --- Initial User Authentication Check ---
-    const currentUser = getCurrentUser();
-    if (!currentUser) {
-        console.warn('GALLERY_INIT: No current user found in session storage. Redirecting to login.');
+    const currentUser = await getCurrentUser(); // Resolved from the session token (see session.js).
+    if (!currentUser || !(await getSessionMediaKeys())) {
+        // Media is encrypted with keys unlocked at login, so a session without them must log in again.
+        console.warn('GALLERY_INIT: No valid session (or locked media keys). Redirecting to login.');
+        await endSession();
         window.location.href = 'index.html';
         return; // Stop script execution.
     }
@@ -20,12 +22,46 @@ document.addEventListener('DOMContentLoaded', () => {
     const viewerImage = document.getElementById('viewer-image');
     const viewerVideo = document.getElementById('viewer-video');
     const viewerCaption = document.getElementById('viewer-caption');
+    const viewerFilters = document.getElementById('viewer-filters'); // Line describing the filters/settings used.
     const closeViewerButton = document.getElementById('close-viewer-button');
     const prevMediaButton = document.getElementById('prev-media-button');
     const nextMediaButton = document.getElementById('next-media-button');
     const downloadButton = document.getElementById('download-button');
     const shareButton = document.getElementById('share-button'); // Corrected ID usage from HTML.
     const deleteButton = document.getElementById('delete-button');
+    const restoreButton = document.getElementById('restore-button');
+    const favoriteButton = document.getElementById('favorite-button');
+    const exportButton = document.getElementById('export-button');
+    const importButton = document.getElementById('import-button');
+    const importFileInput = document.getElementById('import-file-input');
+    const selectModeButton = document.getElementById('select-mode-button');
+    const selectionToolbar = document.getElementById('selection-toolbar');
+    const selectionCount = document.getElementById('selection-count');
+    const selectAllButton = document.getElementById('select-all-button');
+    const selectDateInput = document.getElementById('select-date-input');
+    const bulkDeleteButton = document.getElementById('bulk-delete-button');
+    const bulkDownloadButton = document.getElementById('bulk-download-button');
+    const bulkShareButton = document.getElementById('bulk-share-button');
+    const cancelSelectionButton = document.getElementById('cancel-selection-button');
+    const albumPicker = document.getElementById('album-picker');
+    const albumButton = document.getElementById('album-button');
+    const albumMenu = document.getElementById('album-menu');
+    const searchInput = document.getElementById('search-input');
+    const clearSearchButton = document.getElementById('clear-search-button');
+    const typeChips = document.querySelectorAll('.search-chip[data-type]');
+    const searchFilterSelect = document.getElementById('search-filter-select');
+    const searchFromInput = document.getElementById('search-from-input');
+    const searchToInput = document.getElementById('search-to-input');
+    const tagChips = document.getElementById('tag-chips');
+    const searchBar = document.getElementById('search-bar');
+    const bulkRestoreButton = document.getElementById('bulk-restore-button');
+    const undoToast = document.getElementById('undo-toast');
+    const undoToastMessage = document.getElementById('undo-toast-message');
+    const undoToastButton = document.getElementById('undo-toast-button');
+    const groupBySelect = document.getElementById('group-by-select');
+    const sortOrderButton = document.getElementById('sort-order-button');
+    const pinFavoritesButton = document.getElementById('pin-favorites-button');
+    const favoritesChip = document.getElementById('favorites-chip');
 
     // Custom Video Controls Elements
     const videoControlsContainer = document.getElementById('video-controls-container');
@@ -37,9 +73,51 @@ document.addEventListener('DOMContentLoaded', () => {
     const fullscreenButton = document.getElementById('fullscreen-button');
 
     // --- Application State Variables ---
-    let userMedia = [];        // Array to hold all media items for the current user, sorted ascending by timestamp.
+    let userMedia = [];        // Array to hold the loaded media items for the current user that match the search, in display
+                               // order: by timestamp (inside an album: by when they were added; for a tag: by save order),
+                               // newest or oldest first depending on `galleryView.order`.
     let currentMediaIndex = -1; // Index of the media item currently displayed in the viewer (-1 if no item is open).
 
+    // Timeline view: items grouped under sticky day/month/year headers; the order and grouping are saved per user.
+    // order: 'newest' | 'oldest'; groupBy: 'day' | 'month' | 'year'; pinFavorites: show favorites in their own group on top.
+    const DEFAULT_GALLERY_VIEW = { order: 'newest', groupBy: 'day', pinFavorites: false };
+    const PINNED_GROUP = { key: 'pinned', label: 'Favorites' };
+    let galleryView = { ...DEFAULT_GALLERY_VIEW };
+    let lastTimelineGroup = null; // `{ key, header, count }` of the group the most recently added item belongs to.
+    let pendingPinnedFavorites = false; // True until the pinned favorites of a fresh grid are loaded.
+
+    // Paging state: the gallery loads the user's media a page at a time, in display order.
+    const GALLERY_PAGE_SIZE = 24;
+    let nextPagePosition = null; // Cursor position after the last loaded record (null = start).
+    let hasMorePages = true;     // False once the oldest item has been loaded.
+    let isLoadingPage = false;   // Prevents overlapping page loads.
+
+    // Albums: the grid and viewer navigation are limited to the selected album (null = all media).
+    let albums = [];             // The user's album records.
+    let currentAlbum = null;     // The selected album record, or null for the whole gallery.
+
+    // Trash: deleted items are hidden from the gallery and listed in the "Recently deleted" view (see trash.js).
+    const UNDO_TOAST_MS = 6000;  // How long the "Undo" toast stays after a deletion.
+    let showingTrash = false;    // True while the "Recently deleted" view is shown.
+    let trashRetentionDays = DEFAULT_STORAGE_POLICY.trashRetentionDays; // From the user's storage policy.
+    let undoToastTimer = null;
+    let undoAction = null;       // Restores the items of the last deletion (while the toast is shown).
+
+    // Search: the grid and viewer navigation only include matching items (see media-search.js).
+    const SEARCH_DEBOUNCE_MS = 300; // Wait for typing to pause before searching.
+    const MAX_TAG_CHIPS = 15;       // Most used tags offered as chips.
+    let searchQuery = createMediaSearch();
+    let searchDebounceTimer = null;
+
+    // Multi-select mode: tapping an item toggles its selection instead of opening the viewer.
+    const LONG_PRESS_MS = 500;   // Holding an item this long enters selection mode.
+    let selectionMode = false;
+    const selectedIds = new Set(); // IDs of the selected media items.
+
+    // Full media data is only loaded for the item open in the viewer (grid cells use thumbnails).
+    let viewerMediaData = null;  // `{ id, data }` of the last loaded full media item.
+    let viewerObjectUrl = null;  // Blob URL currently shown in the viewer (revoked on change/close).
+
     // --- Helper Function: Time Formatting ---
     /**
      * Formats a time in seconds into a human-readable "MM:SS" string.
@@ -262,85 +340,430 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- Gallery Load and Viewer Logic ---
 
     /**
-     * Loads all media items for the current user from IndexedDB and populates the gallery grid.
-     * Media items are displayed in reverse chronological order (newest first).
+     * Adds the CSS filter class for media saved before CSS filters were baked into the pixel data.
+     * Newer media (`filtersBaked: true`) already contain the effect, so nothing is applied for them.
+     * Handles both the legacy single-ID format and the chain format (legacy media restored from a backup).
+     * @param {HTMLElement} element - The <img> or <video> element displaying the media.
+     * @param {object} media - The media record from IndexedDB.
+     */
+    function applyLegacyFilterClass(element, media) {
+        if (media.filtersBaked) return;
+        const allFilters = FilterManager.getAllFilters();
+        toFilterIdList(media.filtersApplied).forEach(id => {
+            const filterInfo = allFilters.find(f => f.id === id);
+            if (filterInfo && filterInfo.type === 'css') {
+                element.classList.add(filterInfo.applyFunc); // Add CSS class (e.g., 'filter-css-sepia').
+            }
+        });
+    }
+
+    /**
+     * Builds a human-readable summary of the filters (and their slider settings) used for a media item,
+     * e.g. "Vignette (Strength 0.5) → Tint Blue (Red 0, Green 0, Blue 80)".
+     * Handles both the chain format (array of IDs) and the legacy single-ID format.
+     * @param {object} media - The media record from IndexedDB.
+     * @returns {string} The summary, or an empty string if no filter was applied.
+     */
+    function describeFilters(media) {
+        const ids = toFilterIdList(media.filtersApplied);
+        const allFilters = FilterManager.getAllFilters();
+
+        return ids.map(id => {
+            const filterInfo = allFilters.find(f => f.id === id);
+            const name = filterInfo ? filterInfo.name : id;
+            const values = media.filterParams && media.filterParams[id];
+            if (!filterInfo || !values) return name;
+
+            const settings = filterInfo.params
+                .filter(param => values[param.name] !== undefined)
+                .map(param => `${param.label || param.name} ${values[param.name]}`);
+            return settings.length > 0 ? `${name} (${settings.join(', ')})` : name;
+        }).join(' → ');
+    }
+
+    /**
+     * Creates the grid cell for a media item (thumbnail, video indicator, delete button, click-to-open).
+     * @param {object} media - The decrypted media item.
+     * @returns {HTMLElement} The gallery item element.
+     */
+    const createGalleryItem = (media) => {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'gallery-item';
+        itemDiv.dataset.id = media.id; // Store media ID on the DOM element for easy lookup.
+
+        // Thumbnails are shown as images. Only videos without a thumbnail (e.g., failed generation)
+        // fall back to a <video> element showing the video itself.
+        const useVideoElement = media.type === 'video' && !media.thumbnail;
+        const mediaElement = document.createElement(useVideoElement ? 'video' : 'img');
+        lazyMediaElements.set(mediaElement, media);
+        thumbnailObserver.observe(mediaElement); // The source is assigned once the cell scrolls into view.
+
+        if (media.type === 'video') {
+            // Add a "VIDEO" indicator overlay for video thumbnails.
+            const videoIndicator = document.createElement('span');
+            videoIndicator.className = 'video-indicator';
+            videoIndicator.textContent = 'VIDEO';
+            itemDiv.appendChild(videoIndicator);
+        }
+        mediaElement.alt = media.caption || media.type; // Alt text for accessibility.
+        
+        // Legacy media (saved before filters were baked in) still need the CSS class for display.
+        applyLegacyFilterClass(mediaElement, media);
+        
+        // Ensure no residual CSS transforms (like zoom or mirroring) are applied to thumbnails.
+        mediaElement.style.transform = 'none'; 
+
+        // Add a delete button to each gallery item.
+        const deleteItemButton = document.createElement('button');
+        deleteItemButton.className = 'delete-button';
+        deleteItemButton.innerHTML = '<i class="fas fa-times"></i>'; // Font Awesome "X" icon.
+        deleteItemButton.addEventListener('click', (e) => {
+            e.stopPropagation(); // Prevent the click from bubbling up and opening the viewer.
+            deleteMedia(media.id); // Call the delete function for this specific item.
+        });
+
+        if (isInTrash(media)) {
+            // Days until the item is purged from "Recently deleted".
+            const daysLeft = getTrashDaysLeft(media, trashRetentionDays);
+            const trashIndicator = document.createElement('span');
+            trashIndicator.className = 'trash-indicator';
+            trashIndicator.textContent = `${daysLeft} day${daysLeft === 1 ? '' : 's'} left`;
+            itemDiv.appendChild(trashIndicator);
+        }
+
+        // Checkbox overlay, visible in selection mode.
+        const selectMark = document.createElement('span');
+        selectMark.className = 'select-mark';
+        selectMark.innerHTML = '<i class="fas fa-check"></i>';
+
+        itemDiv.appendChild(mediaElement);
+        itemDiv.appendChild(deleteItemButton);
+        if (!isInTrash(media)) {
+            // Favorite toggle (heart) in the corner of the cell.
+            const favoriteItemButton = document.createElement('button');
+            favoriteItemButton.className = 'favorite-button';
+            favoriteItemButton.title = 'Favorite';
+            favoriteItemButton.addEventListener('click', (e) => {
+                e.stopPropagation(); // Don't open the viewer.
+                toggleFavorite(media);
+            });
+            itemDiv.appendChild(favoriteItemButton);
+            renderFavoriteToggle(favoriteItemButton, media, false);
+        }
+        itemDiv.appendChild(selectMark);
+        itemDiv.classList.toggle('selected', selectedIds.has(media.id));
+
+        // Long-press enters selection mode with this item selected.
+        let longPressTimer = null;
+        let longPressed = false;
+        const cancelLongPress = () => clearTimeout(longPressTimer);
+        itemDiv.addEventListener('pointerdown', () => {
+            longPressed = false;
+            longPressTimer = setTimeout(() => {
+                longPressed = true;
+                if (!selectionMode) setSelectionMode(true);
+                toggleSelection(media.id, true);
+            }, LONG_PRESS_MS);
+        });
+        itemDiv.addEventListener('pointerup', cancelLongPress);
+        itemDiv.addEventListener('pointerleave', cancelLongPress);
+        itemDiv.addEventListener('pointercancel', cancelLongPress);
+        itemDiv.addEventListener('contextmenu', (e) => e.preventDefault()); // No context menu on long-press.
+
+        // Add click listener to open the full media viewer (or toggle the selection) when an item is tapped.
+        itemDiv.addEventListener('click', () => {
+            if (longPressed) { // The long-press already handled this tap.
+                longPressed = false;
+                return;
+            }
+            if (selectionMode) {
+                toggleSelection(media.id);
+                return;
+            }
+            // Find the index of the clicked media item in the `userMedia` array (display order).
+            const clickedIndex = userMedia.findIndex(m => m.id === media.id);
+            openMediaViewer(clickedIndex); // Open the viewer at this index.
+        });
+        return itemDiv;
+    };
+
+    /**
+     * Loads the full data of a media item from the 'mediaBlobs' store, always as a Blob.
+     * The most recent result is cached for the viewer, download and share actions.
+     * @param {object} media - The decrypted media item.
+     * @returns {Promise<Blob>} The media data.
+     */
+    const loadMediaData = async (media) => {
+        if (viewerMediaData && viewerMediaData.id === media.id) return viewerMediaData.data;
+
+        const data = await loadMediaBlob(media);
+        viewerMediaData = { id: media.id, data };
+        console.log(`VIEWER_DATA: Loaded full data for media ID ${media.id}.`);
+
+        if (media.data !== undefined || media.dataKind === 'string') {
+            await convertStoredMedia(media, data);
+        }
+        return data;
+    };
+
+    /**
+     * Rewrites an encrypted media item saved in an older format (a Base64 data URL, or the data inside the
+     * 'media' record) as a Blob in the 'mediaBlobs' store. The db.js upgrade can't do this because it has
+     * no media keys. Failures are only logged; the item is still shown from the converted copy in memory.
+     * @param {object} media - The decrypted media item (updated in place on success).
+     * @param {Blob} blob - Its data, already converted to a Blob.
+     */
+    const convertStoredMedia = async (media, blob) => {
+        try {
+            const { data, ...item } = media;
+            const { record, blobRecord } = await encryptMediaRecord({ ...item, data: blob });
+            await updateDataWithBlob('media', record, 'mediaBlobs', blobRecord);
+            delete media.data;
+            Object.assign(media, { dataInBlobStore: true, dataKind: 'blob', mimeType: blob.type });
+            console.log(`VIEWER_DATA: Converted media ID ${media.id} to Blob storage.`);
+        } catch (error) {
+            console.error(`VIEWER_DATA: Failed to convert media ID ${media.id} to Blob storage:`, error);
+        }
+    };
+
+    /**
+     * Assigns the grid preview source of a media element once it becomes visible.
+     * Uses the stored thumbnail; items without one load their full data instead.
+     * @param {HTMLImageElement|HTMLVideoElement} element - The grid media element.
+     * @param {object} media - The decrypted media item.
+     */
+    const loadGridPreview = async (element, media) => {
+        try {
+            if (media.thumbnail) {
+                element.src = media.thumbnail;
+                return;
+            }
+            element.src = URL.createObjectURL(await loadMediaBlob(media));
+        } catch (error) {
+            console.error(`GALLERY_LOAD: Failed to load preview for media ID ${media.id}:`, error);
+        }
+    };
+
+    // Lazy loading of grid previews: sources are only set for cells near the visible area.
+    const lazyMediaElements = new WeakMap(); // Grid media element -> media item.
+    const thumbnailObserver = 'IntersectionObserver' in window
+        ? new IntersectionObserver((entries, observer) => {
+            entries.filter(entry => entry.isIntersecting).forEach(entry => {
+                observer.unobserve(entry.target);
+                loadGridPreview(entry.target, lazyMediaElements.get(entry.target));
+            });
+        }, { root: galleryGrid.parentElement, rootMargin: '300px' })
+        : { observe: (element) => loadGridPreview(element, lazyMediaElements.get(element)) }; // No IntersectionObserver: load right away.
+
+    // --- Timeline ---
+
+    /**
+     * Tells whether the grid is grouped by date. Albums, tag results and the trash (ordered by deletion)
+     * aren't in timestamp order (groups would repeat), so they are shown as one flat grid.
+     * @returns {boolean} True if date headers are shown.
+     */
+    const isTimelineGrouped = () => !currentAlbum && !showingTrash && searchQuery.tag === null;
+
+    /**
+     * Returns the timeline group of a capture time, e.g. the day 'Mon, October 19, 2026' or the month 'October 2026'.
+     * @param {number} timestamp - The capture time.
+     * @returns {object} `{ key, label }`: a key that is equal for items of the same group, and its header text.
+     */
+    const getTimelineGroup = (timestamp) => {
+        const date = new Date(timestamp);
+        if (galleryView.groupBy === 'year') {
+            return { key: `${date.getFullYear()}`, label: `${date.getFullYear()}` };
+        }
+        if (galleryView.groupBy === 'month') {
+            return {
+                key: `${date.getFullYear()}-${date.getMonth()}`,
+                label: date.toLocaleDateString(undefined, { year: 'numeric', month: 'long' })
+            };
+        }
+        const today = new Date();
+        const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+        const isSameDay = (other) => date.toDateString() === other.toDateString();
+        return {
+            key: date.toDateString(),
+            label: isSameDay(today) ? 'Today'
+                : isSameDay(yesterday) ? 'Yesterday'
+                : date.toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'long', day: 'numeric' })
+        };
+    };
+
+    /**
+     * Tells whether favorites are shown in their own group above the timeline (and left out of the date groups).
+     * Not done in flat views or while only favorites are shown anyway.
+     * @returns {boolean} True if favorites are pinned.
+     */
+    const isPinningFavorites = () => galleryView.pinFavorites && isTimelineGrouped() && !searchQuery.favorite;
+
+    /**
+     * Adds a media item's cell to the end of the grid, starting a new date header when its group changes.
+     * Items arrive in display order, so each group's items are contiguous and only the last group grows.
+     * @param {object} media - The decrypted media item.
+     * @param {object} [group] - `{ key, label }` to file it under instead of its date (e.g., the pinned favorites).
+     */
+    const appendToTimeline = (media, group = null) => {
+        if (group || isTimelineGrouped()) {
+            group = group || getTimelineGroup(media.timestamp);
+            if (!lastTimelineGroup || lastTimelineGroup.key !== group.key) {
+                const header = document.createElement('h2');
+                header.className = 'timeline-header';
+                header.innerHTML = '<span class="timeline-label"></span><span class="timeline-count"></span>';
+                header.querySelector('.timeline-label').textContent = group.label;
+                galleryGrid.insertBefore(header, loadMoreButton);
+                lastTimelineGroup = { key: group.key, header, count: 0 };
+            }
+            lastTimelineGroup.count++;
+            lastTimelineGroup.header.querySelector('.timeline-count').textContent =
+                `${lastTimelineGroup.count} snap${lastTimelineGroup.count === 1 ? '' : 's'}`;
+        }
+        galleryGrid.insertBefore(createGalleryItem(media), loadMoreButton);
+    };
+
+    /**
+     * Loads the user's saved timeline order and grouping (from their user record).
+     */
+    const loadGalleryView = async () => {
+        const user = await getDataByKey('users', currentUser.id);
+        galleryView = { ...DEFAULT_GALLERY_VIEW, ...(user && user.galleryView) };
+    };
+
+    /**
+     * Saves the timeline order and grouping on the user record, so they are kept across sessions.
+     */
+    const saveGalleryView = async () => {
+        const user = await getDataByKey('users', currentUser.id);
+        if (!user) return;
+        await updateData('users', { ...user, galleryView });
+        console.log('GALLERY_VIEW: Saved timeline settings:', galleryView);
+    };
+
+    /**
+     * Shows the current order and grouping on the timeline controls.
+     */
+    const renderTimelineControls = () => {
+        pinFavoritesButton.classList.toggle('active', galleryView.pinFavorites);
+        const newestFirst = galleryView.order === 'newest';
+        sortOrderButton.innerHTML = `<i class="fas ${newestFirst ? 'fa-sort-amount-down' : 'fa-sort-amount-up'}"></i> ${newestFirst ? 'Newest first' : 'Oldest first'}`;
+        groupBySelect.value = galleryView.groupBy;
+    };
+
+    /**
+     * Changes the timeline order, grouping or pinning, saves it and redraws the grid.
+     * @param {object} changes - Any of `{ order, groupBy, pinFavorites }`.
+     */
+    const updateGalleryView = (changes) => {
+        galleryView = { ...galleryView, ...changes };
+        renderTimelineControls();
+        if (selectionMode) setSelectionMode(false);
+        closeMediaViewer();
+        loadGallery();
+        saveGalleryView().catch(error => console.error('GALLERY_VIEW: Failed to save timeline settings:', error));
+    };
+
+    /**
+     * Decrypts media records with the session's media keys. Items that can't be decrypted (e.g. a missing key)
+     * are skipped rather than breaking the gallery.
+     * @param {Array<object>} records - The stored media records.
+     * @returns {Promise<Array<object>>} The decrypted items, in the same order.
+     */
+    const decryptMediaItems = async (records) => {
+        const decrypted = await Promise.all(records.map(media => decryptMediaRecord(media).catch(err => {
+            console.error(`GALLERY_LOAD: Failed to decrypt media ID ${media.id}:`, err);
+            return null;
+        })));
+        return decrypted.filter(media => media !== null);
+    };
+
+    /**
+     * Loads the next page of the current user's media (in display order) and appends it to the grid.
+     * Only this user's records are read, through the compound [senderId, timestamp] index.
+     * A fresh grid with pinned favorites starts with those.
+     * @returns {Promise<number>} The number of items added.
+     */
+    const loadNextPage = async () => {
+        if (isLoadingPage || !hasMorePages) return 0;
+        isLoadingPage = true;
+        try {
+            await openDatabase(); // Ensure IndexedDB is open and ready.
+            const pageMedia = []; // Display order.
+            const direction = galleryView.order === 'newest' ? 'prev' : 'next';
+            const pinning = isPinningFavorites();
+
+            if (pendingPinnedFavorites) {
+                pendingPinnedFavorites = false;
+                const pinned = (await decryptMediaItems(await listFavorites(currentUser.id, direction)))
+                    .filter(media => !isInTrash(media) && matchesMediaSearch(media, searchQuery));
+                userMedia = userMedia.concat(pinned);
+                pinned.forEach(media => appendToTimeline(media, PINNED_GROUP));
+                lastTimelineGroup = null; // The date groups start below.
+            }
+
+            // Pages can hold few (or no) items to show (search misses, items in the trash),
+            // so keep reading until one page is filled.
+            do {
+                const page = showingTrash
+                    ? { items: await listTrash(currentUser.id), next: null } // Most recently deleted first, in one go.
+                    : currentAlbum
+                        ? await getAlbumPage(currentAlbum, nextPagePosition, GALLERY_PAGE_SIZE, direction)
+                        : await getMediaSearchPage(currentUser.id, searchQuery, nextPagePosition, GALLERY_PAGE_SIZE, direction);
+                nextPagePosition = page.next;
+                hasMorePages = page.next !== null;
+
+                // Decrypt data, thumbnails and captions (pinned favorites are already shown above).
+                const decrypted = await decryptMediaItems(page.items);
+                pageMedia.push(...decrypted.filter(media => showingTrash ||
+                    (!isInTrash(media) && !(pinning && isFavorite(media)) && matchesMediaSearch(media, searchQuery))));
+            } while (hasMorePages && pageMedia.length < GALLERY_PAGE_SIZE);
+
+            // `userMedia` follows the grid, so viewer navigation moves in the displayed order.
+            userMedia = userMedia.concat(pageMedia);
+            pageMedia.forEach(appendToTimeline);
+            loadMoreButton.style.display = hasMorePages ? 'block' : 'none';
+            console.log(`GALLERY_LOAD: Loaded a page of ${pageMedia.length} items (total ${userMedia.length}, more: ${hasMorePages}).`);
+            return pageMedia.length;
+        } finally {
+            isLoadingPage = false;
+        }
+    };
+
+    /**
+     * Loads the first page of media items for the current user from IndexedDB and populates the gallery grid.
+     * Media items are displayed newest or oldest first (see `galleryView`), grouped by date; further pages load on scroll.
      */
     const loadGallery = async () => {
         console.log('GALLERY_LOAD: Loading gallery media items...');
         try {
-            await openDatabase(); // Ensure IndexedDB is open and ready.
-            const allMedia = await getAllData('media'); // Fetch all media items from the 'media' object store.
-            
-            // Filter media to only show items belonging to the current user,
-            // and sort them by timestamp in ascending order for consistent viewer navigation.
-            userMedia = allMedia
-                .filter(media => media.senderId === currentUser.id)
-                .sort((a, b) => a.timestamp - b.timestamp); 
+            await Promise.all([refreshAlbums(), renderTagChips()]); // Album contents and tags may have changed (e.g., after deletions).
 
+            // A page load still running belongs to the previous grid; let it finish before resetting.
+            // (No await between here and loadNextPage, which marks itself as loading right away.)
+            while (isLoadingPage) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+
+            // Reset paging state and the grid (keeping the "Load more" sentinel at the end).
+            userMedia = [];
+            lastTimelineGroup = null;
+            pendingPinnedFavorites = isPinningFavorites();
+            nextPagePosition = null;
+            hasMorePages = true;
             galleryGrid.innerHTML = ''; // Clear any existing content in the gallery grid.
+            galleryGrid.appendChild(loadMoreButton);
 
-            if (userMedia.length === 0) {
-                galleryGrid.innerHTML = '<p style="color:#bbb; text-align: center; padding: 20px;">Your gallery is empty. Capture some media!</p>';
+            await loadNextPage();
+
+            if (userMedia.length === 0 && !hasMorePages) {
+                const emptyText = showingTrash ? 'Nothing in Recently deleted.'
+                    : isMediaSearchActive(searchQuery) ? 'No snaps match your search.'
+                    : currentAlbum ? 'This album is empty. Add snaps to it from the viewer.'
+                    : 'Your gallery is empty. Capture some media!';
+                galleryGrid.innerHTML = `<p style="color:#bbb; text-align: center; padding: 20px;">${emptyText}</p>`;
                 console.log('GALLERY_LOAD: Gallery is currently empty for this user.');
                 return; // Exit if no media items found.
             }
-
-            // Display media in reverse chronological order (newest first) in the grid.
-            // Using `[...userMedia].reverse()` creates a shallow copy to reverse for display without altering original `userMedia` array.
-            [...userMedia].reverse().forEach(media => { 
-                const itemDiv = document.createElement('div');
-                itemDiv.className = 'gallery-item';
-                itemDiv.dataset.id = media.id; // Store media ID on the DOM element for easy lookup.
-
-                let mediaElement;
-                if (media.type === 'image') {
-                    mediaElement = document.createElement('img');
-                    mediaElement.src = media.data; // Image data (Base64 string).
-                } else if (media.type === 'video') {
-                    mediaElement = document.createElement('video');
-                    // Use thumbnail for preview. If no thumbnail (e.g., failed generation), fallback to video data URL.
-                    mediaElement.src = media.thumbnail || (media.data instanceof Blob ? URL.createObjectURL(media.data) : media.data);
-                    
-                    // Add a "VIDEO" indicator overlay for video thumbnails.
-                    const videoIndicator = document.createElement('span');
-                    videoIndicator.className = 'video-indicator';
-                    videoIndicator.textContent = 'VIDEO';
-                    itemDiv.appendChild(videoIndicator);
-                }
-                mediaElement.alt = media.caption || media.type; // Alt text for accessibility.
-                
-                // Apply CSS filter class to the thumbnail if the saved filter was a CSS type.
-                const filterInfo = FilterManager.getAllFilters().find(f => f.id === media.filtersApplied);
-                if (filterInfo && filterInfo.type === 'css') {
-                    mediaElement.classList.add(filterInfo.applyFunc); // Add CSS class (e.g., 'filter-css-sepia').
-                } else {
-                    // For canvas-based filters, the effect is already baked into the image/video data.
-                    // Ensure no old filter classes are lingering by removing all.
-                    mediaElement.classList.remove(...mediaElement.classList);
-                }
-                
-                // Ensure no residual CSS transforms (like zoom or mirroring) are applied to thumbnails.
-                mediaElement.style.transform = 'none'; 
-
-                // Add a delete button to each gallery item.
-                const deleteItemButton = document.createElement('button');
-                deleteItemButton.className = 'delete-button';
-                deleteItemButton.innerHTML = '<i class="fas fa-times"></i>'; // Font Awesome "X" icon.
-                deleteItemButton.addEventListener('click', (e) => {
-                    e.stopPropagation(); // Prevent the click from bubbling up and opening the viewer.
-                    deleteMedia(media.id); // Call the delete function for this specific item.
-                });
-
-                itemDiv.appendChild(mediaElement);
-                itemDiv.appendChild(deleteItemButton);
-                // Add click listener to open the full media viewer when an item is tapped.
-                itemDiv.addEventListener('click', () => {
-                    // Find the original index of the clicked media item in the `userMedia` array (ascending sorted).
-                    const clickedIndex = userMedia.findIndex(m => m.id === media.id);
-                    openMediaViewer(clickedIndex); // Open the viewer at this index.
-                });
-                galleryGrid.appendChild(itemDiv); // Add the media item to the grid.
-            });
             console.log(`GALLERY_LOAD: Gallery loaded with ${userMedia.length} items.`);
         } catch (error) {
             console.error('GALLERY_LOAD_ERROR: Failed to load gallery media:', error);
@@ -348,40 +771,129 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
+    // "Load more" button at the end of the grid. It also acts as the infinite-scroll sentinel:
+    // when it scrolls into view, the next page is loaded automatically.
+    const loadMoreButton = document.createElement('button');
+    loadMoreButton.className = 'load-more-button';
+    loadMoreButton.textContent = 'Load more';
+    loadMoreButton.style.display = 'none';
+    loadMoreButton.addEventListener('click', () => loadNextPage().catch(err => console.error('GALLERY_LOAD_ERROR:', err)));
+    if ('IntersectionObserver' in window) {
+        const pageObserver = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                loadNextPage().catch(err => console.error('GALLERY_LOAD_ERROR:', err));
+            }
+        }, { root: galleryGrid.parentElement, rootMargin: '200px' });
+        pageObserver.observe(loadMoreButton);
+    }
+
     /**
      * Deletes a specific media item from IndexedDB and reloads the gallery.
      * @param {number} id - The unique ID of the media item to delete.
      */
     const deleteMedia = async (id) => {
-        if (confirm('Are you sure you want to delete this item? This action cannot be undone.')) {
-            console.log(`GALLERY_DELETE: Attempting to delete media item with ID: ${id}.`);
-            try {
-                await openDatabase(); // Ensure IndexedDB is open.
-                await deleteData('media', id); // Delete data from the 'media' object store.
-                console.log(`GALLERY_DELETE: Media item with ID ${id} deleted successfully.`);
-                alert('Media deleted successfully!');
-                closeMediaViewer(); // Close the viewer if the item being viewed was just deleted.
-                loadGallery(); // Reload the gallery grid to reflect the deletion.
-            } catch (error) {
-                console.error('GALLERY_DELETE_ERROR: Failed to delete media from IndexedDB:', error);
-                alert('Failed to delete media. Please try again.');
-            }
+        if (showingTrash) {
+            deleteForever([id]);
+            return;
+        }
+        if (!confirmFavoriteDeletion([id])) return;
+        console.log(`GALLERY_DELETE: Moving media item with ID ${id} to Recently deleted.`);
+        try {
+            await openDatabase(); // Ensure IndexedDB is open.
+            await moveMediaToTrash([id]);
+            closeMediaViewer(); // Close the viewer if the item being viewed was just deleted.
+            loadGallery(); // Reload the gallery grid to reflect the deletion.
+            showUndoToast('Moved to Recently deleted.', [id]);
+        } catch (error) {
+            console.error('GALLERY_DELETE_ERROR: Failed to delete media from IndexedDB:', error);
+            alert('Failed to delete media. Please try again.');
         }
     };
 
+    /**
+     * Asks for an extra confirmation when favorites are about to be deleted.
+     * @param {Array<number>} ids - The media IDs to delete.
+     * @returns {boolean} True if no favorites are involved or the user confirmed.
+     */
+    const confirmFavoriteDeletion = (ids) => {
+        const favorites = userMedia.filter(media => ids.includes(media.id) && isFavorite(media)).length;
+        if (favorites === 0) return true;
+        return confirm(ids.length === 1
+            ? 'This snap is one of your favorites. Delete it anyway?'
+            : `${favorites} of these snaps are favorites. Delete them anyway?`);
+    };
+
+    /**
+     * Permanently deletes media items (records, full data and album entries) after a confirmation.
+     * @param {Array<number>} ids - The media IDs.
+     * @returns {Promise<boolean>} True if the items were deleted.
+     */
+    const deleteForever = async (ids) => {
+        if (!confirm(`Permanently delete ${ids.length} item(s)? This action cannot be undone.`)) return false;
+        if (!confirmFavoriteDeletion(ids)) return false;
+        try {
+            await openDatabase();
+            await deleteMediaRecords(ids); // One transaction: either all are deleted or none.
+            if (viewerMediaData && ids.includes(viewerMediaData.id)) viewerMediaData = null;
+            console.log(`GALLERY_DELETE: Permanently deleted ${ids.length} item(s).`);
+            closeMediaViewer();
+            loadGallery();
+            return true;
+        } catch (error) {
+            console.error('GALLERY_DELETE_ERROR: Failed to delete media permanently:', error);
+            alert('Failed to delete. Nothing was deleted.');
+            return false;
+        }
+    };
+
+    /**
+     * Restores items from "Recently deleted" to the gallery.
+     * @param {Array<number>} ids - The media IDs.
+     */
+    const restoreMedia = async (ids) => {
+        try {
+            await restoreMediaFromTrash(ids);
+            closeMediaViewer();
+            loadGallery();
+        } catch (error) {
+            console.error('GALLERY_RESTORE_ERROR: Failed to restore media:', error);
+            alert('Failed to restore. Please try again.');
+        }
+    };
+
+    /**
+     * Shows the "Undo" toast after items were moved to the trash; undoing restores them.
+     * @param {string} message - The toast text.
+     * @param {Array<number>} ids - The media IDs that were moved to the trash.
+     */
+    const showUndoToast = (message, ids) => {
+        clearTimeout(undoToastTimer);
+        undoToastMessage.textContent = message;
+        undoAction = () => restoreMedia(ids);
+        undoToast.classList.add('visible');
+        undoToastTimer = setTimeout(hideUndoToast, UNDO_TOAST_MS);
+    };
+
+    const hideUndoToast = () => {
+        clearTimeout(undoToastTimer);
+        undoToast.classList.remove('visible');
+        undoAction = null;
+    };
+
     /**
      * Opens the full-screen media viewer for a specific media item.
      * This function handles displaying either an image or a video, along with its caption,
      * and sets up relevant controls.
      * @param {number} index - The index of the media item in the `userMedia` array to display.
      */
-    const openMediaViewer = (index) => {
+    const openMediaViewer = async (index) => {
         if (index < 0 || index >= userMedia.length) {
             console.warn("VIEWER_OPEN: Invalid media index provided to viewer:", index);
             return;
         }
 
         currentMediaIndex = index; // Update the index of the currently viewed item.
+        albumMenu.classList.remove('open'); // The menu belongs to the previously viewed item.
         const media = userMedia[currentMediaIndex]; // Get the media object.
 
         console.log(`VIEWER_OPEN: Opening viewer for media ID: ${media.id}, Type: ${media.type}.`);
@@ -391,6 +903,7 @@ document.addEventListener('DOMContentLoaded', () => {
         viewerVideo.style.display = 'none';
         viewerVideo.pause(); // Ensure video is paused if switching from another video or opening/closing.
         viewerVideo.removeAttribute('src'); // Clear video source to prevent background playback/resource use.
+        revokeViewerObjectUrl();
         
         // Clear any previous CSS filter classes and transforms from the viewer elements.
         viewerImage.className = ''; 
@@ -402,22 +915,43 @@ document.addEventListener('DOMContentLoaded', () => {
         videoControlsContainer.style.display = 'none';
         removeVideoControlsListeners(); // Remove old video control listeners to prevent duplicates.
 
+        // Show the caption and overlay right away; the full media data is fetched from 'mediaBlobs' below.
+        viewerCaption.textContent = media.caption || 'No caption.'; // Set the caption text.
+        const filterSummary = describeFilters(media);
+        viewerFilters.textContent = filterSummary ? `Filters: ${filterSummary}` : ''; // Show the filters and settings used.
+        mediaViewerOverlay.style.display = 'flex'; // Make the entire viewer overlay visible.
+        mediaViewerOverlay.classList.add('active'); // Add 'active' class for additional CSS styling/transitions.
+
+        // Update navigation arrow visibility based on current index (in display order; more pages may follow the last item).
+        prevMediaButton.style.display = currentMediaIndex > 0 ? 'flex' : 'none'; // Show 'Previous' if not the first item.
+        nextMediaButton.style.display = currentMediaIndex < userMedia.length - 1 || hasMorePages ? 'flex' : 'none'; // Show 'Next' if more items exist.
+
+        // Attach media ID to action buttons (Download, Share, Delete) for easy access in their handlers.
+        renderFavoriteToggle(favoriteButton, media, true);
+        downloadButton.dataset.mediaId = media.id;
+        shareButton.dataset.mediaId = media.id;
+        deleteButton.dataset.mediaId = media.id;
+
+        let data;
+        try {
+            data = await loadMediaData(media);
+        } catch (error) {
+            console.error(`VIEWER_OPEN: Failed to load media ID ${media.id}:`, error);
+            alert('Failed to load this item. Please try again.');
+            return;
+        }
+        // The user may have navigated away or closed the viewer while the data was loading.
+        if (userMedia[currentMediaIndex] !== media || !mediaViewerOverlay.classList.contains('active')) return;
+
+        viewerObjectUrl = URL.createObjectURL(data); // Photos and videos are both Blobs.
         if (media.type === 'image') {
-            viewerImage.src = media.data; // Set image source (Base64 string).
+            viewerImage.src = viewerObjectUrl; // Set image source.
             viewerImage.style.display = 'block'; // Show the image element.
-            // Apply CSS filter class if the saved filter was a CSS type.
-            const filterInfo = FilterManager.getAllFilters().find(f => f.id === media.filtersApplied);
-            if (filterInfo && filterInfo.type === 'css') {
-                 viewerImage.classList.add(filterInfo.applyFunc);
-            }
+            applyLegacyFilterClass(viewerImage, media); // Only affects media saved before filters were baked in.
         } else if (media.type === 'video') {
-            // Set video source. If it's a Blob, create an Object URL.
-            viewerVideo.src = media.data instanceof Blob ? URL.createObjectURL(media.data) : media.data;
+            viewerVideo.src = viewerObjectUrl; // Set video source.
             viewerVideo.style.display = 'block'; // Show the video element.
-            const filterInfo = FilterManager.getAllFilters().find(f => f.id === media.filtersApplied);
-            if (filterInfo && filterInfo.type === 'css') {
-                 viewerVideo.classList.add(filterInfo.applyFunc);
-            }
+            applyLegacyFilterClass(viewerVideo, media); // Only affects media saved before filters were baked in.
             viewerVideo.load(); // Load video metadata (important for duration etc.).
             viewerVideo.play(); // Auto-play the video.
             
@@ -425,19 +959,16 @@ document.addEventListener('DOMContentLoaded', () => {
             videoControlsContainer.style.display = 'flex'; // Make controls visible.
             setupVideoControls(); // Attach new listeners for this specific video.
         }
+    };
 
-        viewerCaption.textContent = media.caption || 'No caption.'; // Set the caption text.
-        mediaViewerOverlay.style.display = 'flex'; // Make the entire viewer overlay visible.
-        mediaViewerOverlay.classList.add('active'); // Add 'active' class for additional CSS styling/transitions.
-
-        // Update navigation arrow visibility based on current index.
-        prevMediaButton.style.display = currentMediaIndex > 0 ? 'flex' : 'none'; // Show 'Previous' if not the first item.
-        nextMediaButton.style.display = currentMediaIndex < userMedia.length - 1 ? 'flex' : 'none'; // Show 'Next' if not the last item.
-
-        // Attach media ID to action buttons (Download, Share, Delete) for easy access in their handlers.
-        downloadButton.dataset.mediaId = media.id;
-        shareButton.dataset.mediaId = media.id;
-        deleteButton.dataset.mediaId = media.id;
+    /**
+     * Revokes the Blob URL used by the viewer video, if any, to free its memory.
+     */
+    const revokeViewerObjectUrl = () => {
+        if (viewerObjectUrl) {
+            URL.revokeObjectURL(viewerObjectUrl);
+            viewerObjectUrl = null;
+        }
     };
 
     /**
@@ -447,6 +978,7 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log('VIEWER_CLOSE: Closing media viewer.');
         mediaViewerOverlay.style.display = 'none';
         mediaViewerOverlay.classList.remove('active'); // Remove 'active' class.
+        albumMenu.classList.remove('open');
 
         // Reset viewer elements to their default hidden state and clear content.
         viewerImage.src = '';
@@ -463,21 +995,23 @@ document.addEventListener('DOMContentLoaded', () => {
         removeVideoControlsListeners(); // Remove all video control listeners.
         videoControlsContainer.style.display = 'none'; // Ensure controls are hidden.
 
-        // Revoke Blob URLs to free memory allocated for video data, if applicable.
-        if (viewerVideo.src && viewerVideo.src.startsWith('blob:')) {
-            URL.revokeObjectURL(viewerVideo.src);
-            console.log('VIEWER_CLOSE: Revoked Blob URL for video.');
-        }
+        // Revoke Blob URLs and drop the loaded full data to free memory.
+        revokeViewerObjectUrl();
+        viewerMediaData = null;
     };
 
     /**
      * Navigates to the previous or next media item in the viewer sequence.
      * @param {string} direction - 'prev' to go to the previous item, 'next' to go to the next.
      */
-    const navigateMedia = (direction) => {
+    const navigateMedia = async (direction) => {
         if (direction === 'prev') {
             openMediaViewer(currentMediaIndex - 1);
         } else if (direction === 'next') {
+            // Going past the last loaded item: load the next page first.
+            if (currentMediaIndex === userMedia.length - 1 && hasMorePages) {
+                await loadNextPage();
+            }
             openMediaViewer(currentMediaIndex + 1);
         }
         console.log(`VIEWER_NAV: Navigating to ${direction} media.`);
@@ -487,29 +1021,36 @@ document.addEventListener('DOMContentLoaded', () => {
      * Initiates the download of the currently viewed media item (image or video).
      * Creates a temporary anchor tag to trigger the download.
      */
-    const downloadMedia = () => {
+    const downloadMedia = async () => {
         if (currentMediaIndex === -1) {
             console.warn('DOWNLOAD: No media selected for download.');
             return;
         }
         const media = userMedia[currentMediaIndex];
-        let url;
-        // Construct a filename based on media ID and caption (sanitized).
-        let filename = `snaplens_media_${media.id}_${media.caption ? media.caption.replace(/\s+/g, '_').toLowerCase() : 'untitled'}`;
-
-        if (media.type === 'image') {
-            url = media.data;
-            filename += '.jpeg';
-        } else if (media.type === 'video') {
-            // For videos, create a temporary Object URL from the Blob if it's not already a URL.
-            url = media.data instanceof Blob ? URL.createObjectURL(media.data) : media.data;
-            filename += '.webm'; // Assuming webm format from MediaRecorder.
-        } else {
+        let data;
+        try {
+            data = await loadMediaData(media);
+        } catch (error) {
+            console.error('DOWNLOAD_ERROR: Failed to load media data:', error);
+            alert('Failed to download media. Please try again.');
+            return;
+        }
+        if (media.type !== 'image' && media.type !== 'video') {
             console.warn('DOWNLOAD: Unsupported media type for download.');
             return;
         }
+        // Construct a filename based on media ID and caption (sanitized).
+        const filename = `snaplens_media_${media.id}_${media.caption ? media.caption.replace(/\s+/g, '_').toLowerCase() : 'untitled'}.${getMediaFileExtension(data, media.type)}`;
+        saveBlobAs(data, filename); // Photos and videos are both Blobs.
+    };
 
-        // Create a temporary anchor (<a>) element to trigger the download.
+    /**
+     * Downloads a Blob under the given filename through a temporary anchor (<a>) element.
+     * @param {Blob} blob - The data to download.
+     * @param {string} filename - The suggested filename.
+     */
+    const saveBlobAs = (blob, filename) => {
+        const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
         a.download = filename; // Set the suggested filename for download.
@@ -518,13 +1059,13 @@ document.addEventListener('DOMContentLoaded', () => {
         document.body.removeChild(a); // Remove the temporary link.
 
         console.log(`DOWNLOAD: Download initiated for "${filename}".`);
-        // For Blob URLs, revoking immediately might interrupt the download.
-        // It's generally safer to let the browser manage it or revoke after a short delay.
+        // Revoking immediately might interrupt the download, so the Blob URL is revoked after a short delay.
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
     };
 
     /**
      * Initiates sharing of the currently viewed media item using the Web Share API.
-     * Converts Base64 images/Blobs to File objects for sharing.
+     * Shares the media Blob as a File where the browser supports sharing files.
      */
     const shareMedia = async () => {
         if (currentMediaIndex === -1) {
@@ -541,20 +1082,11 @@ document.addEventListener('DOMContentLoaded', () => {
         };
 
         try {
-            // Convert Base64 image data or Blob video data into File objects for sharing.
-            if (media.type === 'image') {
-                const response = await fetch(media.data); // Fetch Base64 data as a Blob.
-                const blob = await response.blob();
-                filesToShare.push(new File([blob], `snaplens_image_${media.id}.jpeg`, { type: 'image/jpeg' }));
-            } else if (media.type === 'video') {
-                let blob;
-                if (media.data instanceof Blob) {
-                    blob = media.data; // Use Blob directly if already a Blob.
-                } else {
-                    const response = await fetch(media.data); // If video data was stored as Base64 (less efficient).
-                    blob = await response.blob();
-                }
-                filesToShare.push(new File([blob], `snaplens_video_${media.id}.webm`, { type: 'video/webm' }));
+            // Wrap the media Blob in a File object for sharing (photos and videos are both stored as Blobs).
+            const blob = await loadMediaData(media);
+            if (media.type === 'image' || media.type === 'video') {
+                const fallbackType = media.type === 'video' ? 'video/webm' : 'image/jpeg';
+                filesToShare.push(new File([blob], `snaplens_${media.type}_${media.id}.${getMediaFileExtension(blob, media.type)}`, { type: blob.type || fallbackType }));
             }
 
             // Check if the Web Share API is supported and if it can share files.
@@ -582,6 +1114,571 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
+    /**
+     * Exports the whole gallery as a ZIP backup (media files plus manifest.json) and downloads it.
+     */
+    const exportGallery = async () => {
+        exportButton.disabled = true;
+        try {
+            const { archive, count, failed } = await exportGalleryArchive(currentUser);
+            if (count === 0) {
+                alert('Your gallery is empty. There is nothing to export.');
+                return;
+            }
+            saveBlobAs(archive, `snaplens_backup_${currentUser.username}_${new Date().toISOString().slice(0, 10)}.zip`);
+            if (failed > 0) {
+                alert(`Exported ${count} item(s). ${failed} item(s) could not be decrypted and were left out.`);
+            }
+        } catch (error) {
+            console.error('BACKUP_EXPORT_ERROR: Failed to export gallery:', error);
+            alert('Failed to export your gallery. ' + error.message);
+        } finally {
+            exportButton.disabled = false;
+        }
+    };
+
+    /**
+     * Imports a ZIP backup chosen by the user into their gallery, skipping items they already have.
+     * @param {File} file - The selected archive.
+     */
+    const importGallery = async (file) => {
+        importButton.disabled = true;
+        try {
+            const quotaWarning = await checkStorageBeforeSave(currentUser.id, file.size).catch(() => null);
+            if (quotaWarning && !confirm(`Storage is almost full (${formatBytes(quotaWarning.usage)} of ${formatBytes(quotaWarning.quota)} used). Import anyway?`)) {
+                return;
+            }
+            const { imported, skipped, failed } = await importGalleryArchive(currentUser, file);
+            let summary = `Imported ${imported} item(s).`;
+            if (skipped > 0) summary += ` Skipped ${skipped} duplicate(s).`;
+            if (failed > 0) summary += ` ${failed} item(s) could not be imported.`;
+            alert(summary);
+            if (imported > 0) {
+                closeMediaViewer();
+                loadGallery(); // Show the imported items in their timestamp order.
+            }
+        } catch (error) {
+            console.error('BACKUP_IMPORT_ERROR: Failed to import backup:', error);
+            alert('Failed to import the backup. ' + error.message);
+        } finally {
+            importButton.disabled = false;
+        }
+    };
+
+    // --- Multi-Select Mode ---
+
+    /**
+     * Enters or leaves selection mode. Leaving it clears the selection.
+     * @param {boolean} enabled - True to enter selection mode.
+     */
+    const setSelectionMode = (enabled) => {
+        selectionMode = enabled;
+        if (!enabled) selectedIds.clear();
+        galleryGrid.classList.toggle('selection-mode', enabled);
+        selectionToolbar.style.display = enabled ? 'flex' : 'none';
+        selectModeButton.classList.toggle('active', enabled);
+        refreshSelectionMarks();
+        console.log(`GALLERY_SELECT: Selection mode ${enabled ? 'on' : 'off'}.`);
+    };
+
+    /**
+     * Selects or deselects a media item.
+     * @param {number} id - The media ID.
+     * @param {boolean} [selected] - The new state (default: toggle).
+     */
+    const toggleSelection = (id, selected = !selectedIds.has(id)) => {
+        if (selected) {
+            selectedIds.add(id);
+        } else {
+            selectedIds.delete(id);
+        }
+        refreshSelectionMarks();
+    };
+
+    /**
+     * Updates the checkbox overlays and the toolbar (count, enabled actions) from `selectedIds`.
+     */
+    const refreshSelectionMarks = () => {
+        galleryGrid.querySelectorAll('.gallery-item').forEach(item => {
+            item.classList.toggle('selected', selectedIds.has(Number(item.dataset.id)));
+        });
+        selectionCount.textContent = `${selectedIds.size} selected`;
+        [bulkDeleteButton, bulkRestoreButton, bulkDownloadButton, bulkShareButton].forEach(button => { button.disabled = selectedIds.size === 0; });
+    };
+
+    /**
+     * Loads further pages until every item taken between `start` and `end` is in `userMedia`
+     * (or until all pages are loaded when no range is given).
+     * @param {number} [start=-Infinity] - The oldest capture time needed.
+     * @param {number} [end=Infinity] - The capture time the range ends before.
+     */
+    const loadPagesUntil = async (start = -Infinity, end = Infinity) => {
+        // Albums and tag results aren't sorted by timestamp, so for those every page is loaded.
+        const unsorted = currentAlbum || searchQuery.tag !== null;
+        const isRangeLoaded = () => {
+            const last = userMedia[userMedia.length - 1];
+            return galleryView.order === 'newest' ? last.timestamp < start : last.timestamp >= end;
+        };
+        while (hasMorePages && (unsorted || userMedia.length === 0 || !isRangeLoaded())) {
+            const loaded = await loadNextPage();
+            if (loaded === 0 && isLoadingPage) {
+                await new Promise(resolve => setTimeout(resolve, 50)); // Another page load is in flight; wait for it.
+            }
+        }
+    };
+
+    /**
+     * Selects every item of the gallery (loading the remaining pages first).
+     */
+    const selectAll = async () => {
+        await loadPagesUntil();
+        userMedia.forEach(media => selectedIds.add(media.id));
+        refreshSelectionMarks();
+    };
+
+    /**
+     * Selects every item captured on a given day (local time).
+     * @param {string} dateValue - The day as 'YYYY-MM-DD' (from the date input).
+     */
+    const selectByDate = async (dateValue) => {
+        const [year, month, day] = dateValue.split('-').map(Number);
+        const start = new Date(year, month - 1, day).getTime();
+        const end = new Date(year, month - 1, day + 1).getTime();
+        await loadPagesUntil(start, end);
+        const matches = userMedia.filter(media => media.timestamp >= start && media.timestamp < end);
+        matches.forEach(media => selectedIds.add(media.id));
+        refreshSelectionMarks();
+        if (matches.length === 0) alert('No snaps were taken on that day.');
+    };
+
+    /**
+     * Returns the selected media items in gallery (display) order.
+     * @returns {Array<object>} The selected media items.
+     */
+    const getSelectedMedia = () => userMedia.filter(media => selectedIds.has(media.id));
+
+    /**
+     * Deletes all selected items (records and their payloads) in a single IndexedDB transaction.
+     */
+    const deleteSelected = async () => {
+        const ids = [...selectedIds];
+        if (ids.length === 0) return;
+        if (showingTrash) {
+            if (await deleteForever(ids)) setSelectionMode(false);
+            return;
+        }
+        if (!confirmFavoriteDeletion(ids)) return;
+        try {
+            await openDatabase();
+            await moveMediaToTrash(ids); // One transaction: either all are moved or none.
+            console.log(`GALLERY_DELETE: Moved ${ids.length} selected item(s) to Recently deleted.`);
+            setSelectionMode(false);
+            loadGallery(); // Reload the gallery grid to reflect the deletion.
+            showUndoToast(`Moved ${ids.length} item(s) to Recently deleted.`, ids);
+        } catch (error) {
+            console.error('GALLERY_DELETE_ERROR: Failed to delete selected media:', error);
+            alert('Failed to delete the selected items. Nothing was deleted.');
+        }
+    };
+
+    /**
+     * Downloads the selected items as one ZIP archive (in the backup format, so it can be imported again).
+     */
+    const downloadSelected = async () => {
+        bulkDownloadButton.disabled = true;
+        try {
+            const { archive, count, failed } = await exportGalleryArchive(currentUser, { mediaIds: [...selectedIds] });
+            saveBlobAs(archive, `snaplens_${count}_snaps_${new Date().toISOString().slice(0, 10)}.zip`);
+            if (failed > 0) {
+                alert(`${failed} item(s) could not be decrypted and were left out of the archive.`);
+            }
+        } catch (error) {
+            console.error('DOWNLOAD_ERROR: Failed to download selected media:', error);
+            alert('Failed to download the selected items. ' + error.message);
+        } finally {
+            bulkDownloadButton.disabled = selectedIds.size === 0;
+        }
+    };
+
+    /**
+     * Shares the selected items as files through the Web Share API, where the browser supports it.
+     */
+    const shareSelected = async () => {
+        try {
+            const files = await Promise.all(getSelectedMedia().map(async (media) => {
+                const blob = await loadMediaBlob(media);
+                return new File([blob], `snaplens_${media.type}_${media.id}.${getMediaFileExtension(blob, media.type)}`, { type: blob.type });
+            }));
+            if (!navigator.share || !navigator.canShare || !navigator.canShare({ files })) {
+                alert('Your browser cannot share these files. Use Download instead.');
+                console.warn('SHARE: Web Share API with files is not supported for this selection.');
+                return;
+            }
+            await navigator.share({ title: 'SnapLens Media', files });
+            console.log(`SHARE: Shared ${files.length} file(s) via Web Share API.`);
+        } catch (error) {
+            // `AbortError` usually means the user cancelled the share dialog.
+            if (error.name !== 'AbortError') {
+                console.error('SHARE_ERROR: Error sharing selected media:', error);
+                alert('Failed to share media. Error: ' + error.message);
+            } else {
+                console.log('SHARE: Media sharing aborted by user.');
+            }
+        }
+    };
+
+    // --- Favorites ---
+
+    /**
+     * Shows a favorite toggle's state (filled or outlined heart).
+     * @param {HTMLElement} button - The viewer's favorite button or a grid cell's heart.
+     * @param {object} media - The media item.
+     * @param {boolean} withLabel - True to show a text label next to the icon (viewer).
+     */
+    const renderFavoriteToggle = (button, media, withLabel) => {
+        const favorite = isFavorite(media);
+        button.classList.toggle('active', favorite);
+        button.innerHTML = `<i class="${favorite ? 'fas' : 'far'} fa-heart"></i>${withLabel ? (favorite ? ' Favorited' : ' Favorite') : ''}`;
+    };
+
+    /**
+     * Favorites or unfavorites a media item. The grid is redrawn when that moves the item (pinned favorites,
+     * favorites filter); otherwise, and while the viewer is open, only the hearts are updated.
+     * @param {object} media - The media item (updated in place).
+     */
+    const toggleFavorite = async (media) => {
+        try {
+            const favoritedAt = await setMediaFavorite(media.id, !isFavorite(media));
+            if (favoritedAt === null) {
+                delete media.favoritedAt;
+            } else {
+                media.favoritedAt = favoritedAt;
+            }
+        } catch (error) {
+            console.error('FAVORITES_ERROR: Failed to update favorite:', error);
+            alert('Failed to update favorites. Please try again.');
+            return;
+        }
+
+        const viewerOpen = currentMediaIndex !== -1;
+        if (!viewerOpen && (isPinningFavorites() || searchQuery.favorite)) {
+            loadGallery();
+            return;
+        }
+        const cellButton = galleryGrid.querySelector(`.gallery-item[data-id="${media.id}"] .favorite-button`);
+        if (cellButton) renderFavoriteToggle(cellButton, media, false);
+        if (viewerOpen && userMedia[currentMediaIndex] === media) renderFavoriteToggle(favoriteButton, media, true);
+    };
+
+    // --- Albums ---
+
+    /**
+     * Reloads the user's albums, keeps `currentAlbum` pointing at the fresh record
+     * (or falls back to the whole gallery if it was deleted) and re-renders the album picker.
+     */
+    const refreshAlbums = async () => {
+        albums = await getUserAlbums(currentUser.id);
+        if (currentAlbum) {
+            currentAlbum = albums.find(album => album.id === currentAlbum.id) || null;
+        }
+        await renderAlbumPicker();
+    };
+
+    /**
+     * Loads the grid thumbnail of an album's cover item.
+     * @param {object} album - The album record.
+     * @returns {Promise<string|null>} The thumbnail data URL, or null.
+     */
+    const getAlbumCoverThumbnail = async (album) => {
+        if (album.coverMediaId === null) return null;
+        try {
+            const cover = await decryptMediaRecord(await getDataByKey('media', album.coverMediaId));
+            return (cover && cover.thumbnail) || null;
+        } catch (error) {
+            console.warn(`ALBUMS: Failed to load the cover of album ${album.id}:`, error);
+            return null;
+        }
+    };
+
+    /**
+     * Renders the album picker: "All", one chip per album (cover, name, count), "New album",
+     * and rename/delete actions for the selected album.
+     */
+    const renderAlbumPicker = async () => {
+        const covers = await Promise.all(albums.map(getAlbumCoverThumbnail));
+        albumPicker.innerHTML = '';
+
+        const createChip = (label, isActive, onClick, coverSrc = null) => {
+            const chip = document.createElement('button');
+            chip.className = 'album-chip' + (isActive ? ' active' : '');
+            if (coverSrc) {
+                const cover = document.createElement('img');
+                cover.src = coverSrc;
+                cover.alt = '';
+                chip.appendChild(cover);
+            }
+            chip.appendChild(document.createTextNode(label));
+            chip.addEventListener('click', onClick);
+            albumPicker.appendChild(chip);
+            return chip;
+        };
+
+        createChip('All', !currentAlbum && !showingTrash, () => selectAlbum(null));
+        albums.forEach((album, index) => {
+            createChip(`${album.name} (${album.mediaIds.length})`, currentAlbum && currentAlbum.id === album.id, () => selectAlbum(album), covers[index]);
+        });
+        createChip('+ New album', false, async () => {
+            const album = await promptNewAlbum();
+            if (album) selectAlbum(album);
+        });
+
+        const trashChip = createChip(' Recently deleted', showingTrash, showTrash);
+        trashChip.insertAdjacentHTML('afterbegin', '<i class="fas fa-trash-alt"></i>');
+        if (showingTrash) {
+            const emptyChip = createChip(' Empty', false, emptyTrash);
+            emptyChip.insertAdjacentHTML('afterbegin', '<i class="fas fa-dumpster"></i>');
+            emptyChip.title = 'Permanently delete everything in Recently deleted';
+        }
+
+        if (currentAlbum) {
+            const renameChip = createChip('', false, renameCurrentAlbum);
+            renameChip.innerHTML = '<i class="fas fa-pen"></i>';
+            renameChip.title = 'Rename album';
+            const deleteChip = createChip('', false, deleteCurrentAlbum);
+            deleteChip.innerHTML = '<i class="fas fa-folder-minus"></i>';
+            deleteChip.title = 'Delete album (keeps its snaps)';
+        }
+    };
+
+    /**
+     * Shows the whole gallery or one album in the grid.
+     * @param {object|null} album - The album record, or null for all media.
+     */
+    const selectAlbum = (album) => {
+        currentAlbum = album;
+        showingTrash = false;
+        console.log(`ALBUMS: Showing ${album ? `album "${album.name}"` : 'all media'}.`);
+        if (selectionMode) setSelectionMode(false);
+        closeMediaViewer();
+        renderTrashMode();
+        loadGallery();
+    };
+
+    /**
+     * Shows the "Recently deleted" view.
+     */
+    const showTrash = () => {
+        currentAlbum = null;
+        showingTrash = true;
+        console.log('TRASH: Showing Recently deleted.');
+        if (selectionMode) setSelectionMode(false);
+        closeMediaViewer();
+        renderTrashMode();
+        loadGallery();
+    };
+
+    /**
+     * Switches the controls between the gallery and the trash view: search and albums are hidden in the trash,
+     * which offers "Restore" and "Delete forever" instead.
+     */
+    const renderTrashMode = () => {
+        searchBar.style.display = showingTrash ? 'none' : '';
+        bulkRestoreButton.style.display = showingTrash ? '' : 'none';
+        restoreButton.style.display = showingTrash ? '' : 'none';
+        albumButton.style.display = showingTrash ? 'none' : '';
+        favoriteButton.style.display = showingTrash ? 'none' : '';
+        deleteButton.innerHTML = showingTrash
+            ? '<i class="fas fa-trash-alt"></i> Delete forever'
+            : '<i class="fas fa-trash-alt"></i> Delete';
+    };
+
+    /**
+     * Permanently deletes everything in "Recently deleted".
+     */
+    const emptyTrash = async () => {
+        const ids = (await listTrash(currentUser.id)).map(record => record.id);
+        if (ids.length === 0) {
+            alert('Recently deleted is already empty.');
+            return;
+        }
+        deleteForever(ids);
+    };
+
+    /**
+     * Asks for a name and creates a new album.
+     * @returns {Promise<object|null>} The new album, or null if cancelled.
+     */
+    const promptNewAlbum = async () => {
+        const name = (prompt('Album name:') || '').trim();
+        if (!name) return null;
+        try {
+            const album = await createAlbum(currentUser.id, name);
+            albums.push(album);
+            return album;
+        } catch (error) {
+            console.error('ALBUMS_ERROR: Failed to create album:', error);
+            alert('Failed to create the album. Please try again.');
+            return null;
+        }
+    };
+
+    const renameCurrentAlbum = async () => {
+        const name = (prompt('New album name:', currentAlbum.name) || '').trim();
+        if (!name || name === currentAlbum.name) return;
+        try {
+            currentAlbum = await renameAlbum(currentAlbum.id, name);
+            await refreshAlbums();
+        } catch (error) {
+            console.error('ALBUMS_ERROR: Failed to rename album:', error);
+            alert('Failed to rename the album. Please try again.');
+        }
+    };
+
+    const deleteCurrentAlbum = async () => {
+        if (!confirm(`Delete the album "${currentAlbum.name}"? Its snaps stay in your gallery.`)) return;
+        try {
+            await deleteAlbum(currentAlbum.id);
+            selectAlbum(null);
+        } catch (error) {
+            console.error('ALBUMS_ERROR: Failed to delete album:', error);
+            alert('Failed to delete the album. Please try again.');
+        }
+    };
+
+    /**
+     * Shows or hides the viewer's album menu: one toggle per album for the viewed item, plus "New album".
+     */
+    const toggleAlbumMenu = () => {
+        if (albumMenu.classList.contains('open')) {
+            albumMenu.classList.remove('open');
+            return;
+        }
+        const media = userMedia[currentMediaIndex];
+        if (!media) return;
+        albumMenu.innerHTML = '';
+
+        albums.forEach(album => {
+            const inAlbum = album.mediaIds.includes(media.id);
+            const option = document.createElement('button');
+            option.innerHTML = `<i class="fas ${inAlbum ? 'fa-check-square' : 'fa-square'}"></i> `;
+            option.appendChild(document.createTextNode(album.name));
+            option.addEventListener('click', () => updateMediaAlbum(album, media, !inAlbum));
+            albumMenu.appendChild(option);
+        });
+        const newOption = document.createElement('button');
+        newOption.innerHTML = '<i class="fas fa-plus"></i> New album...';
+        newOption.addEventListener('click', async () => {
+            const album = await promptNewAlbum();
+            if (album) updateMediaAlbum(album, media, true);
+        });
+        albumMenu.appendChild(newOption);
+        albumMenu.classList.add('open');
+    };
+
+    /**
+     * Adds the viewed item to an album or removes it, then refreshes the picker.
+     * Removing it from the album being shown also removes it from the grid.
+     * @param {object} album - The album record.
+     * @param {object} media - The media item.
+     * @param {boolean} include - True to add, false to remove.
+     */
+    const updateMediaAlbum = async (album, media, include) => {
+        albumMenu.classList.remove('open');
+        try {
+            await setMediaInAlbum(album.id, media.id, include);
+            if (!include && currentAlbum && currentAlbum.id === album.id) {
+                closeMediaViewer();
+                loadGallery();
+                return;
+            }
+            await refreshAlbums();
+        } catch (error) {
+            console.error('ALBUMS_ERROR: Failed to update album:', error);
+            alert('Failed to update the album. Please try again.');
+        }
+    };
+
+    // --- Search and Filter Chips ---
+
+    /**
+     * Fills the "applied filter" dropdown with the registered filters.
+     */
+    const populateFilterSelect = () => {
+        FilterManager.getAllFilters()
+            .filter(filterInfo => filterInfo.id !== 'none')
+            .forEach(filterInfo => {
+                const option = document.createElement('option');
+                option.value = filterInfo.id;
+                option.textContent = filterInfo.name;
+                searchFilterSelect.appendChild(option);
+            });
+    };
+
+    /**
+     * Renders the user's most used tags as chips (the selected one highlighted).
+     */
+    const renderTagChips = async () => {
+        const tags = (await getUserTags(currentUser.id)).slice(0, MAX_TAG_CHIPS);
+        // Keep the selected tag visible even if it's no longer among the most used.
+        if (searchQuery.tag !== null && !tags.some(entry => entry.tag === searchQuery.tag)) {
+            tags.unshift({ tag: searchQuery.tag, count: 0 });
+        }
+        tagChips.innerHTML = '';
+        tags.forEach(({ tag }) => {
+            const chip = document.createElement('button');
+            chip.className = 'search-chip' + (searchQuery.tag === tag ? ' active' : '');
+            chip.textContent = `#${tag}`;
+            chip.addEventListener('click', () => updateSearch({ tag: searchQuery.tag === tag ? null : tag }));
+            tagChips.appendChild(chip);
+        });
+    };
+
+    /**
+     * Shows the current search in the search bar's controls.
+     */
+    const renderSearchControls = () => {
+        typeChips.forEach(chip => chip.classList.toggle('active', chip.dataset.type === searchQuery.type));
+        favoritesChip.classList.toggle('active', searchQuery.favorite);
+        searchFilterSelect.classList.toggle('active', searchQuery.filter !== null);
+        searchFromInput.classList.toggle('active', searchQuery.from !== null);
+        searchToInput.classList.toggle('active', searchQuery.to !== null);
+        clearSearchButton.style.visibility = isMediaSearchActive(searchQuery) ? 'visible' : 'hidden';
+    };
+
+    /**
+     * Changes search criteria and reloads the grid with the matching items.
+     * @param {object} changes - Criteria to change (see createMediaSearch).
+     */
+    const updateSearch = (changes) => {
+        searchQuery = { ...searchQuery, ...changes };
+        console.log('GALLERY_SEARCH: Searching with', searchQuery);
+        if (selectionMode) setSelectionMode(false);
+        closeMediaViewer();
+        renderSearchControls();
+        loadGallery();
+    };
+
+    /**
+     * Converts a date input's value to a timestamp.
+     * @param {string} dateValue - The day as 'YYYY-MM-DD', or ''.
+     * @param {boolean} endOfDay - True for the day's last millisecond, false for its start (local time).
+     * @returns {number|null} The timestamp, or null if no date is set.
+     */
+    const dateInputToTimestamp = (dateValue, endOfDay) => {
+        if (!dateValue) return null;
+        const [year, month, day] = dateValue.split('-').map(Number);
+        return endOfDay ? new Date(year, month - 1, day + 1).getTime() - 1 : new Date(year, month - 1, day).getTime();
+    };
+
+    const clearSearch = () => {
+        clearTimeout(searchDebounceTimer);
+        searchInput.value = '';
+        searchFilterSelect.value = '';
+        searchFromInput.value = '';
+        searchToInput.value = '';
+        updateSearch(createMediaSearch());
+    };
+
     // --- Global Event Listeners for Gallery UI ---
     closeViewerButton.addEventListener('click', closeMediaViewer);
     prevMediaButton.addEventListener('click', () => navigateMedia('prev'));
@@ -596,7 +1693,76 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    selectModeButton.addEventListener('click', () => setSelectionMode(!selectionMode));
+    cancelSelectionButton.addEventListener('click', () => setSelectionMode(false));
+    selectAllButton.addEventListener('click', () => selectAll().catch(err => console.error('GALLERY_SELECT:', err)));
+    selectDateInput.addEventListener('change', () => {
+        if (selectDateInput.value) selectByDate(selectDateInput.value).catch(err => console.error('GALLERY_SELECT:', err));
+    });
+    bulkDeleteButton.addEventListener('click', deleteSelected);
+    bulkDownloadButton.addEventListener('click', downloadSelected);
+    bulkShareButton.addEventListener('click', shareSelected);
+    albumButton.addEventListener('click', toggleAlbumMenu);
+    favoriteButton.addEventListener('click', () => {
+        if (currentMediaIndex !== -1) toggleFavorite(userMedia[currentMediaIndex]);
+    });
+    favoritesChip.addEventListener('click', () => updateSearch({ favorite: !searchQuery.favorite }));
+    pinFavoritesButton.addEventListener('click', () => updateGalleryView({ pinFavorites: !galleryView.pinFavorites }));
+    restoreButton.addEventListener('click', () => {
+        if (currentMediaIndex !== -1) restoreMedia([userMedia[currentMediaIndex].id]);
+    });
+    bulkRestoreButton.addEventListener('click', async () => {
+        const ids = [...selectedIds];
+        setSelectionMode(false);
+        await restoreMedia(ids);
+    });
+    undoToastButton.addEventListener('click', () => {
+        const undo = undoAction;
+        hideUndoToast();
+        if (undo) undo();
+    });
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchDebounceTimer);
+        searchDebounceTimer = setTimeout(() => updateSearch({ text: searchInput.value }), SEARCH_DEBOUNCE_MS);
+    });
+    typeChips.forEach(chip => chip.addEventListener('click', () => {
+        updateSearch({ type: searchQuery.type === chip.dataset.type ? null : chip.dataset.type });
+    }));
+    searchFilterSelect.addEventListener('change', () => updateSearch({ filter: searchFilterSelect.value || null }));
+    searchFromInput.addEventListener('change', () => updateSearch({ from: dateInputToTimestamp(searchFromInput.value, false) }));
+    searchToInput.addEventListener('change', () => updateSearch({ to: dateInputToTimestamp(searchToInput.value, true) }));
+    clearSearchButton.addEventListener('click', clearSearch);
+    sortOrderButton.addEventListener('click', () => updateGalleryView({ order: galleryView.order === 'newest' ? 'oldest' : 'newest' }));
+    groupBySelect.addEventListener('change', () => updateGalleryView({ groupBy: groupBySelect.value }));
+    exportButton.addEventListener('click', exportGallery);
+    importButton.addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', () => {
+        const file = importFileInput.files[0];
+        importFileInput.value = ''; // Allow choosing the same file again.
+        if (file) importGallery(file);
+    });
+
     // --- Initial Load ---
+    populateFilterSelect();
+    renderSearchControls();
+    try {
+        await loadGalleryView();
+    } catch (error) {
+        console.error('GALLERY_VIEW: Failed to load timeline settings; using the defaults.', error);
+    }
+    renderTimelineControls();
+    renderTrashMode();
+    try {
+        // Purges items that have been in "Recently deleted" too long (the other cleanup rules run on save).
+        trashRetentionDays = (await getStoragePolicy(currentUser.id)).trashRetentionDays;
+        await purgeExpiredTrash(currentUser.id);
+    } catch (error) {
+        console.error('TRASH: Failed to purge expired items:', error);
+    }
     loadGallery(); // Load gallery items when the page first loads.
+    // Media saved before hashtags were indexed get their tags once the keys are available (needed for tag search).
+    backfillMediaTags(currentUser.id)
+        .then(updated => { if (updated > 0) renderTagChips(); })
+        .catch(error => console.warn('GALLERY_SEARCH: Failed to index older hashtags:', error));
     console.log('SETUP: Gallery page initialization complete.');
 });
\ No newline at end of file
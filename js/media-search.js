@@ -0,0 +1,166 @@
+// js/media-search.js
+// Gallery search: free-text caption search, media type, applied filter, date range, #hashtags and favorites.
+// Captions are encrypted, so hashtags are parsed out when media is saved. The readable tags go into the
+// encrypted header; the 'media' record's `tags` only holds keyed HMAC tokens of them (a blind index, see
+// hashTag in crypto.js), which the multiEntry 'tags' index finds without revealing the tags.
+// Caption text is matched after decryption.
+
+const HASHTAG_PATTERN = /#([\p{L}\p{N}_]+)/gu; // '#Beach_2024' -> 'beach_2024' (letters, digits, underscores).
+
+/**
+ * Extracts the hashtags of a caption.
+ * @param {string} caption - The caption text.
+ * @returns {Array<string>} The unique tags, lower-cased and without the '#'.
+ */
+function parseHashtags(caption) {
+    if (typeof caption !== 'string') return [];
+    const tags = [...caption.matchAll(HASHTAG_PATTERN)].map(match => match[1].toLowerCase());
+    return [...new Set(tags)];
+}
+
+/**
+ * Converts `filtersApplied` to the chain format (array of filter IDs). Media saved before filter chains
+ * hold a single ID string (e.g. 'sepia'), with 'none' meaning no filter.
+ * @param {Array<string>|string|null|undefined} filtersApplied - The stored value.
+ * @returns {Array<string>} The filter IDs, in the order they were applied.
+ */
+function toFilterIdList(filtersApplied) {
+    if (Array.isArray(filtersApplied)) return filtersApplied.filter(id => typeof id === 'string');
+    return typeof filtersApplied === 'string' && filtersApplied && filtersApplied !== 'none' ? [filtersApplied] : [];
+}
+
+/**
+ * Creates an empty search (matches everything).
+ * @returns {object} `{ text, type, filter, tag, from, to, favorite }`: caption words, 'image'/'video', a filter ID,
+ *   a tag (without '#'), the first/last timestamp of the date range, and whether only favorites are shown.
+ *   Unused criteria are '', null or false.
+ */
+function createMediaSearch() {
+    return { text: '', type: null, filter: null, tag: null, from: null, to: null, favorite: false };
+}
+
+/**
+ * Tells whether a search has any criteria set.
+ * @param {object} search - The search (see createMediaSearch).
+ * @returns {boolean} True if it filters anything out.
+ */
+function isMediaSearchActive(search) {
+    return search.text.trim() !== '' || search.type !== null || search.filter !== null ||
+        search.tag !== null || search.from !== null || search.to !== null || search.favorite;
+}
+
+/**
+ * Checks a decrypted media item against a search. Every word of `text` must appear in the caption;
+ * words starting with '#' must be tags of the item instead.
+ * @param {object} media - The decrypted media item.
+ * @param {object} search - The search (see createMediaSearch).
+ * @returns {boolean} True if the item matches.
+ */
+function matchesMediaSearch(media, search) {
+    if (search.type !== null && media.type !== search.type) return false;
+    if (search.from !== null && media.timestamp < search.from) return false;
+    if (search.to !== null && media.timestamp > search.to) return false;
+    if (search.favorite && typeof media.favoritedAt !== 'number') return false;
+
+    if (search.filter !== null && !toFilterIdList(media.filtersApplied).includes(search.filter)) return false;
+
+    const tags = Array.isArray(media.tags) ? media.tags : parseHashtags(media.caption);
+    if (search.tag !== null && !tags.includes(search.tag)) return false;
+
+    const caption = (media.caption || '').toLowerCase();
+    return search.text.toLowerCase().split(/\s+/).filter(word => word).every(word => (
+        word.startsWith('#') ? tags.includes(word.slice(1)) : caption.includes(word)
+    ));
+}
+
+/**
+ * Retrieves one page of a user's media records for a search. Only the index and range are chosen here
+ * (the favorites index, all in one page; the 'tags' index for a tag's token; otherwise the date range on
+ * 'senderId_timestamp'); callers decrypt the records and apply matchesMediaSearch, so a page can hold
+ * records that don't match.
+ * @param {number} userId - The user ID.
+ * @param {object} search - The search (see createMediaSearch).
+ * @param {object|null} after - The previous page's `next` position, or null for the first page.
+ * @param {number} limit - Maximum number of records in the page.
+ * @param {string} [direction='prev'] - 'prev' for newest first, 'next' for oldest first.
+ * @returns {Promise<object>} `{ items, next }` like getPageByIndex.
+ */
+async function getMediaSearchPage(userId, search, after, limit, direction = 'prev') {
+    await openDatabase();
+    if (search.favorite) {
+        return { items: await listFavorites(userId, direction), next: null }; // Favorites are few; sorted by capture time.
+    }
+    if (search.tag !== null) {
+        // The 'tags' index spans all users and is ordered by ID (i.e., by when media was saved).
+        const page = await getPageByIndex('media', 'tags', IDBKeyRange.only(await hashTag(search.tag)), { limit, direction, after });
+        return { items: page.items.filter(record => record.senderId === userId), next: page.next };
+    }
+    const range = IDBKeyRange.bound(
+        [userId, search.from !== null ? search.from : -Infinity],
+        [userId, search.to !== null ? search.to : Infinity]
+    );
+    return getPageByIndex('media', 'senderId_timestamp', range, { limit, direction, after });
+}
+
+/**
+ * Lists the tags a user has used, most used first (items in the trash don't count).
+ * The readable tags are encrypted, so only records with at least one tag are decrypted.
+ * @param {number} userId - The user ID.
+ * @returns {Promise<Array<object>>} `{ tag, count }` entries.
+ */
+async function getUserTags(userId) {
+    await openDatabase();
+    const tagged = [];
+    await forEachRecord('media', (record) => {
+        if (typeof record.deletedAt === 'number' || !Array.isArray(record.tags) || record.tags.length === 0) return;
+        tagged.push(record);
+    }, { indexName: 'senderId', range: IDBKeyRange.only(userId) });
+
+    const counts = new Map();
+    for (const record of tagged) {
+        try {
+            const media = await decryptMediaRecord(record);
+            const tags = Array.isArray(media.tags) ? media.tags : parseHashtags(media.caption);
+            tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        } catch (error) {
+            console.warn(`MEDIA_SEARCH: Could not read the tags of media ID ${record.id}.`, error);
+        }
+    }
+    return [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Indexes the hashtags of a user's media records saved before they were blind-indexed: records without
+ * `tags`, and records whose `tags` are still readable (they are replaced by tokens, see setMediaRecordTags).
+ * The captions are encrypted, so this can't happen in the database upgrade; the gallery runs it once the
+ * session's keys are available.
+ * @param {number} userId - The user ID.
+ * @returns {Promise<number>} The number of records updated.
+ */
+async function backfillMediaTags(userId) {
+    await openDatabase();
+    const pending = [];
+    await forEachRecord('media', (record) => {
+        if (!record.tagsBlind) pending.push(record);
+    }, { indexName: 'senderId', range: IDBKeyRange.only(userId) });
+
+    let updated = 0;
+    for (const record of pending) {
+        try {
+            const media = await decryptMediaRecord(record);
+            await updateData('media', await setMediaRecordTags(record, parseHashtags(media.caption)));
+            updated++;
+        } catch (error) {
+            console.warn(`MEDIA_SEARCH: Could not read the caption of media ID ${record.id}; leaving it untagged.`, error);
+            if (Array.isArray(record.tags) && record.tags.length > 0) {
+                // Never leave readable tags behind: index them without touching the encrypted header.
+                await updateData('media', { ...record, tags: await hashTags(record.tags), tagsBlind: true })
+                    .catch(err => console.warn(`MEDIA_SEARCH: Could not index the tags of media ID ${record.id}.`, err));
+            }
+        }
+    }
+    if (updated > 0) console.log(`MEDIA_SEARCH: Indexed hashtags of ${updated} older item(s).`);
+    return updated;
+}
\ No newline at end of file
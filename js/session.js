@@ -0,0 +1,253 @@
+// js/session.js
+// Login sessions stored in IndexedDB ('sessions' store, keyed by a random token).
+// A tab keeps its token in sessionStorage; "remember me" sessions are also referenced from localStorage
+// so they survive closing the tab, and can be picked from the account switcher on the login page.
+// Logging out deletes the session record, which invalidates the token everywhere; expired records are
+// swept whenever a session is looked up or created.
+//
+// The media keys unlocked at login (see crypto.js) never leave memory as key bytes:
+// - "remember me" sessions keep non-extractable CryptoKeys on the record (`mediaKeys`), so new tabs can use them;
+// - regular sessions keep them wrapped under a random tab key (`wrappedMediaKeys`). Only the tab's sessionStorage
+//   holds that key's secret, so closing the tab leaves nothing on the device that can unlock them.
+
+const SESSION_DURATION_MS = 12 * 60 * 60 * 1000;       // Regular sessions expire after 12 hours.
+const REMEMBER_DURATION_MS = 30 * 24 * 60 * 60 * 1000; // "Remember me" sessions expire after 30 days.
+const SESSION_TOKEN_KEY = 'sessionToken';              // sessionStorage: token of this tab's session.
+const REMEMBERED_TOKEN_KEY = 'rememberedSessionToken'; // localStorage: last remembered session (restored in new tabs).
+const TAB_KEY_SECRET_KEY = 'sessionTabKeySecret';      // sessionStorage: `{ token, secret }` unlocking a regular session's media keys.
+
+let activeSessionPromise = null; // Cached lookup of the active session for this page.
+
+/**
+ * Generates a random, URL-safe session token.
+ * @returns {string} The token.
+ */
+function generateSessionToken() {
+    return bufferToBase64(crypto.getRandomValues(new Uint8Array(32)))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Deletes every expired session record (their tokens and stored keys).
+ * @returns {Promise<Array<object>>} The remaining (valid) sessions.
+ */
+async function deleteExpiredSessions() {
+    await openDatabase();
+    const sessions = await getAllData('sessions');
+    const now = Date.now();
+    const expired = sessions.filter(session => session.expiresAt <= now);
+    for (const session of expired) {
+        await deleteData('sessions', session.token);
+    }
+    if (expired.length > 0) {
+        console.log(`SESSION: Deleted ${expired.length} expired session(s).`);
+    }
+    return sessions.filter(session => session.expiresAt > now);
+}
+
+/**
+ * Reads this tab's secret for a regular session's wrapped media keys (see wrapTabMediaKeys in crypto.js).
+ * @param {object} session - The session record.
+ * @returns {string|null} The Base64 secret, or null if this tab didn't create the session.
+ */
+function getTabKeySecret(session) {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(TAB_KEY_SECRET_KEY));
+        return stored && stored.token === session.token ? stored.secret : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Finds a valid (existing, not expired) session by token. Expired sessions are deleted.
+ * @param {string} token - The session token.
+ * @returns {Promise<object|null>} The session record, or null.
+ */
+async function findValidSession(token) {
+    if (!token) return null;
+    await openDatabase();
+    const session = await getDataByKey('sessions', token);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+        console.log(`SESSION: Session for "${session.username}" expired.`);
+        await deleteData('sessions', token);
+        return null;
+    }
+    return session;
+}
+
+/**
+ * Makes a session the active one for this tab (and, if remembered, for new tabs).
+ * @param {object} session - The session record.
+ */
+function setActiveSessionToken(session) {
+    sessionStorage.setItem(SESSION_TOKEN_KEY, session.token);
+    if (session.remember) {
+        localStorage.setItem(REMEMBERED_TOKEN_KEY, session.token);
+    }
+    activeSessionPromise = null;
+}
+
+/**
+ * Creates a session after a successful login.
+ * @param {object} user - The user record.
+ * @param {object} options
+ * @param {boolean} [options.remember=false] - Keep the session after the tab closes ("remember me").
+ * @param {number} [options.durationMs] - Custom lifetime; defaults to SESSION_DURATION_MS or REMEMBER_DURATION_MS.
+ * @param {object} [options.mediaKeys] - `{ keys: Map<number, CryptoKey>, currentVersion }` unlocked at login.
+ * @returns {Promise<object>} The new session record.
+ */
+async function createSession(user, { remember = false, durationMs, mediaKeys } = {}) {
+    await deleteExpiredSessions();
+
+    // A regular session of this tab is replaced (remembered sessions stay available in the switcher).
+    const previous = await findValidSession(sessionStorage.getItem(SESSION_TOKEN_KEY));
+    if (previous && !previous.remember) {
+        await deleteData('sessions', previous.token);
+    }
+
+    // Keep a single remembered session per user.
+    if (remember) {
+        const sessions = await getAllData('sessions');
+        for (const old of sessions.filter(s => s.userId === user.id && s.remember)) {
+            await deleteData('sessions', old.token);
+        }
+    }
+
+    const now = Date.now();
+    const session = {
+        token: generateSessionToken(),
+        userId: user.id,
+        username: user.username,
+        remember,
+        createdAt: now,
+        expiresAt: now + (durationMs || (remember ? REMEMBER_DURATION_MS : SESSION_DURATION_MS)),
+        mediaKeys: null,
+        wrappedMediaKeys: null
+    };
+    // Pages must reopen encrypted media without the password (see the note at the top of this file).
+    let tabSecret = null;
+    if (mediaKeys && remember) {
+        session.mediaKeys = await toStorableMediaKeys(mediaKeys.keys, mediaKeys.currentVersion);
+    } else if (mediaKeys) {
+        const tabKeys = await wrapTabMediaKeys(mediaKeys.keys, mediaKeys.currentVersion);
+        session.wrappedMediaKeys = tabKeys.wrappedKeys;
+        tabSecret = tabKeys.tabSecret;
+    }
+    await addData('sessions', session);
+
+    if (tabSecret) {
+        sessionStorage.setItem(TAB_KEY_SECRET_KEY, JSON.stringify({ token: session.token, secret: tabSecret }));
+    } else {
+        sessionStorage.removeItem(TAB_KEY_SECRET_KEY);
+    }
+
+    clearSessionMediaKeys(); // Never mix keys of the previous account into this session.
+    setActiveSessionToken(session);
+    console.log(`SESSION: Created ${remember ? 'remembered' : 'regular'} session for "${user.username}".`);
+    return session;
+}
+
+/**
+ * Retrieves the active session of this tab: its own token first, then the last remembered session.
+ * @returns {Promise<object|null>} The session record, or null if nobody is logged in.
+ */
+function getActiveSession() {
+    if (!activeSessionPromise) {
+        activeSessionPromise = (async () => {
+            await deleteExpiredSessions();
+            const session = await findValidSession(sessionStorage.getItem(SESSION_TOKEN_KEY));
+            if (session) return session;
+
+            const remembered = await findValidSession(localStorage.getItem(REMEMBERED_TOKEN_KEY));
+            if (remembered) {
+                sessionStorage.setItem(SESSION_TOKEN_KEY, remembered.token); // Adopt it in this tab.
+                return remembered;
+            }
+            sessionStorage.removeItem(SESSION_TOKEN_KEY);
+            sessionStorage.removeItem(TAB_KEY_SECRET_KEY);
+            localStorage.removeItem(REMEMBERED_TOKEN_KEY);
+            return null;
+        })();
+    }
+    return activeSessionPromise;
+}
+
+/**
+ * Retrieves the logged-in user of the active session.
+ * @returns {Promise<object|null>} `{ id, username }`, or null if nobody is logged in.
+ */
+async function getCurrentUser() {
+    const session = await getActiveSession();
+    return session ? { id: session.userId, username: session.username } : null;
+}
+
+/**
+ * Logs out: deletes the active session (invalidating its token) and forgets the media keys.
+ */
+async function endSession() {
+    const session = await getActiveSession();
+    if (session) {
+        await deleteData('sessions', session.token);
+        console.log(`SESSION: Logged out "${session.username}".`);
+    }
+    if (session && localStorage.getItem(REMEMBERED_TOKEN_KEY) === session.token) {
+        localStorage.removeItem(REMEMBERED_TOKEN_KEY);
+    }
+    sessionStorage.removeItem(SESSION_TOKEN_KEY);
+    sessionStorage.removeItem(TAB_KEY_SECRET_KEY);
+    clearSessionMediaKeys();
+    activeSessionPromise = null;
+}
+
+/**
+ * Lists the remembered (switchable) accounts on this device.
+ * @returns {Promise<Array<object>>} Valid remembered sessions, most recently created first.
+ */
+async function getRememberedSessions() {
+    const sessions = await deleteExpiredSessions();
+    return sessions
+        .filter(session => session.remember)
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Switches this tab to another remembered account without retyping credentials.
+ * @param {string} token - Token of a remembered session.
+ * @returns {Promise<boolean>} True if the switch succeeded (false if the session expired or was removed).
+ */
+async function switchToSession(token) {
+    const session = await findValidSession(token);
+    if (!session || !session.remember) return false;
+
+    // The current tab's regular session (if any) ends when switching away from it.
+    const current = await findValidSession(sessionStorage.getItem(SESSION_TOKEN_KEY));
+    if (current && !current.remember && current.token !== token) {
+        await deleteData('sessions', current.token);
+        sessionStorage.removeItem(TAB_KEY_SECRET_KEY);
+    }
+
+    clearSessionMediaKeys(); // Every session carries its own media keys.
+    setActiveSessionToken(session);
+    console.log(`SESSION: Switched to "${session.username}".`);
+    return true;
+}
+
+/**
+ * Removes a remembered account from this device (its token stops working).
+ * @param {string} token - Token of the remembered session.
+ */
+async function forgetSession(token) {
+    await openDatabase();
+    await deleteData('sessions', token);
+    if (localStorage.getItem(REMEMBERED_TOKEN_KEY) === token) {
+        localStorage.removeItem(REMEMBERED_TOKEN_KEY);
+    }
+    if (sessionStorage.getItem(SESSION_TOKEN_KEY) === token) {
+        sessionStorage.removeItem(SESSION_TOKEN_KEY);
+        sessionStorage.removeItem(TAB_KEY_SECRET_KEY);
+        clearSessionMediaKeys();
+    }
+    activeSessionPromise = null;
+}
\ No newline at end of file
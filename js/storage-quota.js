@@ -0,0 +1,239 @@
+// js/storage-quota.js
+// Storage usage and cleanup policies, shared by the storage page and the camera's save flow.
+// Device-wide numbers come from the StorageManager API (navigator.storage); per-user and per-type
+// numbers are computed from the sizes of the stored 'media' and 'mediaBlobs' records.
+// Cleanup policies are saved on the user record (`storagePolicy`) and applied after every save.
+// When the gallery opens, only the "Recently deleted" rule runs (see purgeExpiredTrash), so items
+// left in the trash are purged on time without deleting any snap the user can still see.
+
+const QUOTA_WARNING_RATIO = 0.9;        // Warn before saving once usage would pass 90% of the quota.
+const OLD_VIDEO_SUGGESTION_DAYS = 30;    // Age used when suggesting old videos to clean up.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_STORAGE_POLICY = {
+    keepLast: null,          // Keep only the newest N snaps (null = keep all).
+    maxVideoAgeDays: null,   // Delete videos older than this many days (null = never).
+    trashRetentionDays: 30   // Purge items from "Recently deleted" after this many days.
+};
+
+/**
+ * Formats a byte count for display (e.g., "1.4 MB").
+ * @param {number} bytes - The byte count.
+ * @returns {string} The formatted size.
+ */
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    const value = bytes / Math.pow(1024, exponent);
+    return `${value.toFixed(exponent === 0 || value >= 10 ? 0 : 1)} ${units[exponent]}`;
+}
+
+/**
+ * Reads the device-wide storage usage and quota for this origin.
+ * @returns {Promise<object|null>} `{ usage, quota, persisted }`, or null if the StorageManager API is unavailable.
+ */
+async function getStorageEstimate() {
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+    return { usage, quota, persisted };
+}
+
+/**
+ * Asks the browser to keep this origin's data under storage pressure (it won't be evicted automatically).
+ * @returns {Promise<boolean>} True if storage is now persistent.
+ */
+async function requestPersistentStorage() {
+    if (!navigator.storage || !navigator.storage.persist) return false;
+    const persisted = await navigator.storage.persist();
+    console.log(`STORAGE: Persistent storage ${persisted ? 'granted' : 'denied'}.`);
+    return persisted;
+}
+
+/**
+ * Approximates the stored size of a 'media' or 'mediaBlobs' record from its payload.
+ * @param {object} record - The stored record.
+ * @returns {number} Size in bytes.
+ */
+function getRecordSize(record) {
+    const sizeOf = (value) => {
+        if (!value) return 0;
+        if (value instanceof Blob) return value.size;
+        if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return value.byteLength;
+        if (typeof value === 'string') return value.length;
+        return 0;
+    };
+    return sizeOf(record.payload) + sizeOf(record.data) + sizeOf(record.thumbnail);
+}
+
+/**
+ * Computes the media usage of every user on this device, split by media type.
+ * Only plaintext metadata and payload sizes are read, so nothing needs to be decrypted.
+ * @returns {Promise<Map<number, object>>} Per sender ID: `{ count, bytes, byType: { image: { count, bytes }, video: {...} } }`.
+ */
+async function getMediaUsage() {
+    await openDatabase();
+    const usage = new Map();
+    const mediaById = new Map(); // Media ID -> its usage entries, to attribute the 'mediaBlobs' sizes.
+
+    await forEachRecord('media', (media) => {
+        if (!usage.has(media.senderId)) usage.set(media.senderId, { count: 0, bytes: 0, byType: {} });
+        const userUsage = usage.get(media.senderId);
+        const typeUsage = userUsage.byType[media.type] || (userUsage.byType[media.type] = { count: 0, bytes: 0 });
+        const size = getRecordSize(media);
+        userUsage.count++;
+        typeUsage.count++;
+        userUsage.bytes += size;
+        typeUsage.bytes += size;
+        mediaById.set(media.id, [userUsage, typeUsage]);
+    });
+    await forEachRecord('mediaBlobs', (blobRecord) => {
+        const entries = mediaById.get(blobRecord.id);
+        if (!entries) return; // Orphaned payload (its media record is gone).
+        const size = getRecordSize(blobRecord);
+        entries.forEach(entry => { entry.bytes += size; });
+    });
+    return usage;
+}
+
+/**
+ * Reads a user's cleanup policy.
+ * @param {number} userId - The user ID.
+ * @returns {Promise<object>} `{ keepLast, maxVideoAgeDays, trashRetentionDays }` (null values mean the rule is off).
+ */
+async function getStoragePolicy(userId) {
+    await openDatabase();
+    const user = await getDataByKey('users', userId);
+    return { ...DEFAULT_STORAGE_POLICY, ...(user && user.storagePolicy) };
+}
+
+/**
+ * Saves a user's cleanup policy on their user record.
+ * @param {number} userId - The user ID.
+ * @param {object} policy - `{ keepLast, maxVideoAgeDays, trashRetentionDays }`.
+ */
+async function saveStoragePolicy(userId, policy) {
+    await openDatabase();
+    const user = await getDataByKey('users', userId);
+    if (!user) throw new Error(`User ${userId} not found.`);
+    await updateData('users', { ...user, storagePolicy: { ...DEFAULT_STORAGE_POLICY, ...policy } });
+    console.log(`STORAGE: Saved cleanup policy for user ${userId}:`, policy);
+}
+
+/**
+ * Lists a user's media (plaintext metadata only), newest first.
+ * @param {number} userId - The user ID.
+ * @returns {Promise<Array<object>>} `{ id, type, timestamp, deletedAt, favoritedAt }` per item (`deletedAt` is set for
+ *   items in the trash, `favoritedAt` for favorites).
+ */
+async function listUserMediaSummaries(userId) {
+    await openDatabase();
+    const items = [];
+    await forEachRecord('media', (media) => {
+        items.push({ id: media.id, type: media.type, timestamp: media.timestamp, deletedAt: media.deletedAt, favoritedAt: media.favoritedAt });
+    }, { indexName: 'senderId_timestamp', range: IDBKeyRange.bound([userId, -Infinity], [userId, Infinity]), direction: 'prev' });
+    return items;
+}
+
+/**
+ * Finds the media a cleanup policy would delete. Items in the trash only count for `trashRetentionDays`
+ * (they are not among the "last N" kept). Favorites are always kept and don't count towards the "last N" either;
+ * only a favorite the user deleted (after confirming) is purged from the trash like any other item.
+ * @param {number} userId - The user ID.
+ * @param {object} policy - `{ keepLast, maxVideoAgeDays, trashRetentionDays }`.
+ * @param {number} [now=Date.now()] - Reference time for age rules.
+ * @returns {Promise<Array<object>>} `{ id, type, timestamp, deletedAt, favoritedAt }` of the items to delete.
+ */
+async function findCleanupCandidates(userId, policy, now = Date.now()) {
+    const items = await listUserMediaSummaries(userId);
+    let kept = 0; // Items outside the trash seen so far (newest first).
+    return items.filter((item) => {
+        if (typeof item.deletedAt === 'number') {
+            return !!policy.trashRetentionDays && now - item.deletedAt > policy.trashRetentionDays * DAY_MS;
+        }
+        if (typeof item.favoritedAt === 'number') return false;
+        kept++;
+        if (policy.keepLast && kept > policy.keepLast) return true;
+        if (policy.maxVideoAgeDays && item.type === 'video' && now - item.timestamp > policy.maxVideoAgeDays * DAY_MS) return true;
+        return false;
+    });
+}
+
+/**
+ * Applies a user's saved cleanup policy, deleting the matching media (payloads and album entries too) in one transaction.
+ * @param {number} userId - The user ID.
+ * @returns {Promise<number>} The number of deleted items.
+ */
+async function applyStoragePolicy(userId) {
+    const policy = await getStoragePolicy(userId);
+    if (!policy.keepLast && !policy.maxVideoAgeDays && !policy.trashRetentionDays) return 0;
+
+    const candidates = await findCleanupCandidates(userId, policy);
+    if (candidates.length > 0) {
+        await deleteMediaRecords(candidates.map(item => item.id));
+        console.log(`STORAGE: Cleanup policy deleted ${candidates.length} item(s) of user ${userId}.`);
+    }
+    return candidates.length;
+}
+
+/**
+ * Purges the items that have been in "Recently deleted" longer than the user's `trashRetentionDays`.
+ * The other cleanup rules are left for the next save.
+ * @param {number} userId - The user ID.
+ * @returns {Promise<number>} The number of purged items.
+ */
+async function purgeExpiredTrash(userId) {
+    const { trashRetentionDays } = await getStoragePolicy(userId);
+    if (!trashRetentionDays) return 0;
+
+    const candidates = await findCleanupCandidates(userId, { trashRetentionDays });
+    if (candidates.length > 0) {
+        await deleteMediaRecords(candidates.map(item => item.id));
+        console.log(`STORAGE: Purged ${candidates.length} expired item(s) from the trash of user ${userId}.`);
+    }
+    return candidates.length;
+}
+
+/**
+ * Builds cleanup suggestions for a user who is running out of space.
+ * @param {number} userId - The user ID.
+ * @returns {Promise<Array<string>>} Human-readable suggestions (may be empty).
+ */
+async function getCleanupSuggestions(userId) {
+    const suggestions = [];
+    const userUsage = (await getMediaUsage()).get(userId);
+    if (!userUsage) return suggestions;
+
+    const trashed = (await listUserMediaSummaries(userId)).filter(item => typeof item.deletedAt === 'number');
+    if (trashed.length > 0) {
+        suggestions.push(`Empty "Recently deleted" in the gallery (${trashed.length} snap(s)).`);
+    }
+    const oldVideos = await findCleanupCandidates(userId, { maxVideoAgeDays: OLD_VIDEO_SUGGESTION_DAYS });
+    if (oldVideos.length > 0) {
+        suggestions.push(`Delete ${oldVideos.length} video(s) older than ${OLD_VIDEO_SUGGESTION_DAYS} days.`);
+    }
+    const videos = userUsage.byType.video;
+    if (videos && videos.bytes > userUsage.bytes / 2) {
+        suggestions.push(`Videos use ${formatBytes(videos.bytes)} of your ${formatBytes(userUsage.bytes)}; remove the ones you don't need.`);
+    }
+    if (userUsage.count > 50) {
+        suggestions.push(`Keep only your latest snaps (you have ${userUsage.count}); set a "keep last N" policy on the Storage page.`);
+    }
+    return suggestions;
+}
+
+/**
+ * Checks whether saving `incomingBytes` more would get close to the storage quota.
+ * @param {number} userId - The saving user's ID (for cleanup suggestions).
+ * @param {number} incomingBytes - Approximate size of the item about to be saved.
+ * @returns {Promise<object|null>} `{ usage, quota, suggestions }` if the quota is nearly reached, otherwise null
+ *   (also null when the StorageManager API is unavailable).
+ */
+async function checkStorageBeforeSave(userId, incomingBytes) {
+    const estimate = await getStorageEstimate();
+    if (!estimate || !estimate.quota) return null;
+    if (estimate.usage + incomingBytes < estimate.quota * QUOTA_WARNING_RATIO) return null;
+
+    console.warn(`STORAGE: Nearly full (${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)}).`);
+    return { usage: estimate.usage, quota: estimate.quota, suggestions: await getCleanupSuggestions(userId) };
+}
\ No newline at end of file
@@ -0,0 +1,153 @@
+// js/storage.js
+// Handles the storage page: device quota and persistence, usage per media type and per account,
+// and the user's automatic cleanup policies.
+
+document.addEventListener('DOMContentLoaded', async () => {
+    // --- Initial User Authentication Check ---
+    const currentUser = await getCurrentUser();
+    if (!currentUser) {
+        console.warn('STORAGE_INIT: No valid session. Redirecting to login.');
+        window.location.href = 'index.html';
+        return; // Stop script execution.
+    }
+    console.log(`STORAGE_INIT: User "${currentUser.username}" is logged in.`);
+
+    // --- DOM Element References ---
+    const meterFill = document.getElementById('storage-meter-fill');
+    const storageSummary = document.getElementById('storage-summary');
+    const storagePersisted = document.getElementById('storage-persisted');
+    const persistButton = document.getElementById('persist-button');
+    const byTypeList = document.getElementById('storage-by-type');
+    const byUserList = document.getElementById('storage-by-user');
+    const policyForm = document.getElementById('policy-form');
+    const keepLastEnabled = document.getElementById('keep-last-enabled');
+    const keepLastCount = document.getElementById('keep-last-count');
+    const videoAgeEnabled = document.getElementById('video-age-enabled');
+    const videoAgeDays = document.getElementById('video-age-days');
+    const trashRetentionDays = document.getElementById('trash-retention-days');
+    const policyMessage = document.getElementById('policy-message');
+
+    const TYPE_LABELS = { image: 'Photos', video: 'Videos' };
+
+    const showMessage = (element, msg, type = 'error') => {
+        element.textContent = msg;
+        element.className = `message-text ${type}`;
+    };
+
+    /**
+     * Fills a list with `label: count, size` rows.
+     * @param {HTMLElement} list - The <ul> element.
+     * @param {Array<object>} rows - `{ label, count, bytes }` entries.
+     * @param {string} emptyText - Text shown when there are no rows.
+     */
+    const renderUsageList = (list, rows, emptyText) => {
+        list.innerHTML = '';
+        if (rows.length === 0) {
+            const li = document.createElement('li');
+            li.textContent = emptyText;
+            list.appendChild(li);
+            return;
+        }
+        rows.forEach(row => {
+            const li = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = row.label;
+            const value = document.createElement('span');
+            value.textContent = `${row.count} item${row.count === 1 ? '' : 's'} · ${formatBytes(row.bytes)}`;
+            li.append(label, value);
+            list.appendChild(li);
+        });
+    };
+
+    /**
+     * Shows the device-wide usage, quota and persistence state.
+     */
+    const renderDeviceStorage = async () => {
+        const estimate = await getStorageEstimate();
+        if (!estimate) {
+            storageSummary.textContent = 'Storage usage is not available in this browser.';
+            return;
+        }
+        const percent = estimate.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : 0;
+        meterFill.style.width = `${percent}%`;
+        meterFill.classList.toggle('warning', percent >= QUOTA_WARNING_RATIO * 100);
+        storageSummary.textContent = `${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used (${percent.toFixed(1)}%).`;
+        storagePersisted.textContent = estimate.persisted
+            ? 'Your snaps are kept even when the device runs low on space.'
+            : 'The browser may clear your snaps when the device runs low on space.';
+        persistButton.style.display = estimate.persisted || !navigator.storage.persist ? 'none' : 'block';
+    };
+
+    /**
+     * Shows the current user's usage per media type and every account's total usage.
+     */
+    const renderMediaUsage = async () => {
+        const usage = await getMediaUsage();
+        const userUsage = usage.get(currentUser.id) || { byType: {} };
+        renderUsageList(byTypeList, Object.entries(userUsage.byType).map(([type, entry]) => ({
+            label: TYPE_LABELS[type] || type, count: entry.count, bytes: entry.bytes
+        })), 'No snaps yet.');
+
+        const users = await getAllData('users');
+        renderUsageList(byUserList, users
+            .map(user => ({ label: user.username, ...(usage.get(user.id) || { count: 0, bytes: 0 }) }))
+            .sort((a, b) => b.bytes - a.bytes), 'No accounts.');
+    };
+
+    /**
+     * Fills the policy form from the saved policy.
+     */
+    const renderPolicy = async () => {
+        const policy = await getStoragePolicy(currentUser.id);
+        keepLastEnabled.checked = !!policy.keepLast;
+        if (policy.keepLast) keepLastCount.value = policy.keepLast;
+        videoAgeEnabled.checked = !!policy.maxVideoAgeDays;
+        if (policy.maxVideoAgeDays) videoAgeDays.value = policy.maxVideoAgeDays;
+        trashRetentionDays.value = policy.trashRetentionDays;
+    };
+
+    persistButton.addEventListener('click', async () => {
+        const persisted = await requestPersistentStorage();
+        if (!persisted) {
+            alert('The browser did not allow persistent storage. Installing the app or bookmarking it can help.');
+        }
+        await renderDeviceStorage();
+    });
+
+    // --- Save Policies ---
+    policyForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const policy = {
+            keepLast: keepLastEnabled.checked ? parseInt(keepLastCount.value, 10) : null,
+            maxVideoAgeDays: videoAgeEnabled.checked ? parseInt(videoAgeDays.value, 10) : null,
+            trashRetentionDays: parseInt(trashRetentionDays.value, 10)
+        };
+        if ((keepLastEnabled.checked && !(policy.keepLast >= 1)) || (videoAgeEnabled.checked && !(policy.maxVideoAgeDays >= 1)) ||
+            !(policy.trashRetentionDays >= 1)) {
+            showMessage(policyMessage, 'Please enter numbers of 1 or more.');
+            return;
+        }
+
+        try {
+            // Saving applies the policy right away, so show what it would delete first.
+            const candidates = await findCleanupCandidates(currentUser.id, policy);
+            if (candidates.length > 0 && !confirm(`These policies delete ${candidates.length} snap(s) now. Continue?`)) {
+                return;
+            }
+            await saveStoragePolicy(currentUser.id, policy);
+            const deleted = await applyStoragePolicy(currentUser.id);
+            showMessage(policyMessage, deleted > 0 ? `Policies saved. ${deleted} snap(s) deleted.` : 'Policies saved.', 'success');
+            await Promise.all([renderDeviceStorage(), renderMediaUsage()]);
+        } catch (error) {
+            console.error('STORAGE_ERROR: Failed to save cleanup policies:', error);
+            showMessage(policyMessage, 'Failed to save policies. Please try again.');
+        }
+    });
+
+    try {
+        await Promise.all([renderDeviceStorage(), renderMediaUsage(), renderPolicy()]);
+    } catch (error) {
+        console.error('STORAGE_ERROR: Failed to load storage usage:', error);
+        storageSummary.textContent = 'Failed to load storage usage.';
+    }
+});
\ No newline at end of file
@@ -0,0 +1,64 @@
+// js/trash.js
+// "Recently deleted": deleting a snap only sets `deletedAt` on its 'media' record (plaintext, like `timestamp`).
+// The gallery hides such items and lists them in its trash view, where they can be restored or deleted for good.
+// Items left in the trash longer than the user's `trashRetentionDays` are purged by the cleanup policy
+// (see findCleanupCandidates in storage-quota.js).
+
+/**
+ * Tells whether a media item is in the trash.
+ * @param {object} media - The media record or decrypted item.
+ * @returns {boolean} True if it was deleted (and not restored).
+ */
+function isInTrash(media) {
+    return typeof media.deletedAt === 'number';
+}
+
+/**
+ * Moves media items to the trash.
+ * @param {Array<number>} mediaIds - The media IDs.
+ * @param {number} [now=Date.now()] - The deletion time.
+ * @returns {Promise<number>} The number of items moved.
+ */
+async function moveMediaToTrash(mediaIds, now = Date.now()) {
+    await openDatabase();
+    const moved = await updateRecords('media', mediaIds, (record) => { record.deletedAt = now; });
+    console.log(`TRASH: Moved ${moved} item(s) to Recently deleted.`);
+    return moved;
+}
+
+/**
+ * Restores media items from the trash.
+ * @param {Array<number>} mediaIds - The media IDs.
+ * @returns {Promise<number>} The number of items restored.
+ */
+async function restoreMediaFromTrash(mediaIds) {
+    await openDatabase();
+    const restored = await updateRecords('media', mediaIds, (record) => { delete record.deletedAt; });
+    console.log(`TRASH: Restored ${restored} item(s).`);
+    return restored;
+}
+
+/**
+ * Lists a user's media records in the trash, most recently deleted first.
+ * @param {number} userId - The user ID.
+ * @returns {Promise<Array<object>>} The (still encrypted) media records.
+ */
+async function listTrash(userId) {
+    await openDatabase();
+    const records = [];
+    await forEachRecord('media', (record) => {
+        if (isInTrash(record)) records.push(record);
+    }, { indexName: 'senderId', range: IDBKeyRange.only(userId) });
+    return records.sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+/**
+ * Computes how many days an item has left before it is purged from the trash.
+ * @param {object} media - A media item in the trash.
+ * @param {number} retentionDays - The user's `trashRetentionDays`.
+ * @param {number} [now=Date.now()] - The reference time.
+ * @returns {number} Whole days left (at least 0).
+ */
+function getTrashDaysLeft(media, retentionDays, now = Date.now()) {
+    return Math.max(0, Math.ceil((media.deletedAt + retentionDays * DAY_MS - now) / DAY_MS));
+}
\ No newline at end of file
@@ -0,0 +1,322 @@
+// js/webgl-renderer.js
+// Optional GPU rendering backend for FilterManager.
+// Runs filter fragment shaders on a hidden WebGL canvas and hands the result back to
+// FilterManager, which draws it onto the visible 2D canvas. When WebGL is unavailable
+// (or a shader fails to compile), `render` returns null and FilterManager uses the CPU filters.
+
+/**
+ * WebGLRenderer Module
+ * Renders a video frame through an ordered list of fragment shader passes.
+ *
+ * Every filter shader is prefixed with a common header that declares:
+ *   - `u_image` (sampler2D): the output of the previous pass.
+ *   - `u_resolution` (vec2): the output size in pixels.
+ *   - `u_frame` (float): the current animation frame count (for animated filters).
+ *   - `v_texCoord` (vec2): the texture coordinate, (0,0) being the top-left pixel (same as ImageData).
+ *   - `pixelCoord()`, `inside(p)` and `texel(p)` helpers for pixel-based sampling.
+ *
+ * @module WebGLRenderer
+ */
+const WebGLRenderer = (() => {
+    let glCanvas = null;     // Hidden canvas holding the WebGL context.
+    let gl = null;           // The WebGL rendering context.
+    let supported = null;    // Cached result of the WebGL feature check (null = not checked yet).
+    let vertexBuffer = null; // Full-screen quad used by every pass.
+    let sourceTexture = null; // Texture holding the uploaded video frame.
+    let sourceProgram = null; // Built-in pass that crops and mirrors the video frame.
+    let targets = [];        // Two ping-pong render targets ({ framebuffer, texture }) for intermediate passes.
+    let targetWidth = 0;
+    let targetHeight = 0;
+    const programs = {};     // Compiled filter programs keyed by pass key (null if compilation failed).
+
+    const VERTEX_SHADER = `
+attribute vec2 a_position;
+uniform float u_flipY;
+varying vec2 v_texCoord;
+void main() {
+    // Intermediate passes keep "row 0 = top" in their textures; the final pass flips for display.
+    v_texCoord = vec2(a_position.x * 0.5 + 0.5, 0.5 + u_flipY * a_position.y * 0.5);
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
+
+    const FRAGMENT_HEADER = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+uniform sampler2D u_image;
+uniform vec2 u_resolution;
+uniform float u_frame;
+varying vec2 v_texCoord;
+
+vec2 pixelCoord() {
+    return floor(v_texCoord * u_resolution);
+}
+
+bool inside(vec2 p) {
+    return p.x >= 0.0 && p.y >= 0.0 && p.x < u_resolution.x && p.y < u_resolution.y;
+}
+
+vec4 texel(vec2 p) {
+    return inside(p) ? texture2D(u_image, (p + 0.5) / u_resolution) : vec4(0.0);
+}
+`;
+
+    // Built-in first pass: samples the video with the "cover" crop rectangle and optional mirroring.
+    const SOURCE_SHADER = `
+uniform vec4 u_crop;   // x, y, width, height of the source rectangle (normalized to the video size).
+uniform float u_mirror; // 1.0 to flip horizontally (front camera).
+void main() {
+    vec2 uv = v_texCoord;
+    if (u_mirror > 0.5) {
+        uv.x = 1.0 - uv.x;
+    }
+    gl_FragColor = texture2D(u_image, u_crop.xy + uv * u_crop.zw);
+}`;
+
+    /**
+     * Compiles a single shader stage.
+     * @param {number} type - gl.VERTEX_SHADER or gl.FRAGMENT_SHADER.
+     * @param {string} source - The GLSL source.
+     * @returns {WebGLShader|null} The compiled shader, or null on failure.
+     */
+    const compileShader = (type, source) => {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            console.error('WEBGL: Shader compilation failed:', gl.getShaderInfoLog(shader));
+            gl.deleteShader(shader);
+            return null;
+        }
+        return shader;
+    };
+
+    /**
+     * Links a program from the shared vertex shader and a filter fragment shader (header is prepended).
+     * @param {string} fragmentSource - The filter-specific fragment shader source.
+     * @returns {object|null} `{ program, locations }`, or null on failure.
+     */
+    const createProgram = (fragmentSource) => {
+        const vertexShader = compileShader(gl.VERTEX_SHADER, VERTEX_SHADER);
+        const fragmentShader = compileShader(gl.FRAGMENT_SHADER, FRAGMENT_HEADER + fragmentSource);
+        if (!vertexShader || !fragmentShader) return null;
+
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            console.error('WEBGL: Program linking failed:', gl.getProgramInfoLog(program));
+            gl.deleteProgram(program);
+            return null;
+        }
+        return { program, locations: {} };
+    };
+
+    /**
+     * Creates a texture suitable for non-power-of-two images (no mipmaps, clamped edges).
+     * @param {number} filter - gl.LINEAR or gl.NEAREST.
+     * @returns {WebGLTexture} The texture.
+     */
+    const createTexture = (filter) => {
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        return texture;
+    };
+
+    /**
+     * (Re)allocates the two ping-pong render targets when the output size changes.
+     * @param {number} width - Output width in pixels.
+     * @param {number} height - Output height in pixels.
+     */
+    const ensureTargets = (width, height) => {
+        if (targets.length === 2 && targetWidth === width && targetHeight === height) return;
+
+        targets.forEach(target => {
+            gl.deleteFramebuffer(target.framebuffer);
+            gl.deleteTexture(target.texture);
+        });
+        targets = [0, 1].map(() => {
+            const texture = createTexture(gl.NEAREST); // NEAREST keeps intermediate passes pixel-exact.
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+            const framebuffer = gl.createFramebuffer();
+            gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+            return { framebuffer, texture };
+        });
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        targetWidth = width;
+        targetHeight = height;
+    };
+
+    /**
+     * Creates the WebGL context and shared resources on first use.
+     * @returns {boolean} True if WebGL is available and initialized.
+     */
+    const init = () => {
+        if (supported !== null) return supported;
+
+        try {
+            glCanvas = document.createElement('canvas');
+            const options = { premultipliedAlpha: false, preserveDrawingBuffer: false, antialias: false };
+            gl = glCanvas.getContext('webgl', options) || glCanvas.getContext('experimental-webgl', options);
+        } catch (err) {
+            gl = null;
+        }
+        if (!gl) {
+            console.warn('WEBGL: WebGL is not available. Filters will run on the CPU.');
+            supported = false;
+            return supported;
+        }
+
+        // If the GPU context is lost (driver reset, too many contexts), permanently fall back to the CPU.
+        glCanvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            console.warn('WEBGL: Context lost. Falling back to CPU filters.');
+            supported = false;
+        });
+
+        vertexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+
+        sourceTexture = createTexture(gl.LINEAR); // LINEAR smooths the downscale from camera resolution.
+        sourceProgram = createProgram(SOURCE_SHADER);
+        supported = sourceProgram !== null;
+        console.log(`WEBGL: Renderer initialized (supported: ${supported}).`);
+        return supported;
+    };
+
+    /**
+     * Sets a uniform value, inferring the type from the value's shape.
+     * Numbers become float, arrays of 2/3/4 become vecN, arrays of 9 become mat3 (column-major).
+     * @param {object} compiled - `{ program, locations }` from `createProgram`.
+     * @param {string} name - The uniform name.
+     * @param {number|Array<number>} value - The value.
+     */
+    const setUniform = (compiled, name, value) => {
+        if (!(name in compiled.locations)) {
+            compiled.locations[name] = gl.getUniformLocation(compiled.program, name);
+        }
+        const location = compiled.locations[name];
+        if (location === null) return; // Uniform not used by this shader.
+
+        if (typeof value === 'number') {
+            gl.uniform1f(location, value);
+        } else if (value.length === 2) {
+            gl.uniform2fv(location, value);
+        } else if (value.length === 3) {
+            gl.uniform3fv(location, value);
+        } else if (value.length === 4) {
+            gl.uniform4fv(location, value);
+        } else if (value.length === 9) {
+            gl.uniformMatrix3fv(location, false, value);
+        }
+    };
+
+    /**
+     * Returns the compiled program for a pass, compiling it on first use.
+     * @param {object} pass - `{ key, source }`.
+     * @returns {object|null} The compiled program, or null if compilation failed.
+     */
+    const getProgram = (pass) => {
+        if (!(pass.key in programs)) {
+            programs[pass.key] = createProgram(pass.source);
+            if (!programs[pass.key]) {
+                console.warn(`WEBGL: Shader for "${pass.key}" failed to compile. It will run on the CPU.`);
+            }
+        }
+        return programs[pass.key];
+    };
+
+    /**
+     * Checks whether WebGL rendering is available (initializing it if needed).
+     * @returns {boolean} True if `render` can be used.
+     */
+    const isSupported = () => init();
+
+    /**
+     * Checks whether a pass failed to compile earlier, so callers can skip the GPU path for it.
+     * @param {string} key - The pass key.
+     * @returns {boolean} True if the pass is known to be broken.
+     */
+    const hasFailed = (key) => key in programs && programs[key] === null;
+
+    /**
+     * Renders a video frame through the given shader passes.
+     *
+     * @param {object} options
+     * @param {HTMLVideoElement} options.source - The video element to sample.
+     * @param {Array<number>} options.crop - `[x, y, width, height]` of the source rectangle, normalized to 0-1.
+     * @param {boolean} options.mirror - True to flip horizontally (front camera).
+     * @param {number} options.width - Output width in pixels.
+     * @param {number} options.height - Output height in pixels.
+     * @param {number} options.frameCount - Current animation frame count.
+     * @param {Array<object>} options.passes - Ordered passes, each `{ key, source, uniforms }`.
+     * @returns {HTMLCanvasElement|null} The canvas holding the result, or null if the GPU path failed.
+     */
+    const render = ({ source, crop, mirror, width, height, frameCount, passes }) => {
+        if (!init()) return null;
+
+        const compiledPasses = passes.map(getProgram);
+        if (compiledPasses.some(compiled => compiled === null)) return null;
+
+        if (glCanvas.width !== width || glCanvas.height !== height) {
+            glCanvas.width = width;
+            glCanvas.height = height;
+        }
+        ensureTargets(width, height);
+
+        // Upload the current video frame.
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, sourceTexture);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+
+        const steps = [{ compiled: sourceProgram, uniforms: { u_crop: crop, u_mirror: mirror ? 1 : 0 } }]
+            .concat(compiledPasses.map((compiled, i) => ({ compiled, uniforms: passes[i].uniforms || {} })));
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+        gl.viewport(0, 0, width, height);
+
+        let inputTexture = sourceTexture;
+        steps.forEach((step, i) => {
+            const isLast = i === steps.length - 1;
+            const target = targets[i % 2];
+
+            gl.bindFramebuffer(gl.FRAMEBUFFER, isLast ? null : target.framebuffer);
+            gl.useProgram(step.compiled.program);
+
+            const positionLocation = gl.getAttribLocation(step.compiled.program, 'a_position');
+            gl.enableVertexAttribArray(positionLocation);
+            gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
+
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, inputTexture);
+            setUniform(step.compiled, 'u_flipY', isLast ? -1 : 1);
+            setUniform(step.compiled, 'u_resolution', [width, height]);
+            setUniform(step.compiled, 'u_frame', frameCount);
+            Object.keys(step.uniforms).forEach(name => setUniform(step.compiled, name, step.uniforms[name]));
+
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
+            inputTexture = target.texture;
+        });
+
+        return glCanvas;
+    };
+
+    // --- Module Return (Public API) ---
+    return {
+        isSupported,
+        hasFailed,
+        render
+    };
+})();
\ No newline at end of file
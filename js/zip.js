@@ -0,0 +1,223 @@
+// js/zip.js
+// Minimal ZIP archive writer and reader for gallery backups (there is no server to build archives).
+// Writes uncompressed ("stored") entries, since photos and videos are already compressed.
+// Reads stored entries and, where the browser has DecompressionStream, deflated ones too,
+// so archives re-packed by other tools can still be imported. ZIP64 and encrypted entries are not supported.
+
+/**
+ * ZipArchive Module
+ * Builds and parses ZIP archives as Blobs. Entry names are UTF-8 (general purpose flag bit 11).
+ *
+ * @module ZipArchive
+ */
+const ZipArchive = (() => {
+    const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+    const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+    const END_OF_CENTRAL_DIR_SIGNATURE = 0x06054b50;
+    const END_OF_CENTRAL_DIR_SIZE = 22;
+    const MAX_COMMENT_LENGTH = 0xFFFF;
+    const FLAG_UTF8 = 0x0800;
+    const FLAG_ENCRYPTED = 0x0001;
+    const METHOD_STORED = 0;
+    const METHOD_DEFLATE = 8;
+    const ZIP_VERSION = 20; // Version 2.0: the features used here.
+
+    // CRC-32 lookup table (polynomial 0xEDB88320), built on first use.
+    let crcTable = null;
+
+    /**
+     * Computes the CRC-32 checksum of a byte array.
+     * @param {Uint8Array} bytes - The data.
+     * @returns {number} The unsigned CRC-32.
+     */
+    const crc32 = (bytes) => {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    };
+
+    /**
+     * Converts a date to the MS-DOS time and date fields used by ZIP headers.
+     * @param {Date} date - The date (local time; DOS dates start in 1980).
+     * @returns {object} `{ time, date }` as 16-bit values.
+     */
+    const toDosDateTime = (date) => {
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    };
+
+    /**
+     * Converts entry data to bytes.
+     * @param {Blob|Uint8Array|ArrayBuffer|string} data - The entry data (strings are UTF-8 encoded).
+     * @returns {Promise<Uint8Array>} The bytes.
+     */
+    const toBytes = async (data) => {
+        if (typeof data === 'string') return new TextEncoder().encode(data);
+        if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+        if (data instanceof ArrayBuffer) return new Uint8Array(data);
+        return data;
+    };
+
+    /**
+     * Creates a ZIP archive.
+     * Entries are read one at a time; the archive Blob references the data rather than copying it into one buffer.
+     * @param {Array<object>} entries - `{ name, data, lastModified }` (data: Blob, Uint8Array, ArrayBuffer or string;
+     *   lastModified: Date or timestamp, defaults to now).
+     * @returns {Promise<Blob>} The archive (type 'application/zip').
+     */
+    const createZip = async (entries) => {
+        const parts = [];          // Local headers and entry data, in archive order.
+        const centralHeaders = []; // Central directory records.
+        let offset = 0;
+
+        for (const entry of entries) {
+            const nameBytes = new TextEncoder().encode(entry.name);
+            const bytes = await toBytes(entry.data);
+            const crc = crc32(bytes);
+            const { time, date } = toDosDateTime(new Date(entry.lastModified || Date.now()));
+            if (offset + bytes.length > 0xFFFFFFFF) {
+                throw new Error('Archive is too large (ZIP64 is not supported).');
+            }
+
+            const local = new DataView(new ArrayBuffer(30 + nameBytes.length));
+            local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+            local.setUint16(4, ZIP_VERSION, true);
+            local.setUint16(6, FLAG_UTF8, true);
+            local.setUint16(8, METHOD_STORED, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, bytes.length, true); // Compressed size (stored: same as the size).
+            local.setUint32(22, bytes.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);            // Extra field length.
+            new Uint8Array(local.buffer).set(nameBytes, 30);
+
+            const central = new DataView(new ArrayBuffer(46 + nameBytes.length));
+            central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+            central.setUint16(4, ZIP_VERSION, true); // Version made by.
+            central.setUint16(6, ZIP_VERSION, true); // Version needed to extract.
+            central.setUint16(8, FLAG_UTF8, true);
+            central.setUint16(10, METHOD_STORED, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, bytes.length, true);
+            central.setUint32(24, bytes.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            // Extra field length, comment length, disk number, internal and external attributes stay 0.
+            central.setUint32(42, offset, true);     // Offset of the local header.
+            new Uint8Array(central.buffer).set(nameBytes, 46);
+
+            parts.push(local.buffer, entry.data instanceof Blob ? entry.data : bytes);
+            centralHeaders.push(central.buffer);
+            offset += local.byteLength + bytes.length;
+        }
+
+        const centralSize = centralHeaders.reduce((sum, header) => sum + header.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(END_OF_CENTRAL_DIR_SIZE));
+        end.setUint32(0, END_OF_CENTRAL_DIR_SIGNATURE, true);
+        end.setUint16(8, entries.length, true);  // Entries on this disk.
+        end.setUint16(10, entries.length, true); // Total entries.
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);         // Offset of the central directory.
+
+        return new Blob([...parts, ...centralHeaders, end.buffer], { type: 'application/zip' });
+    };
+
+    /**
+     * Inflates raw DEFLATE data with the browser's DecompressionStream.
+     * @param {Blob} blob - The compressed entry data.
+     * @returns {Promise<Blob>} The decompressed data.
+     */
+    const inflate = async (blob) => {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read compressed ZIP entries. Please use an uncompressed archive.');
+        }
+        return new Response(blob.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+    };
+
+    /**
+     * Reads a ZIP archive.
+     * @param {Blob} archive - The archive (e.g., a File from an <input type="file">).
+     * @returns {Promise<Array<object>>} `{ name, blob }` per file entry (directory entries are skipped).
+     */
+    const readZip = async (archive) => {
+        // The end-of-central-directory record sits at the end, possibly followed by a comment.
+        const tailStart = Math.max(0, archive.size - END_OF_CENTRAL_DIR_SIZE - MAX_COMMENT_LENGTH);
+        const tail = new DataView(await archive.slice(tailStart).arrayBuffer());
+        let endOffset = -1;
+        for (let i = tail.byteLength - END_OF_CENTRAL_DIR_SIZE; i >= 0; i--) {
+            if (tail.getUint32(i, true) === END_OF_CENTRAL_DIR_SIGNATURE) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) throw new Error('Not a ZIP archive.');
+
+        const entryCount = tail.getUint16(endOffset + 10, true);
+        const centralSize = tail.getUint32(endOffset + 12, true);
+        const centralOffset = tail.getUint32(endOffset + 16, true);
+        const central = new DataView(await archive.slice(centralOffset, centralOffset + centralSize).arrayBuffer());
+
+        const entries = [];
+        let position = 0;
+        for (let i = 0; i < entryCount; i++) {
+            if (central.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE) {
+                throw new Error('Corrupt ZIP archive (bad central directory).');
+            }
+            const flags = central.getUint16(position + 8, true);
+            const method = central.getUint16(position + 10, true);
+            const compressedSize = central.getUint32(position + 20, true);
+            const nameLength = central.getUint16(position + 28, true);
+            const extraLength = central.getUint16(position + 30, true);
+            const commentLength = central.getUint16(position + 32, true);
+            const localOffset = central.getUint32(position + 42, true);
+            const nameBytes = new Uint8Array(central.buffer, position + 46, nameLength);
+            const name = new TextDecoder(flags & FLAG_UTF8 ? 'utf-8' : 'ascii').decode(nameBytes);
+            position += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue; // Directory entry.
+            if (flags & FLAG_ENCRYPTED) throw new Error(`"${name}" is encrypted, which is not supported.`);
+
+            // The local header's name/extra lengths can differ from the central directory's.
+            const local = new DataView(await archive.slice(localOffset, localOffset + 30).arrayBuffer());
+            if (local.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+                throw new Error('Corrupt ZIP archive (bad local header).');
+            }
+            const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+            const data = archive.slice(dataStart, dataStart + compressedSize);
+
+            if (method === METHOD_STORED) {
+                entries.push({ name, blob: data });
+            } else if (method === METHOD_DEFLATE) {
+                entries.push({ name, blob: await inflate(data) });
+            } else {
+                throw new Error(`"${name}" uses an unsupported compression method (${method}).`);
+            }
+        }
+        return entries;
+    };
+
+    // --- Module Return (Public API) ---
+    return {
+        createZip,
+        readZip,
+        crc32
+    };
+})();
\ No newline at end of file
@@ -0,0 +1,205 @@
+// tools/camera-picker-check.js
+// Checks the camera picker of camera.html (refreshCameraDevices and the 'devicechange' handler in camera.js)
+// with Chromium's fake cameras: picking a camera, remembering it for the user, moving off it when it is
+// unplugged, going back to it when it is plugged in again, and the switch button returning to front/back.
+// Fake cameras can't be unplugged, so unplugging is simulated inside the camera page: the picked camera is
+// hidden from enumerateDevices() and getUserMedia(), then a 'devicechange' event is dispatched.
+//
+// Serve the repository root (e.g. `python3 -m http.server 8000`) and open
+// http://localhost:8000/tools/camera-picker-check.html in Chromium started with
+//   --use-fake-device-for-media-stream=device-count=3 --use-fake-ui-for-media-stream
+// (add --headless=new to run it without a window). It signs in as CHECK_USERNAME, creating that account if needed.
+// Use a full Chromium: chrome-headless-shell hands out new deviceIds on every page load, so the reload step fails there.
+// #summary's `data-result` turns "pass" or "fail"; the details are in the list and the console ('PICKER_CHECK:' lines).
+
+const CHECK_USERNAME = 'picker-check';
+const CHECK_PASSWORD = 'picker-check-password';
+const STEP_TIMEOUT_MS = 10000;
+const POLL_INTERVAL_MS = 100;
+
+/**
+ * Signs in the check account the way the login page does (creating it on first use), with a clean
+ * capture setup so the check always starts on the automatic front/back selection.
+ * @returns {Promise<object>} The user record.
+ */
+async function signInCheckUser() {
+    await openDatabase();
+    let user = (await getAllData('users')).find(u => u.username === CHECK_USERNAME);
+    if (!user) {
+        const id = await addData('users', { username: CHECK_USERNAME, ...(await createPasswordCredentials(CHECK_PASSWORD)) });
+        user = await getDataByKey('users', id);
+    }
+    const { keys, userUpdates } = await unlockMediaKeys(user, CHECK_PASSWORD);
+    const { captureSettings, ...rest } = { ...user, ...userUpdates };
+    user = rest;
+    await updateData('users', user);
+    await createSession(user, { mediaKeys: { keys, currentVersion: user.currentKeyVersion } });
+    return user;
+}
+
+/**
+ * Reads the camera selection saved on a user record.
+ * @param {number} userId - The user ID.
+ * @returns {Promise<string|null>} The saved deviceId, or null for the automatic selection.
+ */
+async function getSavedDeviceId(userId) {
+    const user = await getDataByKey('users', userId);
+    return (user.captureSettings && user.captureSettings.deviceId) || null;
+}
+
+/**
+ * Waits until a condition holds.
+ * @param {Function} condition - Returns (or resolves to) a truthy value once the condition holds.
+ * @param {string} description - What is awaited (for the timeout error).
+ * @returns {Promise<*>} The condition's value.
+ */
+async function waitFor(condition, description) {
+    const deadline = Date.now() + STEP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        const value = await condition();
+        if (value) return value;
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+    throw new Error(`Timed out waiting for ${description}.`);
+}
+
+/**
+ * Loads (or reloads) camera.html in the frame.
+ * @param {HTMLIFrameElement} frame - The frame.
+ * @returns {Promise<void>} Resolves once the page has loaded.
+ */
+function loadCameraPage(frame) {
+    return new Promise(resolve => {
+        frame.addEventListener('load', () => resolve(), { once: true });
+        frame.src = `../camera.html?check=${Date.now()}`;
+    });
+}
+
+/**
+ * Reads the camera page's state.
+ * @param {HTMLIFrameElement} frame - The frame holding camera.html.
+ * @returns {object} `{ deviceId, picked, devices }`: the camera streaming now (null if none), the picker's value
+ *   ('' for automatic) and the deviceIds listed in the picker.
+ */
+function getCameraState(frame) {
+    const doc = frame.contentDocument;
+    const video = doc && doc.getElementById('camera-video-source');
+    const select = doc && doc.getElementById('camera-device-select');
+    if (!video || !select) return { deviceId: null, picked: '', devices: [] };
+    const track = video.srcObject ? video.srcObject.getVideoTracks()[0] : null;
+    return {
+        deviceId: track && track.readyState === 'live' ? track.getSettings().deviceId : null,
+        picked: select.value,
+        devices: Array.from(select.options).map(option => option.value).filter(value => value)
+    };
+}
+
+/**
+ * Simulates unplugging a camera: the camera page no longer lists it, and asking for it fails
+ * like a missing device does (an `exact` request is overconstrained; an `ideal` one gets another camera).
+ * @param {HTMLIFrameElement} frame - The frame holding camera.html.
+ * @param {string} deviceId - The camera to unplug.
+ */
+function unplugCamera(frame, deviceId) {
+    const mediaDevices = frame.contentWindow.navigator.mediaDevices;
+    const { enumerateDevices, getUserMedia } = Object.getPrototypeOf(mediaDevices);
+    mediaDevices.enumerateDevices = async () => (await enumerateDevices.call(mediaDevices)).filter(device => device.deviceId !== deviceId);
+    mediaDevices.getUserMedia = (constraints) => {
+        const selector = constraints.video && constraints.video.deviceId;
+        if (selector && selector.exact === deviceId) {
+            return Promise.reject(new DOMException('The camera was unplugged.', 'OverconstrainedError'));
+        }
+        if (selector && selector.ideal === deviceId) {
+            const { deviceId: unplugged, ...video } = constraints.video;
+            return getUserMedia.call(mediaDevices, { ...constraints, video });
+        }
+        return getUserMedia.call(mediaDevices, constraints);
+    };
+    mediaDevices.dispatchEvent(new Event('devicechange'));
+}
+
+/**
+ * Plugs every camera back in (undoes unplugCamera).
+ * @param {HTMLIFrameElement} frame - The frame holding camera.html.
+ */
+function replugCameras(frame) {
+    const mediaDevices = frame.contentWindow.navigator.mediaDevices;
+    delete mediaDevices.enumerateDevices;
+    delete mediaDevices.getUserMedia;
+    mediaDevices.dispatchEvent(new Event('devicechange'));
+}
+
+/**
+ * Adds a result line to the page and the console.
+ * @param {boolean} passed - Whether the step passed.
+ * @param {string} message - What was checked (and, on failure, why it failed).
+ */
+function report(passed, message) {
+    const item = document.createElement('li');
+    item.className = passed ? 'pass' : 'fail';
+    item.textContent = `${passed ? 'PASS' : 'FAIL'} ${message}`;
+    document.getElementById('results').appendChild(item);
+    (passed ? console.log : console.error)(`PICKER_CHECK: ${passed ? 'PASS' : 'FAIL'} ${message}`);
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const summary = document.getElementById('summary');
+    const frame = document.getElementById('camera-frame');
+    const state = () => getCameraState(frame);
+    let user = null;
+    let picked = null;
+
+    // Each step depends on the previous one, so the check stops at the first failure.
+    const steps = [
+        ['the picker lists the fake cameras', async () => {
+            user = await signInCheckUser();
+            await loadCameraPage(frame);
+            const { devices } = await waitFor(() => {
+                const current = state();
+                return current.deviceId && current.devices.length >= 2 && current;
+            }, 'the camera to start with at least two cameras listed (is the fake device flag set?)');
+            picked = devices.find(deviceId => deviceId !== state().deviceId);
+        }],
+        ['picking a camera switches to it', async () => {
+            const select = frame.contentDocument.getElementById('camera-device-select');
+            select.value = picked;
+            select.dispatchEvent(new Event('change'));
+            await waitFor(() => state().deviceId === picked, 'the picked camera to stream');
+            await waitFor(async () => await getSavedDeviceId(user.id) === picked, 'the pick to be saved on the user');
+        }],
+        ['the picked camera is used again after a reload', async () => {
+            await loadCameraPage(frame);
+            await waitFor(() => state().deviceId === picked && state().picked === picked, 'the picked camera after the reload');
+        }],
+        ['unplugging the camera in use moves to another one and keeps the pick', async () => {
+            unplugCamera(frame, picked);
+            await waitFor(() => state().deviceId && state().deviceId !== picked && state().picked === '', 'another camera to stream');
+            if (await getSavedDeviceId(user.id) !== picked) throw new Error('The saved pick was dropped.');
+        }],
+        ['plugging it back in switches back to it', async () => {
+            replugCameras(frame);
+            await waitFor(() => state().deviceId === picked && state().picked === picked, 'the picked camera to stream again');
+        }],
+        ['the switch button goes back to the automatic selection', async () => {
+            frame.contentDocument.getElementById('switch-camera-button').click();
+            await waitFor(() => state().deviceId && state().picked === '', 'the automatic selection');
+            await waitFor(async () => await getSavedDeviceId(user.id) === null, 'the pick to be cleared on the user');
+        }]
+    ];
+
+    let passed = 0;
+    for (const [name, run] of steps) {
+        try {
+            await run();
+            report(true, name);
+            passed++;
+        } catch (error) {
+            report(false, `${name}: ${error.message}`);
+            break;
+        }
+    }
+
+    const allPassed = passed === steps.length;
+    summary.textContent = allPassed ? `PASS: ${passed} steps.` : `FAIL after ${passed} of ${steps.length} steps.`;
+    summary.dataset.result = allPassed ? 'pass' : 'fail';
+});
\ No newline at end of file
@@ -0,0 +1,164 @@
+// tools/webgl-check.js
+// Checks the WebGL filter backend (js/webgl-renderer.js) against the CPU filters of FilterManager:
+// every filter below is rendered once on each backend from the same test pattern, and the pixels must match.
+// It also checks that a filter whose shader fails to compile falls back to the CPU.
+//
+// Open tools/webgl-check.html in a browser. To run it headless on Chromium's software renderer (SwiftShader),
+// start Chromium with `--use-angle=swiftshader --enable-unsafe-swiftshader --allow-file-access-from-files`
+// (e.g. from puppeteer) and wait for #summary: its `data-result` turns "pass" or "fail"; the details are in the
+// list and in the console ('WEBGL_CHECK:' lines).
+
+const PATTERN_WIDTH = 64;
+const PATTERN_HEIGHT = 48;
+const MAX_CHANNEL_DIFFERENCE = 3; // GPU float math vs ctx.filter/JavaScript rounding.
+
+// Filters compared on both backends: the 'css' color-matrix path and a 'canvas' filter with its own shader.
+const COMPARED_FILTERS = [
+    { id: 'grayscale', facingMode: 'environment' },
+    { id: 'sepia', facingMode: 'environment' },
+    { id: 'sepia', facingMode: 'user' }, // Mirrored, like the front camera.
+    { id: 'invert', facingMode: 'environment' },
+    { id: 'brightness', facingMode: 'environment' },
+    { id: 'negative', facingMode: 'environment' }
+];
+
+const BROKEN_FILTER_ID = 'webgl-check-broken-shader';
+
+/**
+ * Draws a deterministic test pattern (color gradients) to use as the video frame.
+ * FilterManager only reads `videoWidth`, `videoHeight` and `readyState` from its video source and draws it
+ * with drawImage/texImage2D, so a canvas carrying those properties stands in for the video element.
+ * @returns {HTMLCanvasElement} The pattern canvas.
+ */
+function createPatternSource() {
+    const source = document.createElement('canvas');
+    source.width = PATTERN_WIDTH;
+    source.height = PATTERN_HEIGHT;
+    const ctx = source.getContext('2d');
+    const imageData = ctx.createImageData(PATTERN_WIDTH, PATTERN_HEIGHT);
+    for (let y = 0; y < PATTERN_HEIGHT; y++) {
+        for (let x = 0; x < PATTERN_WIDTH; x++) {
+            const i = (y * PATTERN_WIDTH + x) * 4;
+            imageData.data[i] = Math.round(x * 255 / (PATTERN_WIDTH - 1));
+            imageData.data[i + 1] = Math.round(y * 255 / (PATTERN_HEIGHT - 1));
+            imageData.data[i + 2] = (x * 7 + y * 11) % 256;
+            imageData.data[i + 3] = 255;
+        }
+    }
+    ctx.putImageData(imageData, 0, 0);
+    Object.assign(source, { videoWidth: PATTERN_WIDTH, videoHeight: PATTERN_HEIGHT, readyState: 4 });
+    return source;
+}
+
+/**
+ * Renders one frame of the current filter chain with the given backend.
+ * @param {HTMLCanvasElement} source - The pattern standing in for the video.
+ * @param {string} backend - 'auto' (WebGL when possible) or 'cpu'.
+ * @param {string} facingMode - 'user' (mirrored) or 'environment'.
+ * @returns {object} `{ canvas, pixels, backend }`: the output canvas, its RGBA data and the backend that rendered it.
+ */
+function renderFrame(source, backend, facingMode) {
+    const canvas = document.createElement('canvas');
+    canvas.width = PATTERN_WIDTH;
+    canvas.height = PATTERN_HEIGHT;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    FilterManager.setRenderBackend(backend);
+    FilterManager.applyActiveFilter(ctx, source, canvas, 0, facingMode, true);
+    return {
+        canvas,
+        pixels: ctx.getImageData(0, 0, canvas.width, canvas.height).data,
+        backend: FilterManager.getRenderBackend()
+    };
+}
+
+/**
+ * Finds the largest difference between two RGBA buffers, channel by channel.
+ * @param {Uint8ClampedArray} a - The first buffer.
+ * @param {Uint8ClampedArray} b - The second buffer (same size).
+ * @returns {number} The largest absolute difference (0-255).
+ */
+function maxChannelDifference(a, b) {
+    let max = 0;
+    for (let i = 0; i < a.length; i++) {
+        max = Math.max(max, Math.abs(a[i] - b[i]));
+    }
+    return max;
+}
+
+/**
+ * Adds a result line to the page and the console.
+ * @param {boolean} passed - Whether the check passed.
+ * @param {string} message - What was checked.
+ * @param {Array<HTMLCanvasElement>} [canvases] - Outputs to show next to the results.
+ */
+function report(passed, message, canvases = []) {
+    const item = document.createElement('li');
+    item.className = passed ? 'pass' : 'fail';
+    item.textContent = `${passed ? 'PASS' : 'FAIL'} ${message}`;
+    document.getElementById('results').appendChild(item);
+    canvases.forEach(canvas => document.getElementById('canvases').appendChild(canvas));
+    (passed ? console.log : console.error)(`WEBGL_CHECK: ${passed ? 'PASS' : 'FAIL'} ${message}`);
+}
+
+/**
+ * Compares the WebGL and CPU output of one filter.
+ * @param {HTMLCanvasElement} source - The pattern standing in for the video.
+ * @param {object} check - `{ id, facingMode }` from COMPARED_FILTERS.
+ * @returns {boolean} True if the check passed.
+ */
+function compareBackends(source, { id, facingMode }) {
+    FilterManager.setActiveFilter(id);
+    const gpu = renderFrame(source, 'auto', facingMode);
+    const cpu = renderFrame(source, 'cpu', facingMode);
+    const label = `${id} (${facingMode})`;
+
+    if (gpu.backend !== 'webgl') {
+        report(false, `${label}: rendered by "${gpu.backend}" instead of WebGL.`);
+        return false;
+    }
+    const difference = maxChannelDifference(gpu.pixels, cpu.pixels);
+    const passed = difference <= MAX_CHANNEL_DIFFERENCE;
+    report(passed, `${label}: largest channel difference ${difference} (allowed ${MAX_CHANNEL_DIFFERENCE}).`, [gpu.canvas, cpu.canvas]);
+    return passed;
+}
+
+/**
+ * Checks that a filter whose shader does not compile is rendered on the CPU instead (on every frame).
+ * @param {HTMLCanvasElement} source - The pattern standing in for the video.
+ * @returns {boolean} True if the check passed.
+ */
+function checkCompileFallback(source) {
+    FilterManager.registerFilter(BROKEN_FILTER_ID, 'Broken Shader', 'canvas', (data) => {
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = 255 - data[i]; // Invert red only, so the result is easy to recognize.
+        }
+    }, { shader: 'void main() { gl_FragColor = notDeclared; }' });
+    FilterManager.setActiveFilter(BROKEN_FILTER_ID);
+
+    const expected = renderFrame(source, 'cpu', 'environment');
+    const frames = [renderFrame(source, 'auto', 'environment'), renderFrame(source, 'auto', 'environment')];
+    const passed = frames.every(frame => frame.backend === 'cpu' && maxChannelDifference(frame.pixels, expected.pixels) === 0);
+    report(passed, `broken shader: rendered by ${frames.map(frame => `"${frame.backend}"`).join(', ')}, expected the CPU result.`);
+    return passed;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const summary = document.getElementById('summary');
+    FilterManager.setProcessingMode('sync'); // Keep the CPU path on the main thread (no filter worker).
+
+    if (!WebGLRenderer.isSupported()) {
+        report(false, 'WebGL is not available (headless: pass --use-angle=swiftshader --enable-unsafe-swiftshader).');
+        summary.textContent = 'FAIL: no WebGL.';
+        summary.dataset.result = 'fail';
+        return;
+    }
+
+    const source = createPatternSource();
+    const results = COMPARED_FILTERS.map(check => compareBackends(source, check));
+    results.push(checkCompileFallback(source));
+    FilterManager.clearFilterChain();
+
+    const failed = results.filter(passed => !passed).length;
+    summary.textContent = failed === 0 ? `PASS: ${results.length} checks.` : `FAIL: ${failed} of ${results.length} checks.`;
+    summary.dataset.result = failed === 0 ? 'pass' : 'fail';
+});
\ No newline at end of file